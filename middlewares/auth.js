@@ -0,0 +1,51 @@
+const { verifyGmToken } = require('../utils/auth');
+
+// 从 X-GM-Token 或 Authorization: Bearer 头中读取令牌
+const getProvidedToken = (req) => {
+  const headerToken = req.get('x-gm-token');
+  if (headerToken) return headerToken;
+  const authorization = req.get('authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+};
+
+/**
+ * 创建 GM 权限校验中间件，玩家和观众的请求返回 403
+ * @param {Function} resolveGmToken async (sessionId) => gmToken
+ */
+const createRequireGm = (resolveGmToken) => async (req, res, next) => {
+  try {
+    const expected = await resolveGmToken(req.params.sessionId);
+    if (!verifyGmToken(expected, getProvidedToken(req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'permission-denied',
+        message: '需要 GM 权限'
+      });
+    }
+  } catch (error) {
+    // 令牌保存在存储中，读取失败时与加载会话失败的响应一致
+    console.error(`Failed to resolve GM token for session ${req.params.sessionId}:`, error.message);
+    return res.status(503).json({ success: false, error: 'Failed to load session from storage' });
+  }
+  next();
+};
+
+/**
+ * 管理员权限校验 (X-Admin-Token 请求头)；没有配置管理员令牌时所有请求返回 403
+ * @param {Function} getAdminToken () => 管理员令牌
+ */
+const createRequireAdmin = (getAdminToken) => (req, res, next) => {
+  if (!verifyGmToken(getAdminToken(), req.get('x-admin-token') || null)) {
+    return res.status(403).json({
+      success: false,
+      error: 'permission-denied',
+      message: '需要管理员权限'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  createRequireGm,
+  createRequireAdmin
+};
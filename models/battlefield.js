@@ -3,14 +3,56 @@ const mongoose = require('mongoose');
 // 首先定义一个单独的 PieceSchema
 const PieceSchema = new mongoose.Schema({
   id: String,
+  // 引用的战斗助手生物 ID，名称和生命值以生物数据为准
+  monsterId: String,
   name: String,
   type: String, 
   x: Number,
   y: Number,
   currentHp: Number,
-  maxHp: Number
+  maxHp: Number,
+  // 体型: tiny/small/medium/large/huge/gargantuan
+  size: {
+    type: String,
+    default: 'medium'
+  },
+  // 视野半径 (英尺)，为空表示不限
+  visionRadius: Number,
+  // 生命状态: conscious/unconscious/stable/dead (由死亡豁免更新)
+  status: {
+    type: String,
+    default: 'conscious'
+  },
+  // 棋子归属: playerId 或 "GM"，玩家只能移动自己的棋子 (尚未注册的玩家名在该名字注册时转换为 playerId)
+  owner: {
+    type: String,
+    default: 'GM'
+  }
 }, { _id: false }); // 禁止自动生成 _id
 
+// 墙壁线段，阻挡视线
+const WallSchema = new mongoose.Schema({
+  id: String,
+  x1: Number,
+  y1: Number,
+  x2: Number,
+  y2: Number
+}, { _id: false });
+
+// 门: 关闭或上锁时阻挡视线
+const DoorSchema = new mongoose.Schema({
+  id: String,
+  x1: Number,
+  y1: Number,
+  x2: Number,
+  y2: Number,
+  state: {
+    type: String,
+    enum: ['open', 'closed', 'locked'],
+    default: 'closed'
+  }
+}, { _id: false });
+
 const battlefieldSchema = new mongoose.Schema({
   sessionId: {
     type: String,
@@ -58,6 +100,44 @@ const battlefieldSchema = new mongoose.Schema({
       default: 40
     }
   },
+  // 网格坐标系
+  grid: {
+    type: { type: String, enum: ['square', 'hex'], default: 'square' },
+    cellSize: { type: Number, default: 50 },
+    offsetX: { type: Number, default: 0 },
+    offsetY: { type: Number, default: 0 },
+    feetPerCell: { type: Number, default: 5 },
+    diagonalRule: { type: String, enum: ['5e', 'alternating'], default: '5e' },
+    snapToGrid: { type: Boolean, default: true }
+  },
+  walls: {
+    type: [WallSchema],
+    default: []
+  },
+  doors: {
+    type: [DoorSchema],
+    default: []
+  },
+  // 范围效果模板: [{ id, shape, origin: { x, y }, direction, size, width, owner, color, label }]
+  templates: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // 困难地形格子 (六边形网格中 col/row 为轴坐标 q/r)
+  difficultTerrain: {
+    type: [{ col: Number, row: Number, _id: false }],
+    default: []
+  },
+  // 战争迷雾: { enabled, cellSize, gmOpacity, regions: [{ id, shape, mode, cells | points }] }
+  fog: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ enabled: false, cellSize: 50, gmOpacity: 0.5, regions: [] })
+  },
+  // 战场版本号 (更换背景图片也会增加)
+  revision: {
+    type: Number,
+    default: 0
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
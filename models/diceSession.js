@@ -11,10 +11,17 @@ const DiceSessionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // 投掷记录: { id, playerName, rollerId, rolls, grandTotal, visibility: public|gm|self|whisper, whisperToIds?, whisperTo?, timestamp }
+  // whisperToIds 为密语对象的 playerId (用于判断可见性)，whisperTo 为对应的玩家名 (仅用于显示)
   rollHistory: {
     type: [mongoose.Schema.Types.Mixed],
     default: []
   },
+  // 骰子状态和投掷历史共用的版本号
+  revision: {
+    type: Number,
+    default: 0
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
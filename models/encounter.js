@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// 预先准备的遭遇模板，可以加载到任意会话
+const EncounterSchema = new mongoose.Schema({
+  encounterId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // 小写标签，用于筛选
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // 生物: { id: { name, type, currentHp, maxHp, ... } }，结构同 Session.monsters
+  monsters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  monsterOrder: {
+    type: [String],
+    default: []
+  },
+  // 棋子: [{ id, monsterId, x, y, size, visionRadius, owner, ... }]
+  pieces: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  background: {
+    imageUrl: String
+  },
+  // 保存时所在的会话
+  sourceSessionId: {
+    type: String,
+    default: null
+  },
+  // 创建遭遇的会话，只有该会话的 GM 可以覆盖或删除
+  ownerSessionId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+EncounterSchema.index({ name: 1 });
+
+EncounterSchema.pre('findOneAndUpdate', function(next) {
+  this.set({ lastUpdated: Date.now() });
+  next();
+});
+
+module.exports = mongoose.model('Encounter', EncounterSchema);
@@ -7,6 +7,7 @@ const SessionSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // 怪物/生物: { id: { name, type, currentHp, maxHp, tempHp, conditions: [{ id, name, source, saveDc, duration, ... }], ... } }
   monsters: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -16,6 +17,62 @@ const SessionSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // GM 令牌，持有者在加入会话时获得 GM 角色
+  gmToken: {
+    type: String,
+    default: null
+  },
+  // 令牌机制之后创建的会话为 true；没有该标记也没有令牌的旧会话只能由管理员签发令牌
+  gmTokenScheme: {
+    type: Boolean
+  },
+  // 玩家身份: [{ playerId, playerName, token }]，棋子和模板的归属使用 playerId
+  players: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // 先攻追踪: [{ id, name, type, initiative, dexModifier, tieBreaker }]
+  initiativeOrder: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  currentTurn: {
+    type: Number,
+    default: 0
+  },
+  round: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  // 当前回合的移动记录: { pieceId: { speed, used, dash, disengage, history: [...] } }
+  movement: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 最近的伤害/治疗记录，用于审计: [{ id, monsterId, kind, amount, damageType, hpDelta, source, timestamp, ... }]
+  hpLog: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // 用于计算遭遇难度的队伍等级: [3, 3, 4, 5]
+  partyLevels: {
+    type: [Number],
+    default: []
+  },
+  // 最近一次触发巢穴动作 (先攻计数 20) 的轮次
+  lairActionRound: {
+    type: Number,
+    default: 0
+  },
+  // 战斗助手状态的版本号，写入时附带的 expectedRevision 与之比较 (见 utils/revision.js)
+  revision: {
+    type: Number,
+    default: 0
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
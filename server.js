@@ -3,25 +3,47 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const morgan = require('morgan');
-const mongoose = require('mongoose'); // <--- 恢复 mongoose
 const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
 // const fs = require('fs'); // <--- 移除 fs 模块 (不再使用)
 // const path = require('path'); // <--- 移除 path 模块 (不再使用)
 require('dotenv').config();
 
-// --- 恢复数据库连接和模型 ---
-const connectDB = require('./config/database'); // <--- 恢复数据库连接
-const Session = require('./models/session'); // <--- 恢复 Session 模型
-const DiceSession = require('./models/diceSession'); // <--- 恢复 DiceSession 模型
-const Battlefield = require('./models/battlefield'); // <--- 恢复 Battlefield 模型
+// --- 存储后端 (STORAGE_BACKEND: mongo | file | memory) ---
+const { createStorage } = require('./storage');
+const initiative = require('./utils/initiative');
+const dice = require('./utils/dice');
+const { generateGmToken, generatePlayerIdentity, verifyGmToken } = require('./utils/auth');
+const fogUtils = require('./utils/fog');
+const { getPieceCenter, toPoint } = require('./utils/geometry');
+const vision = require('./utils/vision');
+const gridUtils = require('./utils/grid');
+const templateUtils = require('./utils/templates');
+const movementUtils = require('./utils/movement');
+const conditionUtils = require('./utils/conditions');
+const damageUtils = require('./utils/damage');
+const deathSaveUtils = require('./utils/deathSaves');
+const monsterDatabase = require('./utils/monsterDatabase');
+const statBlock = require('./utils/statBlock');
+const encounterUtils = require('./utils/encounter');
+const encounterLibrary = require('./utils/encounterLibrary');
+const legendaryUtils = require('./utils/legendary');
+const { createRequireGm, createRequireAdmin } = require('./middlewares/auth');
+const { createPersistenceScheduler } = require('./utils/persistenceScheduler');
+const revisionUtils = require('./utils/revision');
+const { createOperationLog } = require('./utils/operationLog');
 // const errorHandler = require('./middlewares/errorHandler');
 
 // 确保所有的全局变量和函数定义在服务器初始化之前
 // 在文件开头定义会话存储 (使用 let 允许重新赋值)
-let sessions = {};      // 战斗助手会话: { sessionId: { monsters: {...}, monsterOrder: [...], lastUpdated: Date } }
-let diceSessions = {};  // 骰子会话: { sessionId: { diceState: {...}, rollHistory: [...], lastUpdated: Date } }
-let battlefieldSessions = {}; // 战场会话: { sessionId: { pieces: {...}, backgroundImage: "", scale: number, ...  } }
+let sessions = {};      // 战斗助手会话: { sessionId: { monsters: {...}, monsterOrder: [...], initiativeOrder: [...], currentTurn, round, isActive, movement: {...}, hpLog: [...], partyLevels: [...], lairActionRound, revision, lastUpdated: Date } }
+let diceSessions = {};  // 骰子会话: { sessionId: { diceState: {...}, rollHistory: [...], revision, lastUpdated: Date } }
+let battlefieldSessions = {}; // 战场会话: { sessionId: { pieces: {...}, backgroundImage: "", scale: number, fog: {...}, ..., revision } }
 const backgroundChunks = {}; // 背景图片分块上传: { imageId: { chunks: [...], sessionId: "", ... } }
+const sessionMembers = {}; // 会话成员: { sessionId: { socketId: { playerName, playerId, role } } }
+let gmTokens = {};         // GM 令牌: { sessionId: token }，单独存放避免随 session-updated 广播
+const unclaimedSessions = new Set(); // 令牌机制之前创建且没有 GM 令牌的旧会话，只能由管理员签发令牌
+const playerRegistry = {}; // 玩家身份: { sessionId: { playerId: { playerName, token } } }，令牌不随 session-updated 广播
 
 // 初始化应用
 const app = express();
@@ -33,8 +55,8 @@ const io = socketIo(server, {
   }
 });
 
-// 连接数据库
-connectDB(); // <--- 启用数据库连接
+// 存储后端，在 startServer 中连接
+const storage = createStorage();
 
 // 中间件
 app.use(cors({
@@ -53,35 +75,45 @@ app.get('/', (req, res) => {
   });
 });
 
-// 代理路由 (保持不变)
-app.use('/proxy/dnd-database', async (req, res) => {
-    try {
-      const targetUrl = `https://dnd-database.zeabur.app${req.url}`;
-      console.log(`Proxying request to: ${targetUrl}`);
-
-      const method = req.method.toLowerCase();
-      const requestOptions = {
+// 外部怪物数据库
+const DND_DATABASE_URL = 'https://dnd-database.zeabur.app';
+
+/**
+ * 向外部怪物数据库发送请求 (代理路由和按 slug 导入共用)
+ * @param {string} path 以 / 开头的路径，可以包含查询字符串
+ * @param {{ method?, headers?, params?, data? }} options
+ */
+function requestDndDatabase(path, options = {}) {
+    const method = (options.method || 'get').toLowerCase();
+    const requestOptions = {
         method,
-        url: targetUrl,
+        url: `${DND_DATABASE_URL}${path}`,
         headers: {
-          // 转发大部分头部，但 host 可能需要修改
-          ...req.headers,
-          host: 'dnd-database.zeabur.app', // 确保 host 正确
-          // 可能需要移除或修改其他与代理冲突的头部，如 'content-length'
-        },
-      };
-
-      // 对于POST, PUT等方法，需要转发请求体
-      if (['post', 'put', 'patch'].includes(method) && req.body) {
-        requestOptions.data = req.body;
-      }
-
-      // 如果有查询参数
-      if (Object.keys(req.query).length > 0) {
-        requestOptions.params = req.query;
-      }
+          // 转发大部分头部，但 host 需要改为数据库的地址
+          ...(options.headers || {}),
+          host: new URL(DND_DATABASE_URL).host
+        }
+    };
+    // 对于POST, PUT等方法，需要转发请求体
+    if (['post', 'put', 'patch'].includes(method) && options.data) {
+        requestOptions.data = options.data;
+    }
+    if (options.params && Object.keys(options.params).length > 0) {
+        requestOptions.params = options.params;
+    }
+    return axios(requestOptions);
+}
 
-      const response = await axios(requestOptions);
+// 代理路由
+app.use('/proxy/dnd-database', async (req, res) => {
+    try {
+      console.log(`Proxying request to: ${DND_DATABASE_URL}${req.url}`);
+      const response = await requestDndDatabase(req.url, {
+        method: req.method,
+        headers: req.headers,
+        params: req.query,
+        data: req.body
+      });
 
       // 返回数据
       res.status(response.status).json(response.data);
@@ -104,125 +136,420 @@ app.use('/proxy/dnd-database', async (req, res) => {
 });
 
 
-// -------------------- 内存状态管理 & MongoDB 持久化 --------------------
-// --- 修改: 从 MongoDB 加载数据 ---
-async function loadDataOnStartup() {
-    console.log("Loading session data from MongoDB...");
-    try {
-        const [loadedSessions, loadedDiceSessions, loadedBattlefields] = await Promise.all([
-            Session.find({}).lean(), // .lean() 返回普通 JS 对象，更快
-            DiceSession.find({}).lean(),
-            Battlefield.find({}).lean()
-        ]);
-
-        sessions = loadedSessions.reduce((acc, doc) => {
-            acc[doc.sessionId] = {
-                 monsters: doc.monsters || {},
-                 monsterOrder: doc.monsterOrder || [],
-                 lastUpdated: doc.lastUpdated || Date.now()
-             };
-            return acc;
-        }, {});
-
-        diceSessions = loadedDiceSessions.reduce((acc, doc) => {
-            acc[doc.sessionId] = {
-                 diceState: doc.diceState || { dice: {}, advantage: false, disadvantage: false },
-                 rollHistory: doc.rollHistory || [],
-                 lastUpdated: doc.lastUpdated || Date.now()
-             };
-            return acc;
-        }, {});
-
-        // Battlefield pieces 在 Schema 中是数组，内存中用对象，需要转换
-        battlefieldSessions = loadedBattlefields.reduce((acc, doc) => {
-             // 检查加载的 pieces 数据
-             console.log(`Loading battlefield for session ${doc.sessionId}, pieces count: ${doc.pieces?.length || 0}`);
-             if (doc.pieces && doc.pieces.length > 0) {
-                 console.log(`First piece sample from DB:`, JSON.stringify(doc.pieces[0]));
-                 console.log(`First piece type: ${typeof doc.pieces[0]}`);
-             }
+// -------------------- 内存状态管理 & 持久化 --------------------
+// --- 按需从存储后端加载会话 (首次 join-session 或 API 访问时)，空闲后写入并移出内存 ---
+const SESSION_IDLE_MS = Number(process.env.SESSION_IDLE_MS) || 30 * 60 * 1000;
+const loadedSessionIds = new Set(); // 已加载 (或确认存储中不存在) 的会话
+const sessionLoads = {};            // 正在加载的会话: { sessionId: Promise }，并发的首次加入共用同一次加载
+const evictionTimers = {};          // 空闲移出计时器: { sessionId: Timeout }
+
+function restoreSessionState(doc) {
+    return {
+        monsters: doc.monsters || {},
+        monsterOrder: doc.monsterOrder || [],
+        initiativeOrder: doc.initiativeOrder || [],
+        currentTurn: doc.currentTurn || 0,
+        round: doc.round || 0,
+        isActive: doc.isActive || false,
+        movement: doc.movement || {},
+        hpLog: doc.hpLog || [],
+        partyLevels: doc.partyLevels || [],
+        lairActionRound: doc.lairActionRound || 0,
+        revision: doc.revision || 0,
+        lastUpdated: doc.lastUpdated || Date.now()
+    };
+}
 
-             // 确保所有 pieces 都是有效的对象
-             const validPieces = Array.isArray(doc.pieces) ? doc.pieces.filter(piece => piece && typeof piece === 'object' && piece.id) : [];
-
-             const piecesObject = validPieces.reduce((pieceAcc, piece) => {
-                 // 确保每个piece是普通对象而不是字符串
-                 if (typeof piece === 'string') {
-                     try {
-                         const parsedPiece = JSON.parse(piece);
-                         if (parsedPiece && parsedPiece.id) {
-                             pieceAcc[parsedPiece.id] = parsedPiece;
-                             console.log(`Parsed string piece during load: ${parsedPiece.id}`);
-                         }
-                     } catch (e) {
-                         console.error(`Error parsing piece string during load:`, e);
-                     }
-                 } else if (piece && piece.id) {
-                     pieceAcc[piece.id] = piece;
-                 }
-                 return pieceAcc;
-             }, {});
-
-             // 检查是否有任何数组被转换为字符串
-             Object.keys(piecesObject).forEach(id => {
-                 const piece = piecesObject[id];
-                 if (typeof piece === 'string') {
-                     console.error(`Found string piece after conversion: ${id}, value: ${piece.substring(0, 100)}...`);
-                     // 尝试修复
-                     try {
-                         piecesObject[id] = JSON.parse(piece);
-                     } catch (e) {
-                         console.error(`Failed to fix string piece: ${id}`, e);
-                         delete piecesObject[id]; // 移除无法修复的piece
-                     }
-                 }
-             });
+function restoreDiceState(doc) {
+    return {
+        diceState: doc.diceState || { dice: {}, advantage: false, disadvantage: false },
+        rollHistory: doc.rollHistory || [],
+        revision: doc.revision || 0,
+        lastUpdated: doc.lastUpdated || Date.now()
+    };
+}
 
-            acc[doc.sessionId] = {
-                 pieces: piecesObject,
-                 backgroundImage: doc.background ? doc.background.imageUrl : null,
-                 scale: doc.settings ? doc.settings.scale : 1.0,
-                 isGridVisible: doc.settings ? doc.settings.gridVisible : true,
-                 pieceSize: doc.settings ? doc.settings.pieceSize : 40,
-                 lastUpdated: doc.lastUpdated || Date.now()
-             };
-            return acc;
-        }, {});
+// Battlefield pieces 在 Schema 中是数组，内存中用对象，需要转换
+function restoreBattlefieldState(doc) {
+    // 检查加载的 pieces 数据
+    console.log(`Loading battlefield for session ${doc.sessionId}, pieces count: ${doc.pieces?.length || 0}`);
+    if (doc.pieces && doc.pieces.length > 0) {
+        console.log(`First piece sample from DB:`, JSON.stringify(doc.pieces[0]));
+        console.log(`First piece type: ${typeof doc.pieces[0]}`);
+    }
 
-        console.log(`Loaded state counts from DB: Battle=${Object.keys(sessions).length}, Dice=${Object.keys(diceSessions).length}, Battlefield=${Object.keys(battlefieldSessions).length}`);
+    // 确保所有 pieces 都是有效的对象
+    const validPieces = Array.isArray(doc.pieces) ? doc.pieces.filter(piece => piece && typeof piece === 'object' && piece.id) : [];
+
+    const piecesObject = validPieces.reduce((pieceAcc, piece) => {
+        // 确保每个piece是普通对象而不是字符串
+        if (typeof piece === 'string') {
+            try {
+                const parsedPiece = JSON.parse(piece);
+                if (parsedPiece && parsedPiece.id) {
+                    pieceAcc[parsedPiece.id] = parsedPiece;
+                    console.log(`Parsed string piece during load: ${parsedPiece.id}`);
+                }
+            } catch (e) {
+                console.error(`Error parsing piece string during load:`, e);
+            }
+        } else if (piece && piece.id) {
+            pieceAcc[piece.id] = piece;
+        }
+        return pieceAcc;
+    }, {});
+
+    // 检查是否有任何数组被转换为字符串
+    Object.keys(piecesObject).forEach(id => {
+        const piece = piecesObject[id];
+        if (typeof piece === 'string') {
+            console.error(`Found string piece after conversion: ${id}, value: ${piece.substring(0, 100)}...`);
+            // 尝试修复
+            try {
+                piecesObject[id] = JSON.parse(piece);
+            } catch (e) {
+                console.error(`Failed to fix string piece: ${id}`, e);
+                delete piecesObject[id]; // 移除无法修复的piece
+            }
+        }
+    });
 
+    return {
+        pieces: piecesObject,
+        backgroundImage: doc.background ? doc.background.imageUrl : null,
+        scale: doc.settings ? doc.settings.scale : 1.0,
+        isGridVisible: doc.settings ? doc.settings.gridVisible : true,
+        pieceSize: doc.settings ? doc.settings.pieceSize : 40,
+        grid: gridUtils.normalizeGridState(doc.grid),
+        fog: fogUtils.normalizeFogState(doc.fog),
+        walls: Array.isArray(doc.walls) ? doc.walls : [],
+        doors: Array.isArray(doc.doors) ? doc.doors : [],
+        templates: Array.isArray(doc.templates) ? doc.templates : [],
+        difficultTerrain: movementUtils.normalizeCells(doc.difficultTerrain),
+        revision: doc.revision || 0,
+        lastUpdated: doc.lastUpdated || Date.now()
+    };
+}
+
+async function loadSessionFromStorage(sessionId) {
+    console.log(`Loading session ${sessionId} from ${storage.name} storage...`);
+    const { session, diceSession, battlefield } = await storage.loadOne(sessionId);
+    // 加载期间内存中已经创建的状态优先
+    if (session && !sessions[sessionId]) {
+        sessions[sessionId] = restoreSessionState(session);
+        if (session.gmToken && !gmTokens[sessionId]) gmTokens[sessionId] = session.gmToken;
+        if (Array.isArray(session.players) && !playerRegistry[sessionId]) {
+            playerRegistry[sessionId] = session.players.reduce((acc, player) => {
+                if (player && player.playerId) acc[player.playerId] = { playerName: player.playerName, token: player.token || null };
+                return acc;
+            }, {});
+        }
+    }
+    // 令牌机制之后保存的会话带有 gmTokenScheme 标记，没有令牌时仍可由第一个 GM 认领 (如玩家先加入的新会话)
+    if (session && !session.gmTokenScheme && !gmTokens[sessionId]) {
+        unclaimedSessions.add(sessionId);
+    }
+    if (diceSession && !diceSessions[sessionId]) {
+        diceSessions[sessionId] = restoreDiceState(diceSession);
+    }
+    if (battlefield && !battlefieldSessions[sessionId]) {
+        battlefieldSessions[sessionId] = restoreBattlefieldState(battlefield);
+    }
+    loadedSessionIds.add(sessionId);
+    console.log(`Session ${sessionId} loaded (found: session=${Boolean(session)}, dice=${Boolean(diceSession)}, battlefield=${Boolean(battlefield)})`);
+}
+
+/**
+ * 确保会话已从存储加载；加载失败时抛出错误 (不标记为已加载，避免用空状态覆盖存储中的数据)
+ * 没有成员的会话 (如仅通过 API 访问) 会重新开始空闲计时
+ */
+function ensureSessionLoaded(sessionId) {
+    if (loadedSessionIds.has(sessionId)) {
+        if (!sessionMembers[sessionId]) scheduleEviction(sessionId);
+        return Promise.resolve();
+    }
+    if (!sessionLoads[sessionId]) {
+        sessionLoads[sessionId] = loadSessionFromStorage(sessionId)
+            .then(() => {
+                if (!sessionMembers[sessionId]) scheduleEviction(sessionId);
+            })
+            .finally(() => {
+                delete sessionLoads[sessionId];
+            });
+    }
+    return sessionLoads[sessionId];
+}
+
+function cancelEviction(sessionId) {
+    if (evictionTimers[sessionId]) {
+        clearTimeout(evictionTimers[sessionId]);
+        delete evictionTimers[sessionId];
+    }
+}
+
+function scheduleEviction(sessionId) {
+    cancelEviction(sessionId);
+    evictionTimers[sessionId] = setTimeout(() => {
+        evictSession(sessionId).catch(err => console.error(`Error evicting session ${sessionId}:`, err));
+    }, SESSION_IDLE_MS);
+    evictionTimers[sessionId].unref(); // 不阻止进程退出
+}
+
+// 写入尚未保存的变化后移出内存；写入失败或期间有人加入时保留
+async function evictSession(sessionId) {
+    delete evictionTimers[sessionId];
+    if (sessionMembers[sessionId] || sessionLoads[sessionId] || !loadedSessionIds.has(sessionId)) return;
+    try {
+        await persistenceScheduler.flush(sessionId);
     } catch (error) {
-        console.error("Error loading data from MongoDB:", error);
-        // 如果加载失败，保持内存为空对象
-        sessions = {};
-        diceSessions = {};
-        battlefieldSessions = {};
+        console.warn(`Keeping idle session ${sessionId} in memory: flush failed (${error.message})`);
+        scheduleEviction(sessionId);
+        return;
+    }
+    if (sessionMembers[sessionId] || persistenceScheduler.hasPending(sessionId)) {
+        if (!sessionMembers[sessionId]) scheduleEviction(sessionId);
+        return;
+    }
+    delete sessions[sessionId];
+    delete diceSessions[sessionId];
+    delete battlefieldSessions[sessionId];
+    delete gmTokens[sessionId];
+    delete playerRegistry[sessionId];
+    unclaimedSessions.delete(sessionId);
+    delete operationLogs[sessionId]; // 重新加载后使用新的 epoch，之前的序号失效
+    Object.keys(backgroundChunks).forEach(imageId => {
+        if (backgroundChunks[imageId].sessionId !== sessionId) return;
+        clearTimeout(backgroundChunks[imageId].timer);
+        delete backgroundChunks[imageId];
+    });
+    loadedSessionIds.delete(sessionId);
+    console.log(`Evicted idle session ${sessionId} from memory`);
+}
+
+// --- 持久化: 事件处理函数只标记变化的部分，由调度器合并后写入 ---
+// session: 战斗助手会话；dice: 骰子状态和历史；battlefield: 战场 (不含背景)；background: 背景图片
+const PERSIST_PARTS = ['session', 'dice', 'battlefield', 'background'];
+
+const persistenceScheduler = createPersistenceScheduler({
+    write: writeSessionData,
+    delayMs: Number(process.env.PERSIST_DEBOUNCE_MS) || 1000,
+    maxDelayMs: Number(process.env.PERSIST_MAX_DELAY_MS) || 5000
+});
+
+/**
+ * 标记会话中需要保存的部分，在调度窗口结束后写入；同时递增对应子状态的版本号
+ * @param {string[]} parts PERSIST_PARTS 的子集，默认全部
+ */
+function persistSessionData(sessionId, parts = PERSIST_PARTS) {
+    bumpRevisions(sessionId, parts);
+    persistenceScheduler.markDirty(sessionId, parts);
+    return Promise.resolve();
+}
+
+// --- 版本号: 每个子状态 (session / dice / battlefield) 各自递增 ---
+const REVISION_STATES = {
+    session: sessions,
+    dice: diceSessions,
+    battlefield: battlefieldSessions
+};
+
+// 写入事件的上下文 { sessionId, bumped: Map<scope, revision>, persisted }，异步处理函数 await 之后仍可取得
+// bumped 记录本事件设置的版本号；persisted 用于确认回调判断是否保存了数据
+const mutationContext = new AsyncLocalStorage();
+
+function incrementRevision(sessionId, scope) {
+    const state = REVISION_STATES[scope][sessionId];
+    if (!state) return null;
+    state.revision = (state.revision || 0) + 1;
+    return state.revision;
+}
+
+// 同一写入事件中多次标记同一子状态只递增一次 (期间其他事件已经递增过时再递增)
+function bumpRevisions(sessionId, parts) {
+    const store = mutationContext.getStore();
+    const mutation = store && store.sessionId === sessionId ? store : null;
+    if (mutation) mutation.persisted = true;
+    revisionUtils.getScopesForParts(parts).forEach(scope => {
+        const state = REVISION_STATES[scope][sessionId];
+        if (mutation && state && mutation.bumped.get(scope) === state.revision) return;
+        const revision = incrementRevision(sessionId, scope);
+        if (mutation && revision !== null) mutation.bumped.set(scope, revision);
+    });
+}
+
+/**
+ * 在写入事件的上下文中执行处理函数: 先递增事件可能修改的子状态的版本号，同步处理期间的广播因此带上新版本号；
+ * 同步部分结束时 (异步处理函数的第一次 await) 没有标记任何保存 (事件被拒绝、没有变化或仍在等待) 则回退，
+ * 等待期间不会对外公布尚未提交的版本号；之后的保存由 persistSessionData 递增
+ * @returns {Promise} 处理函数完成 (或失败) 后 settle
+ */
+function runWithRevisions(mutation, scopes, handler) {
+    const { sessionId } = mutation;
+    scopes.forEach(scope => {
+        const revision = incrementRevision(sessionId, scope);
+        if (revision !== null) mutation.bumped.set(scope, revision);
+    });
+    const settle = () => {
+        if (!mutation.persisted) {
+            mutation.bumped.forEach((revision, scope) => {
+                const state = REVISION_STATES[scope][sessionId];
+                if (state && state.revision === revision) state.revision = revision - 1;
+            });
+        }
+        mutation.bumped.clear(); // 之后仍在上下文中的保存正常递增
+    };
+    return new Promise(resolve => {
+        try {
+            resolve(mutationContext.run(mutation, handler));
+        } finally {
+            settle();
+        }
+    });
+}
+
+// 不存在的子状态版本号为 0 (不会创建新状态)
+function getRevisions(sessionId) {
+    return revisionUtils.REVISION_SCOPES.reduce((acc, scope) => {
+        const state = REVISION_STATES[scope][sessionId];
+        acc[scope] = state ? state.revision || 0 : 0;
+        return acc;
+    }, {});
+}
+
+// --- 操作日志: 广播按会话编号并保留最近的操作，重连时只补发错过的部分 ---
+const OPERATION_LOG_SIZE = Number(process.env.OPERATION_LOG_SIZE) || 1000;
+const operationLogs = {}; // { sessionId: operationLog }，会话移出内存时删除
+
+// 载荷是整张背景图片的事件不保存在日志中，补发时发送当前背景
+const LARGE_PAYLOAD_EVENTS = ['background-updated', 'background-transfer-complete'];
+
+// 载荷是某部分当前状态的房间广播 -> 所属部分；日志中不保存载荷，补发时重新生成该部分的状态
+const STATE_EVENT_SCOPES = {
+    'monster-updated': 'session',
+    'monsters-reordered': 'session',
+    'monsters-deleted': 'session',
+    'initiative-updated': 'session',
+    'turn-changed': 'session',
+    'conditions-updated': 'session',
+    'concentration-updated': 'session',
+    'death-save-updated': 'session',
+    'legendary-updated': 'session',
+    'dice-state-updated': 'dice',
+    'grid-settings-updated': 'battlefield',
+    'walls-updated': 'battlefield',
+    'difficult-terrain-updated': 'battlefield'
+};
+
+// 按成员过滤的事件 -> 补发时需要为该成员重新生成的状态
+const FILTERED_EVENT_SCOPES = {
+    'battlefield-state-updated': 'battlefield',
+    'visible-pieces-updated': 'battlefield',
+    'piece-moved': 'battlefield',
+    'piece-updated': 'battlefield',
+    'piece-size-category-updated': 'battlefield',
+    'piece-owner-updated': 'battlefield',
+    'piece-vision-updated': 'battlefield',
+    'visibility-updated': 'battlefield',
+    'fog-updated': 'battlefield',
+    'template-placed': 'battlefield',
+    'template-updated': 'battlefield',
+    'template-targets-updated': 'battlefield',
+    'dice-rolled': 'dice',
+    'hidden-roll': 'dice',
+    'movement-updated': 'session',
+    // GM 可见的动作结果: 投掷已在骰子历史中 (按可见性补发)，补发时重新生成战斗状态
+    'action-used': 'session',
+    'encounter-difficulty-updated': 'encounter'
+};
+
+function getOperationLog(sessionId) {
+    if (!operationLogs[sessionId]) {
+        operationLogs[sessionId] = createOperationLog({ maxEntries: OPERATION_LOG_SIZE });
     }
+    return operationLogs[sessionId];
+}
+
+// 广播附带的元数据 (作为事件的第二个参数，不改变原有载荷的结构)
+// seq 为该操作在日志中的序号，客户端重连时提供收到的最大序号和 epoch；
+// 只包含部分状态的回复 (request-latest-*) 不带 seq，避免客户端跳过其他部分错过的操作
+function syncMeta(sessionId, seq) {
+    const meta = { sessionId, epoch: getOperationLog(sessionId).epoch, revisions: getRevisions(sessionId) };
+    if (seq !== undefined) meta.seq = seq;
+    return meta;
+}
+
+// 向会话房间广播 (exceptSocket 为发送者时不发给发送者)
+function toSession(sessionId, exceptSocket) {
+    const target = exceptSocket ? exceptSocket.to(sessionId) : io.to(sessionId);
+    return {
+        emit: (eventName, payload) => {
+            const seq = getOperationLog(sessionId).append({
+                event: eventName,
+                payload,
+                scope: STATE_EVENT_SCOPES[eventName],
+                omitPayload: LARGE_PAYLOAD_EVENTS.includes(eventName)
+            });
+            target.emit(eventName, payload, syncMeta(sessionId, seq));
+        }
+    };
 }
 
-// --- 修改: 将内存数据保存到 MongoDB ---
-async function persistSessionData(sessionId) {
+// 向会话中的单个连接发送 (按角色过滤的视图等)；日志中只记录发生过，不保存载荷
+function toMember(sessionId, socketId) {
+    return {
+        emit: (eventName, payload) => {
+            const seq = getOperationLog(sessionId).append({
+                event: eventName,
+                scope: FILTERED_EVENT_SCOPES[eventName] || 'battlefield',
+                filtered: true
+            });
+            io.to(socketId).emit(eventName, payload, syncMeta(sessionId, seq));
+        }
+    };
+}
+
+// 将内存数据中指定的部分写入存储后端；失败时抛出错误，由调度器重试
+async function writeSessionData(sessionId, parts) {
     try {
-        console.log(`Starting data persistence for session ${sessionId}`);
-        const sessionData = sessions[sessionId];
+        console.log(`Starting data persistence for session ${sessionId} (${parts.join(', ')})`);
+        const sessionData = parts.includes('session') ? sessions[sessionId] : null;
         if (sessionData) {
-             await Session.findOneAndUpdate(
-                 { sessionId: sessionId },
-                 { $set: { monsters: sessionData.monsters, monsterOrder: sessionData.monsterOrder, lastUpdated: sessionData.lastUpdated } },
-                 { upsert: true, new: true }
-             );
+             await storage.savePartial(sessionId, {
+                 session: {
+                     monsters: sessionData.monsters,
+                     monsterOrder: sessionData.monsterOrder,
+                     initiativeOrder: sessionData.initiativeOrder,
+                     currentTurn: sessionData.currentTurn,
+                     round: sessionData.round,
+                     isActive: sessionData.isActive,
+                     movement: sessionData.movement,
+                     hpLog: sessionData.hpLog,
+                     partyLevels: sessionData.partyLevels,
+                     lairActionRound: sessionData.lairActionRound,
+                     revision: sessionData.revision || 0,
+                     lastUpdated: sessionData.lastUpdated,
+                     players: Object.keys(playerRegistry[sessionId] || {}).map(playerId => ({ playerId, ...playerRegistry[sessionId][playerId] })),
+                     ...(gmTokens[sessionId] ? { gmToken: gmTokens[sessionId] } : {}),
+                     // 旧会话在管理员签发令牌之前不写入标记，重新加载后仍需要管理员认领
+                     ...(unclaimedSessions.has(sessionId) ? {} : { gmTokenScheme: true })
+                 }
+             });
              console.log(`Session data persisted for ${sessionId}`);
         }
-        const diceData = diceSessions[sessionId];
+        const diceData = parts.includes('dice') ? diceSessions[sessionId] : null;
         if (diceData) {
-             await DiceSession.findOneAndUpdate(
-                 { sessionId: sessionId },
-                 { $set: { diceState: diceData.diceState, rollHistory: diceData.rollHistory, lastUpdated: diceData.lastUpdated } },
-                 { upsert: true }
-             );
+             await storage.savePartial(sessionId, {
+                 diceSession: {
+                     diceState: diceData.diceState,
+                     rollHistory: diceData.rollHistory,
+                     revision: diceData.revision || 0,
+                     lastUpdated: diceData.lastUpdated
+                 }
+             });
              console.log(`Dice session data persisted for ${sessionId}`);
         }
-        const battlefieldData = battlefieldSessions[sessionId];
+        const writeBackground = parts.includes('background');
+        const battlefieldData = parts.includes('battlefield') || writeBackground ? battlefieldSessions[sessionId] : null;
         if (battlefieldData) {
              try {
                  console.log(`Starting battlefield data persistence for ${sessionId}`);
@@ -236,15 +563,7 @@ async function persistSessionData(sessionId) {
                      // 提取 pieces 为纯粹的对象数组
                      const cleanPieces = Object.values(sanitizedData.pieces || {}).map(piece => {
                          if (!piece || typeof piece !== 'object') return null;
-                         return {
-                             id: String(piece.id || ''),
-                             x: Number(piece.x || 0),
-                             y: Number(piece.y || 0),
-                             name: String(piece.name || ''),
-                             type: String(piece.type || 'monster'),
-                             currentHp: Number(piece.currentHp || 0),
-                             maxHp: Number(piece.maxHp || 0)
-                         };
+                         return normalizePiece(piece);
                      }).filter(Boolean);
 
                      console.log(`Created fallback data with ${cleanPieces.length} pieces`);
@@ -256,34 +575,27 @@ async function persistSessionData(sessionId) {
                          'settings.gridVisible': Boolean(sanitizedData.isGridVisible),
                          'settings.pieceSize': Number(sanitizedData.pieceSize || 40),
                          'background.imageUrl': sanitizedData.backgroundImage || null,
+                         grid: sanitizedData.grid || gridUtils.createGridState(),
+                         fog: sanitizedData.fog || fogUtils.createFogState(),
+                         walls: sanitizedData.walls || [],
+                         doors: sanitizedData.doors || [],
+                         templates: sanitizedData.templates || [],
+                         difficultTerrain: sanitizedData.difficultTerrain || [],
+                         revision: battlefieldData.revision || 0,
                          lastUpdated: new Date(sanitizedData.lastUpdated || Date.now())
                      };
 
-                     await Battlefield.findOneAndUpdate(
-                         { sessionId: sessionId },
-                         { $set: updateObject },
-                         { upsert: true, new: true }
-                     );
+                     await storage.savePartial(sessionId, { battlefield: updateObject });
                      console.log(`Battlefield data persisted using fallback for ${sessionId}`);
                      return;
                  }
 
-                 // 正常流程继续
-                 const sanitizedData = JSON.parse(JSON.stringify(sanitizeBattlefieldData(battlefieldData)));
+                 // 正常流程继续 (复制时跳过背景图片)
+                 const sanitizedData = JSON.parse(JSON.stringify({ ...sanitizeBattlefieldData(battlefieldData), backgroundImage: null }));
 
                  // 从数据中提取 pieces 为纯粹的对象数组
-                 const cleanPieces = Object.values(sanitizedData.pieces || {}).map(piece => {
-                     // 最终转换确保数据类型正确
-                     return {
-                         id: String(piece.id || ''),
-                         x: Number(piece.x || 0),
-                         y: Number(piece.y || 0),
-                         name: String(piece.name || ''),
-                         type: String(piece.type || 'monster'),
-                         currentHp: Number(piece.currentHp || 0),
-                         maxHp: Number(piece.maxHp || 0)
-                     };
-                 });
+                 // 最终转换确保数据类型正确
+                 const cleanPieces = Object.values(derivePieces(sessionId, sanitizedData.pieces));
 
                  // 记录我们即将保存的数据
                  console.log(`Persisting ${cleanPieces.length} pieces for session ${sessionId}`);
@@ -291,70 +603,39 @@ async function persistSessionData(sessionId) {
                      console.log(`First piece sample (${typeof cleanPieces[0]}):`, JSON.stringify(cleanPieces[0]));
                  }
 
-                 // 构建更新对象，避免复杂的嵌套结构
-                 const updateObject = {
+                 // 构建更新对象，避免复杂的嵌套结构；背景图片可能有数 MB，只在背景变化时写入
+                 const updateObject = !parts.includes('battlefield') ? {} : {
                      pieces: cleanPieces, // 直接使用纯粹的对象数组
                      'settings.scale': Number(sanitizedData.scale || 1.0),
                      'settings.gridVisible': Boolean(sanitizedData.isGridVisible),
                      'settings.pieceSize': Number(sanitizedData.pieceSize || 40),
-                     'background.imageUrl': sanitizedData.backgroundImage || null,
+                     grid: sanitizedData.grid || gridUtils.createGridState(),
+                     fog: sanitizedData.fog || fogUtils.createFogState(),
+                     walls: sanitizedData.walls || [],
+                     doors: sanitizedData.doors || [],
+                     templates: sanitizedData.templates || [],
+                     difficultTerrain: sanitizedData.difficultTerrain || [],
                      lastUpdated: new Date(sanitizedData.lastUpdated || Date.now())
                  };
 
-                 if (sanitizedData.backgroundImage) {
+                 if (writeBackground) {
+                     updateObject['background.imageUrl'] = battlefieldData.backgroundImage || null;
                      updateObject['background.lastUpdated'] = new Date();
                  }
+                 updateObject.revision = battlefieldData.revision || 0;
 
-                 // 执行数据库更新，显式指定 options 以确保一致行为
-                 await Battlefield.findOneAndUpdate(
-                     { sessionId: sessionId },
-                     { $set: updateObject },
-                     { upsert: true, new: true }
-                 );
+                 await storage.savePartial(sessionId, { battlefield: updateObject });
 
                  console.log(`Successfully persisted battlefield data for session ${sessionId}`);
              } catch (innerError) {
                  console.error(`Error processing battlefield data for session ${sessionId}:`, innerError);
-                 // 尝试简化的保存方式
-                 try {
-                     console.log(`Trying simplified persistence for battlefield session ${sessionId}`);
-                     const simplePieces = [];
-
-                     if (battlefieldData && battlefieldData.pieces) {
-                         Object.keys(battlefieldData.pieces).forEach(id => {
-                             const piece = battlefieldData.pieces[id];
-                             if (piece && typeof piece === 'object') {
-                                 simplePieces.push({
-                                     id: String(id),
-                                     x: Number(piece.x || 0),
-                                     y: Number(piece.y || 0),
-                                     name: String(piece.name || 'Unknown'),
-                                     type: 'monster',
-                                     currentHp: 0,
-                                     maxHp: 0
-                                 });
-                             }
-                         });
-                     }
-
-                     await Battlefield.findOneAndUpdate(
-                         { sessionId: sessionId },
-                         {
-                             $set: {
-                                 pieces: simplePieces,
-                                 lastUpdated: new Date()
-                             }
-                         },
-                         { upsert: true }
-                     );
-                     console.log(`Successfully persisted simplified battlefield data for session ${sessionId}`);
-                 } catch (fallbackError) {
-                     console.error(`Even simplified persistence failed for session ${sessionId}:`, fallbackError);
-                 }
+                 // 不写入简化数据 (会用占位值覆盖生命值和类型)；抛出错误，调度器保留该会话的待写标记并重试
+                 throw innerError;
              }
         }
     } catch (error) {
-        console.error(`Error persisting data for session ${sessionId} to MongoDB:`, error);
+        console.error(`Error persisting data for session ${sessionId} to ${storage.name} storage:`, error);
+        throw error;
     }
 }
 
@@ -362,17 +643,530 @@ async function persistSessionData(sessionId) {
 function getSession(sessionId) {
     if (!sessions[sessionId]) {
         console.log(`Initializing new battle session in memory: ${sessionId}`);
-        sessions[sessionId] = { monsters: {}, monsterOrder: [], lastUpdated: Date.now() };
+        sessions[sessionId] = {
+            monsters: {},
+            monsterOrder: [],
+            initiativeOrder: [],
+            currentTurn: 0,
+            round: 0,
+            isActive: false,
+            movement: {},
+            hpLog: [],
+            partyLevels: [],
+            lairActionRound: 0, // 最近一次触发巢穴动作的轮次
+            revision: 0,
+            lastUpdated: Date.now()
+        };
     }
     return sessions[sessionId];
 }
 
+// --- 先攻追踪辅助函数 ---
+function getActiveInitiativeEntry(session) {
+    if (!session.isActive || !session.initiativeOrder.length) return null;
+    return session.initiativeOrder[session.currentTurn] || null;
+}
+
+function buildTurnPayload(session) {
+    const active = getActiveInitiativeEntry(session);
+    return {
+        currentTurn: session.currentTurn,
+        round: session.round,
+        isActive: session.isActive,
+        activeId: active ? active.id : null,
+        activeName: active ? active.name : null
+    };
+}
+
+function emitInitiativeUpdated(sessionId, session) {
+    toSession(sessionId).emit('initiative-updated', {
+        initiativeOrder: session.initiativeOrder,
+        ...buildTurnPayload(session)
+    });
+}
+
+function emitTurnChanged(sessionId, session) {
+    toSession(sessionId).emit('turn-changed', buildTurnPayload(session));
+}
+
+// 回合切换后的统一处理: 清空上一回合的移动记录 (之后不能再撤销)，结算状态持续时间
+// endedEntry 为刚结束回合的生物；回退回合 (rewind) 时不结算持续时间
+function onTurnChanged(sessionId, session, endedEntry, options = {}) {
+    session.movement = {};
+    const active = getActiveInitiativeEntry(session);
+    if (!options.rewind) {
+        advanceConditions(sessionId, session, endedEntry ? endedEntry.id : null, active ? active.id : null);
+    }
+    // 昏迷的角色在回合开始时需要进行死亡豁免
+    const activeMonster = active ? session.monsters[active.id] : null;
+    const saves = activeMonster ? getDeathSaves(activeMonster) : null;
+    if (saves && saves.state === 'unconscious') {
+        toSession(sessionId).emit('death-save-required', { monsterId: activeMonster.id, name: activeMonster.name, deathSaves: saves });
+    }
+    if (active && getBattlefieldSession(sessionId).pieces[active.id]) {
+        emitMovementUpdated(sessionId, getMovementEntry(session, active.id));
+    }
+    if (!options.rewind) {
+        // 传奇动作在生物自己的回合开始时恢复
+        if (activeMonster && activeMonster.legendaryActions && activeMonster.legendaryActions.remaining < activeMonster.legendaryActions.max) {
+            activeMonster.legendaryActions = legendaryUtils.restorePool(activeMonster.legendaryActions);
+            emitLegendaryUpdated(sessionId, activeMonster, { kind: 'legendary-actions-restored' });
+        }
+    }
+}
+
+// --- 传奇动作与巢穴动作 ---
+function emitLegendaryUpdated(sessionId, monster, used) {
+    toSession(sessionId).emit('legendary-updated', {
+        monsterId: monster.id,
+        legendaryActions: monster.legendaryActions || null,
+        legendaryResistances: monster.legendaryResistances || null,
+        lairActions: monster.lairActions || null,
+        display: {
+            legendaryActions: legendaryUtils.formatPool(monster.legendaryActions),
+            legendaryResistances: legendaryUtils.formatPool(monster.legendaryResistances)
+        },
+        used: used || null
+    });
+}
+
+// 先攻计数 20 (输掉平局): 回合切换经过计数 20 时触发 (包括所有生物先攻都不低于 20 时的轮次结束)，每轮一次
+// 在新行动者的 turn-changed 之前调用；endedEntry 为刚结束回合的生物 (战斗开始时为 null)，wrapped 表示进入了新的一轮
+function checkLairAction(sessionId, session, endedEntry, wrapped) {
+    const active = getActiveInitiativeEntry(session);
+    if (!session.isActive || !active) return;
+    const round = legendaryUtils.getLairRound(endedEntry ? endedEntry.initiative : null, active.initiative, session.round, wrapped);
+    if (!round || (session.lairActionRound || 0) >= round) return;
+    const lairMonsters = Object.values(session.monsters)
+        .filter(monster => monster && monster.lairActions && monster.lairActions.enabled && (monster.currentHp || 0) > 0);
+    if (lairMonsters.length === 0) return;
+    session.lairActionRound = round;
+    console.log(`Lair actions available in ${sessionId}, round ${round}`);
+    toSession(sessionId).emit('lair-action-triggered', {
+        round,
+        monsters: lairMonsters.map(monster => ({ id: monster.id, name: monster.name }))
+    });
+}
+
+// 读取 add-monster 参数中的传奇字段，无效时忽略
+function getLegendaryFields(monster) {
+    try {
+        return {
+            legendaryActions: legendaryUtils.normalizePool(monster.legendaryActions),
+            legendaryResistances: legendaryUtils.normalizePool(monster.legendaryResistances),
+            lairActions: legendaryUtils.normalizeLair(monster.lairActions)
+        };
+    } catch (error) {
+        console.warn(`Ignoring invalid legendary data for ${monster.id}: ${error.message}`);
+        return { legendaryActions: null, legendaryResistances: null, lairActions: null };
+    }
+}
+
+// --- 状态 ---
+// 旧数据中的状态是 JSON 字符串，读取时转换为结构化数组
+function getMonsterConditions(monster) {
+    if (!Array.isArray(monster.conditions)) {
+        monster.conditions = conditionUtils.parseConditions(monster.conditions, monster.id);
+    }
+    return monster.conditions;
+}
+
+function emitConditionsUpdated(sessionId, monster, expired = []) {
+    toSession(sessionId).emit('conditions-updated', {
+        monsterId: monster.id,
+        conditions: monster.conditions,
+        expired
+    });
+}
+
+// 回合交替时递减持续时间并移除到期的状态
+function advanceConditions(sessionId, session, endedId, startedId) {
+    Object.values(session.monsters).forEach(monster => {
+        if (!monster) return;
+        const result = conditionUtils.processTurnBoundary(getMonsterConditions(monster), { endedId, startedId });
+        if (!result.changed) return;
+        monster.conditions = result.conditions;
+        if (result.expired.length) {
+            console.log(`Conditions expired on ${monster.id} in ${sessionId}: ${result.expired.map(c => c.name).join(', ')}`);
+        }
+        emitConditionsUpdated(sessionId, monster, result.expired);
+    });
+}
+
+// --- 伤害与治疗: 服务器按增量结算，避免多个客户端同时写入生命值时互相覆盖 ---
+const HP_LOG_LIMIT = 100;
+
+// 记录生命值变化并广播增量
+function recordHpChange(sessionId, session, monster, change) {
+    const entry = {
+        id: `hp-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+        monsterId: monster.id,
+        ...change,
+        maxHp: monster.maxHp,
+        timestamp: Date.now()
+    };
+    session.hpLog.push(entry);
+    if (session.hpLog.length > HP_LOG_LIMIT) {
+        session.hpLog = session.hpLog.slice(-HP_LOG_LIMIT);
+    }
+    session.lastUpdated = Date.now();
+    toSession(sessionId).emit('hp-changed', entry);
+    toSession(sessionId).emit('monster-updated', monster);
+    notifyMonsterChanged(sessionId, monster.id);
+    return entry;
+}
+
+/**
+ * 对生物造成伤害，参数无效时抛出错误
+ * @param {{ amount?, damageType?, parts?, magical?, critical? }} options parts 为同一次攻击的多个伤害部分
+ * @param {string} source 伤害来源 (操作者或攻击者名称)
+ */
+function applyDamageToMonster(sessionId, monsterId, options, source) {
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster) throw new Error(`Monster ${monsterId} not found`);
+    const result = damageUtils.calculateDamage(monster, options);
+    const hpBefore = Number(monster.currentHp || 0);
+    const tempHpBefore = Number(monster.tempHp || 0);
+    monster.currentHp = result.currentHp;
+    monster.tempHp = result.tempHp;
+    const entry = recordHpChange(sessionId, session, monster, {
+        kind: 'damage',
+        source: source || null,
+        ...result,
+        critical: Boolean(options.critical),
+        hpDelta: result.currentHp - hpBefore,
+        tempHpDelta: result.tempHp - tempHpBefore
+    });
+    updateDeathSavesAfterDamage(sessionId, monster, hpBefore, entry);
+    return entry;
+}
+
+function applyHealingToMonster(sessionId, monsterId, options, source) {
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster) throw new Error(`Monster ${monsterId} not found`);
+    const result = damageUtils.calculateHealing(monster, options);
+    const hpBefore = Number(monster.currentHp || 0);
+    const tempHpBefore = Number(monster.tempHp || 0);
+    monster.currentHp = result.currentHp;
+    monster.tempHp = result.tempHp;
+    const entry = recordHpChange(sessionId, session, monster, {
+        kind: result.temporary ? 'temp-hp' : 'healing',
+        source: source || null,
+        ...result,
+        hpDelta: result.currentHp - hpBefore,
+        tempHpDelta: result.tempHp - tempHpBefore
+    });
+    // 从 0 生命值被治疗后恢复意识 (死亡的生物需要 GM 复活)
+    const saves = getDeathSaves(monster);
+    if (saves && hpBefore === 0 && monster.currentHp > 0 && (saves.state === 'unconscious' || saves.state === 'stable')) {
+        setDeathSaves(sessionId, monster, deathSaveUtils.createDeathSaveState('conscious'));
+    }
+    return entry;
+}
+
+// --- 死亡豁免 (非怪物类型) ---
+function getDeathSaves(monster) {
+    if (!deathSaveUtils.isTrackedCreature(monster)) return null;
+    if (!monster.deathSaves) {
+        monster.deathSaves = deathSaveUtils.createDeathSaveState(Number(monster.currentHp || 0) > 0 ? 'conscious' : 'unconscious');
+    }
+    return monster.deathSaves;
+}
+
+// 更新死亡豁免，棋子的生命状态随之变化
+function setDeathSaves(sessionId, monster, saves, details = {}) {
+    monster.deathSaves = saves;
+    getSession(sessionId).lastUpdated = Date.now();
+    toSession(sessionId).emit('death-save-updated', { monsterId: monster.id, deathSaves: saves, ...details });
+    notifyMonsterChanged(sessionId, monster.id);
+}
+
+function updateDeathSavesAfterDamage(sessionId, monster, hpBefore, damageEntry) {
+    const saves = getDeathSaves(monster);
+    // 只有穿过临时生命值的伤害才算受到伤害 (0 生命值时 hpLoss 总是 0，不能用来判断)
+    const damageAfterTemp = damageEntry.applied - (damageEntry.absorbedByTemp || 0);
+    if (!saves || damageAfterTemp <= 0) return;
+    if (hpBefore > 0 && monster.currentHp === 0) {
+        setDeathSaves(sessionId, monster, deathSaveUtils.dropToZero(Number(monster.maxHp || 0), damageEntry.overflow));
+    } else if (hpBefore === 0) {
+        setDeathSaves(sessionId, monster, deathSaveUtils.takeDamageAtZero(saves, {
+            damage: damageAfterTemp,
+            maxHp: Number(monster.maxHp || 0),
+            critical: damageEntry.critical
+        }));
+    }
+}
+
+// 第一个保留的 d20 的自然点数
+function getNaturalD20(roll) {
+    const node = dice.collectDiceNodes(roll.breakdown).find(entry => entry.sides === 20);
+    const kept = node ? node.dice.find(die => die.kept) : null;
+    return kept ? kept.natural : null;
+}
+
+// --- 专注 ---
+// concentratingOn: { spell, effects: [{ type: 'condition', monsterId, conditionId } | { type: 'template', templateId }], autoRoll, startedAt }
+function getSavingThrowModifier(monster, ability) {
+    const saves = monster.savingThrows || {};
+    if (typeof saves[ability] === 'number') return saves[ability];
+    const score = monster.abilities ? Number(monster.abilities[ability]) : NaN;
+    return Number.isFinite(score) ? statBlock.getAbilityModifier(score) : 0;
+}
+
+// --- 动作 ---
+function rollSummary(roll) {
+    return { rollId: roll.id, total: roll.grandTotal, display: roll.display };
+}
+
+/**
+ * 执行生物的动作: 攻击动作先投命中 (对比目标 AC)，豁免动作由目标在服务器端投豁免，
+ * 然后投伤害 (重击时伤害骰翻倍)。所有投掷都写入骰子历史并标记动作来源。
+ * applyDamage 为 true 且命中/豁免失败时对目标造成伤害。
+ * @param {{ actionId, targetId?, applyDamage?, advantage?, disadvantage?, visibility? }} options
+ */
+function useMonsterAction(sessionId, monsterId, options) {
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster) throw new Error(`Monster ${monsterId} not found`);
+    const action = (monster.actions || []).find(entry => entry.id === options.actionId || entry.name === options.actionId);
+    if (!action) throw new Error(`Action ${options.actionId} not found`);
+    const target = options.targetId ? session.monsters[options.targetId] : null;
+    if (options.targetId && !target) throw new Error(`Target ${options.targetId} not found`);
+
+    const visibility = options.visibility === 'gm' ? 'gm' : 'public'; // 服务器端投掷没有私聊对象
+    const tags = { monsterId, actionId: action.id, ...(target ? { targetId: target.id } : {}) };
+    const result = { monsterId, actionId: action.id, actionName: action.name, kind: action.kind, targetId: target ? target.id : null };
+    let critical = false;
+    let damageMultiplier = 1;
+
+    if (action.kind === 'attack') {
+        let d20 = '1d20';
+        if (options.advantage && !options.disadvantage) d20 = '2d20kh1';
+        if (options.disadvantage && !options.advantage) d20 = '2d20kl1';
+        const attackRoll = rollOnServer(sessionId, {
+            playerName: monster.name,
+            expression: `${d20}${action.toHit >= 0 ? '+' : ''}${action.toHit}`,
+            visibility,
+            tags: { ...tags, kind: 'attack' }
+        });
+        const natural = getNaturalD20(attackRoll);
+        critical = natural === 20;
+        result.attack = { ...rollSummary(attackRoll), natural, critical, fumble: natural === 1 };
+        if (target && target.armorClass !== null && target.armorClass !== undefined) {
+            result.attack.targetAc = target.armorClass;
+            result.attack.hit = natural !== 1 && (critical || attackRoll.grandTotal >= target.armorClass);
+            if (!result.attack.hit) damageMultiplier = 0;
+        }
+    } else if (action.kind === 'save' && target) {
+        const modifier = getSavingThrowModifier(target, action.saveAbility);
+        const saveRoll = rollOnServer(sessionId, {
+            playerName: target.name,
+            expression: `1d20${modifier >= 0 ? '+' : ''}${modifier}`,
+            visibility,
+            tags: { ...tags, kind: 'saving-throw', ability: action.saveAbility }
+        });
+        const success = saveRoll.grandTotal >= action.saveDc;
+        result.save = { ...rollSummary(saveRoll), ability: action.saveAbility, dc: action.saveDc, success };
+        if (success) damageMultiplier = action.halfOnSave ? 0.5 : 0;
+    }
+
+    result.damage = action.damage.map(part => {
+        const damageRoll = rollOnServer(sessionId, {
+            playerName: monster.name,
+            expression: part.formula,
+            critical,
+            visibility,
+            tags: { ...tags, kind: 'damage', damageType: part.type }
+        });
+        return { ...rollSummary(damageRoll), damageType: part.type, amount: Math.floor(damageRoll.grandTotal * damageMultiplier) };
+    });
+
+    // 所有伤害部分作为一次伤害结算，只触发一次专注检定和死亡豁免失败
+    const parts = result.damage.filter(part => part.amount > 0);
+    if (options.applyDamage && target && damageMultiplier > 0 && parts.length > 0) {
+        const entry = applyDamageToMonster(sessionId, target.id, {
+            parts: parts.map(part => ({ amount: part.amount, damageType: part.damageType })),
+            magical: action.magical,
+            critical
+        }, monster.name);
+        checkConcentration(sessionId, target.id, entry, false);
+        result.applied = [entry.id];
+    }
+    result.visibility = visibility;
+    return result;
+}
+
+// 发送动作结果；GM 可见的动作只把投掷结果发给能看到这些投掷的成员，其他人收到不含投掷的结果
+function emitActionUsed(sessionId, result) {
+    if (result.visibility !== 'gm') {
+        toSession(sessionId).emit('action-used', result);
+        return;
+    }
+    const { attack, save, damage, ...redacted } = result;
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        const visible = canViewRoll({ visibility: result.visibility }, members[socketId]);
+        toMember(sessionId, socketId).emit('action-used', visible ? result : { ...redacted, hidden: true });
+    });
+}
+
+function emitConcentrationUpdated(sessionId, monster, reason) {
+    toSession(sessionId).emit('concentration-updated', {
+        monsterId: monster.id,
+        concentratingOn: monster.concentratingOn || null,
+        ...(reason ? { reason } : {})
+    });
+}
+
+// 结束专注，并移除与该法术关联的状态和范围模板
+function dropConcentration(sessionId, monsterId, reason) {
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster || !monster.concentratingOn) return;
+    const effects = Array.isArray(monster.concentratingOn.effects) ? monster.concentratingOn.effects : [];
+    const battlefield = getBattlefieldSession(sessionId);
+    let templatesChanged = false;
+    effects.forEach(effect => {
+        if (effect.type === 'condition') {
+            const target = session.monsters[effect.monsterId];
+            if (!target) return;
+            const conditions = getMonsterConditions(target);
+            if (!conditions.some(condition => condition.id === effect.conditionId)) return;
+            target.conditions = conditions.filter(condition => condition.id !== effect.conditionId);
+            emitConditionsUpdated(sessionId, target);
+        } else if (effect.type === 'template') {
+            if (!battlefield.templates.some(template => template.id === effect.templateId)) return;
+            battlefield.templates = battlefield.templates.filter(template => template.id !== effect.templateId);
+            toSession(sessionId).emit('template-removed', { templateId: effect.templateId });
+            templatesChanged = true;
+        }
+    });
+    if (templatesChanged) {
+        battlefield.lastUpdated = Date.now();
+        syncTemplateTargets(sessionId);
+    }
+    console.log(`${monsterId} in ${sessionId} lost concentration on ${monster.concentratingOn.spell} (${reason})`);
+    monster.concentratingOn = null;
+    session.lastUpdated = Date.now();
+    emitConcentrationUpdated(sessionId, monster, reason);
+}
+
+// 删除生物之前调用: 结束其专注 (移除它施加在其他生物上的状态和范围模板)，并清除其移动记录
+function releaseRemovedMonsters(sessionId, monsterIds) {
+    const session = getSession(sessionId);
+    monsterIds.forEach(id => {
+        if (!session.monsters[id]) return;
+        dropConcentration(sessionId, id, 'removed');
+        if (session.movement) delete session.movement[id];
+    });
+}
+
+/**
+ * 专注中的生物受到伤害后发起专注检定 (DC = max(10, 伤害的一半))
+ * 降到 0 生命值时直接失去专注；autoRoll 时在服务器投体质豁免并在失败时结束专注
+ */
+function checkConcentration(sessionId, monsterId, damageEntry, autoRoll) {
+    const monster = getSession(sessionId).monsters[monsterId];
+    if (!monster || !monster.concentratingOn || damageEntry.applied <= 0) return;
+    if (monster.currentHp <= 0) {
+        dropConcentration(sessionId, monsterId, 'incapacitated');
+        return;
+    }
+    const check = {
+        monsterId,
+        monsterName: monster.name,
+        spell: monster.concentratingOn.spell,
+        damage: damageEntry.applied,
+        dc: Math.max(10, Math.floor(damageEntry.applied / 2))
+    };
+    if (autoRoll || monster.concentratingOn.autoRoll) {
+        const modifier = getSavingThrowModifier(monster, 'con');
+        const roll = rollOnServer(sessionId, {
+            playerName: monster.name,
+            expression: `1d20${modifier >= 0 ? '+' : ''}${modifier}`,
+            tags: { monsterId, kind: 'concentration-save' }
+        });
+        check.roll = { id: roll.id, total: roll.grandTotal, display: roll.display };
+        check.success = roll.grandTotal >= check.dc;
+    }
+    toSession(sessionId).emit('concentration-check', check);
+    if (check.success === false) {
+        dropConcentration(sessionId, monsterId, 'failed-save');
+    }
+}
+
+// 当前行动者本回合的移动记录，不存在时按怪物速度创建
+function getMovementEntry(session, pieceId) {
+    if (!session.movement[pieceId]) {
+        const monster = session.monsters[pieceId];
+        session.movement[pieceId] = movementUtils.createMovementEntry(
+            pieceId,
+            movementUtils.parseSpeed(monster && monster.speed),
+            session.round
+        );
+    }
+    return session.movement[pieceId];
+}
+
+// 移动记录包含坐标，只发给能看到该棋子的成员
+function emitMovementUpdated(sessionId, entry) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const piece = battlefield.pieces[entry.pieceId];
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        if (piece && canSeePiece(battlefield, piece, members[socketId])) {
+            toMember(sessionId, socketId).emit('movement-updated', movementUtils.summarizeMovement(entry));
+        }
+    });
+}
+
+// 从先攻顺序中移除生物，并保持当前行动者不变 (若被移除则顺延到下一位)
+function removeFromInitiative(session, ids) {
+    const removeSet = new Set(ids);
+    if (!session.initiativeOrder.some(entry => removeSet.has(entry.id))) return false;
+
+    const active = getActiveInitiativeEntry(session);
+    let newTurn = session.currentTurn;
+    session.initiativeOrder.forEach((entry, index) => {
+        if (removeSet.has(entry.id) && index < session.currentTurn) newTurn--;
+    });
+    session.initiativeOrder = session.initiativeOrder.filter(entry => !removeSet.has(entry.id));
+
+    if (active && !removeSet.has(active.id)) {
+        newTurn = session.initiativeOrder.findIndex(entry => entry.id === active.id);
+    }
+    if (newTurn >= session.initiativeOrder.length) {
+        // 移除的是队尾的当前行动者，进入下一轮
+        newTurn = 0;
+        if (session.isActive) session.round++;
+    }
+    session.currentTurn = Math.max(0, newTurn);
+    if (!session.initiativeOrder.length) {
+        session.isActive = false;
+        session.round = 0;
+    }
+    return true;
+}
+
+// 当前行动者被移出先攻后，新的行动者按正常的回合切换处理 (重置移动、结算状态、传奇和巢穴动作)
+// wasRound 为移除前的轮次，移除队尾行动者会进入下一轮
+function handleActiveRemoved(sessionId, session, wasActive, wasRound) {
+    const active = getActiveInitiativeEntry(session);
+    if (!wasActive || (active && active.id === wasActive.id)) return;
+    if (active) checkLairAction(sessionId, session, wasActive, session.round > wasRound);
+    emitTurnChanged(sessionId, session);
+    if (active) onTurnChanged(sessionId, session, wasActive);
+}
+
 function getDiceSession(sessionId) {
     if (!diceSessions[sessionId]) {
         console.log(`Initializing new dice session in memory: ${sessionId}`);
         diceSessions[sessionId] = {
             diceState: { dice: { d4: 0, d6: 0, d8: 0, d10: 0, d12: 0, d20: 0 }, advantage: false, disadvantage: false },
             rollHistory: [],
+            revision: 0,
             lastUpdated: Date.now()
         };
     }
@@ -388,6 +1182,13 @@ function getBattlefieldSession(sessionId) {
             scale: 1.0,
             isGridVisible: true,
             pieceSize: 40,
+            grid: gridUtils.createGridState(),
+            fog: fogUtils.createFogState(),
+            walls: [],
+            doors: [],
+            templates: [],
+            difficultTerrain: [],
+            revision: 0,
             lastUpdated: Date.now()
         };
     } else {
@@ -412,6 +1213,323 @@ function getBattlefieldSession(sessionId) {
 }
 // -----------------------------------------------------
 
+// --- 会话成员、角色权限 & 骰子可见性 ---
+const ROLL_VISIBILITIES = ['public', 'gm', 'self', 'whisper'];
+
+// 任何已加入会话的成员 (包括观众) 都可以发送的只读事件
+const READ_EVENTS = ['request-latest-state', 'request-latest-dice-state', 'request-latest-battlefield-state', 'measure-distance'];
+// 玩家和 GM 可以发送的事件；不在这两个列表中的事件默认只有 GM 可以发送
+const PLAYER_EVENTS = ['roll-dice', 'update-dice-state', 'move-piece', 'reveal-roll', 'update-door-state',
+    'place-template', 'update-template', 'remove-template', 'set-movement-flags', 'undo-move',
+    'roll-death-save'];
+
+function isGM(member) {
+    return Boolean(member && member.role === 'gm');
+}
+
+// 旧版客户端以字符串 sessionId 加入时的角色 (见 README 中的迁移说明)；
+// 设为 gm 时不校验令牌，只应在迁移期间的可信部署中使用
+const LEGACY_JOIN_ROLE = ['gm', 'player', 'spectator'].includes(process.env.LEGACY_JOIN_ROLE) ? process.env.LEGACY_JOIN_ROLE : 'player';
+
+// 根据加入时提供的信息确定角色；请求 GM 但令牌无效时降级为玩家
+function resolveJoinRole(sessionId, joinData) {
+    const expectedToken = gmTokens[sessionId];
+    if (joinData.legacy && LEGACY_JOIN_ROLE === 'gm') {
+        return { role: 'gm' };
+    }
+    if (joinData.gmToken && verifyGmToken(expectedToken, joinData.gmToken)) {
+        return { role: 'gm' };
+    }
+    if (joinData.role === 'gm') {
+        if (unclaimedSessions.has(sessionId)) {
+            return { role: 'player', denied: 'Session has no GM token; an administrator must issue one' };
+        }
+        if (!expectedToken) {
+            // 新会话还没有 GM，第一个请求 GM 的连接获得新令牌
+            gmTokens[sessionId] = generateGmToken();
+            return { role: 'gm', issuedToken: gmTokens[sessionId] };
+        }
+        return { role: 'player', denied: 'Invalid GM token' };
+    }
+    return { role: joinData.role === 'spectator' ? 'spectator' : 'player' };
+}
+
+// --- 玩家身份: 玩家名第一次加入时由服务器分配 playerId 和令牌，之后以该名字加入需要提供令牌 ---
+// 棋子和模板的归属以 playerId 为准，玩家名只用于显示
+const MAX_PLAYER_NAME_LENGTH = 50;
+
+function getPlayerRegistry(sessionId) {
+    if (!playerRegistry[sessionId]) playerRegistry[sessionId] = {};
+    return playerRegistry[sessionId];
+}
+
+function findPlayerIdByName(sessionId, playerName) {
+    const registry = getPlayerRegistry(sessionId);
+    const name = String(playerName).toLowerCase();
+    return Object.keys(registry).find(playerId => String(registry[playerId].playerName).toLowerCase() === name) || null;
+}
+
+// 公开的玩家列表 (不含令牌)
+function listPlayers(sessionId) {
+    const registry = getPlayerRegistry(sessionId);
+    return Object.keys(registry).map(playerId => ({ playerId, playerName: registry[playerId].playerName }));
+}
+
+/**
+ * 校验非 GM 成员的玩家名: 不能使用保留的 "GM"，不能与会话中其他连接重名
+ * @returns {string|null} 错误信息
+ */
+function validatePlayerName(sessionId, socketId, playerName) {
+    if (playerName.length > MAX_PLAYER_NAME_LENGTH) {
+        return `Player name must be at most ${MAX_PLAYER_NAME_LENGTH} characters`;
+    }
+    if (playerName.toUpperCase() === GM_OWNER) {
+        return `Player name "${GM_OWNER}" is reserved`;
+    }
+    const members = sessionMembers[sessionId] || {};
+    const inUse = Object.keys(members).some(id => id !== socketId
+        && members[id].playerName && members[id].playerName.toLowerCase() === playerName.toLowerCase());
+    return inUse ? `Player name "${playerName}" is already in use in this session` : null;
+}
+
+/**
+ * 确定玩家的身份: 新名字注册新的 playerId；已注册的名字需要提供该玩家的令牌
+ * GM 释放过令牌的名字 (token 为 null) 由下一个使用该名字的玩家重新认领
+ * @returns {{ playerId, issuedToken? } | { error }}
+ */
+function resolvePlayerIdentity(sessionId, playerName, playerToken) {
+    const registry = getPlayerRegistry(sessionId);
+    const existingId = findPlayerIdByName(sessionId, playerName);
+    if (existingId && registry[existingId].token) {
+        if (!verifyGmToken(registry[existingId].token, playerToken)) {
+            return { error: `Player name "${playerName}" belongs to another player (playerToken required)` };
+        }
+        return { playerId: existingId };
+    }
+    const identity = generatePlayerIdentity();
+    const playerId = existingId || identity.playerId;
+    registry[playerId] = { playerName: existingId ? registry[existingId].playerName : playerName, token: identity.token };
+    return { playerId, issuedToken: identity.token };
+}
+
+// 棋子归属: "GM"、playerId 或已注册的玩家名 (转换为 playerId)；
+// 未注册的名字原样保存，在该名字注册时转换 (见 claimNamedOwnership)
+function resolveOwner(sessionId, owner) {
+    if (!owner || owner === GM_OWNER) return GM_OWNER;
+    const registry = getPlayerRegistry(sessionId);
+    if (registry[owner]) return owner;
+    return findPlayerIdByName(sessionId, owner) || String(owner);
+}
+
+// 旧数据 (或 GM 预先指定) 中以玩家名记录的归属，在该名字注册后改为 playerId
+function claimNamedOwnership(sessionId, playerName, playerId) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const session = getSession(sessionId);
+    const pieceIds = Object.keys(battlefield.pieces || {}).filter(pieceId => {
+        const piece = battlefield.pieces[pieceId];
+        if (!piece || typeof piece !== 'object' || piece.owner !== playerName) return false;
+        piece.owner = playerId;
+        return true;
+    });
+    const templates = (battlefield.templates || []).filter(template => {
+        if (template.owner !== playerName) return false;
+        template.owner = playerId;
+        return true;
+    });
+    Object.values(session.monsters).forEach(monster => {
+        if (monster && monster.owner === playerName) monster.owner = playerId;
+    });
+    return { pieceIds, templates };
+}
+
+function isEventAllowed(eventName, member) {
+    if (!member) return false;
+    if (member.role === 'gm') return true;
+    if (READ_EVENTS.includes(eventName)) return true;
+    return member.role === 'player' && PLAYER_EVENTS.includes(eventName);
+}
+
+function getMember(sessionId, socketId) {
+    return sessionMembers[sessionId] ? sessionMembers[sessionId][socketId] : undefined;
+}
+
+function removeMemberFromAllSessions(socketId) {
+    Object.keys(sessionMembers).forEach(sessionId => {
+        delete sessionMembers[sessionId][socketId];
+        if (Object.keys(sessionMembers[sessionId]).length === 0) {
+            delete sessionMembers[sessionId];
+            scheduleEviction(sessionId); // 房间空闲后开始计时，到期写入并移出内存
+        }
+    });
+}
+
+// 投掷者身份: 玩家为其 playerId，GM 共用 GM_OWNER；投掷记录的可见性以此为准而不是显示的名字
+function getRollerId(member) {
+    if (isGM(member)) return GM_OWNER;
+    return member && member.playerId ? member.playerId : null;
+}
+
+// 判断某个成员能否看到某条投掷记录
+function canViewRoll(roll, member) {
+    if (!roll.visibility || roll.visibility === 'public') return true;
+    if (!member) return false;
+    if (roll.rollerId && getRollerId(member) === roll.rollerId) return true; // 投掷者本人总能看到
+    if (roll.visibility === 'gm') return isGM(member);
+    if (roll.visibility === 'whisper') {
+        return Boolean(member.playerId) && Array.isArray(roll.whisperToIds) && roll.whisperToIds.includes(member.playerId);
+    }
+    return false; // self
+}
+
+function getVisibleRollHistory(diceSession, member) {
+    return diceSession.rollHistory.filter(roll => canViewRoll(roll, member));
+}
+
+// 写入冲突时发送给客户端的当前状态 (按成员角色过滤)
+// 发给单个成员的战斗状态: 移动记录包含棋子的位置，非 GM 只能看到能看到的棋子的记录 (与 emitMovementUpdated 一致)
+function buildMemberSessionState(sessionId, member) {
+    const session = getSession(sessionId);
+    if (isGM(member)) return session;
+    const battlefield = getBattlefieldSession(sessionId);
+    const movement = Object.keys(session.movement || {}).reduce((acc, pieceId) => {
+        const piece = battlefield.pieces[pieceId];
+        if (piece && canSeePiece(battlefield, piece, member)) acc[pieceId] = session.movement[pieceId];
+        return acc;
+    }, {});
+    return { ...session, movement };
+}
+
+function buildConflictState(sessionId, scope, member) {
+    if (scope === 'dice') {
+        const diceSession = getDiceSession(sessionId);
+        return { diceState: diceSession.diceState, rollHistory: getVisibleRollHistory(diceSession, member) };
+    }
+    if (scope === 'battlefield') return buildBattlefieldView(sessionId, member);
+    return buildMemberSessionState(sessionId, member);
+}
+
+// 版本号冲突的详情: 过期的子状态、当前版本号和该成员可见的当前状态
+function buildRevisionConflict(sessionId, staleScope, member) {
+    const revisions = getRevisions(sessionId);
+    return {
+        scope: staleScope,
+        revision: revisions[staleScope],
+        revisions,
+        state: buildConflictState(sessionId, staleScope, member)
+    };
+}
+
+// 按可见性发送投掷结果；GM 暗骰会给其他人发送不含结果的占位事件
+// 服务器自动投掷 (豁免、攻击等) 没有 senderSocket
+function emitRoll(sessionId, roll, senderSocket) {
+    if (!roll.visibility || roll.visibility === 'public') {
+        toSession(sessionId).emit('dice-rolled', roll);
+        return;
+    }
+    const members = sessionMembers[sessionId] || {};
+    const senderId = senderSocket ? senderSocket.id : null;
+    if (senderSocket && !members[senderId]) {
+        senderSocket.emit('dice-rolled', roll);
+    }
+    Object.keys(members).forEach(socketId => {
+        if (socketId === senderId || canViewRoll(roll, members[socketId])) {
+            toMember(sessionId, socketId).emit('dice-rolled', roll);
+        } else if (roll.visibility === 'gm') {
+            toMember(sessionId, socketId).emit('hidden-roll', {
+                id: roll.id,
+                playerName: roll.playerName,
+                visibility: roll.visibility,
+                timestamp: roll.timestamp
+            });
+        }
+    });
+}
+
+function addRollToHistory(sessionId, roll) {
+    const diceSession = getDiceSession(sessionId);
+    if (diceSession.rollHistory.length >= 50) { // 增加历史记录容量
+        diceSession.rollHistory.shift();
+    }
+    diceSession.rollHistory.push(roll);
+    diceSession.lastUpdated = roll.timestamp;
+    persistSessionData(sessionId, ['dice']).catch(err => console.error("Async persist error (roll-history):", err));
+}
+
+/**
+ * 服务器代表生物投掷并写入骰子历史
+ * @param {{ playerName, expression, visibility?, critical?, tags? }} options tags 用于标记投掷来源 (如 { monsterId, kind })
+ */
+function rollOnServer(sessionId, options) {
+    const result = dice.rollExpression(options.expression, { critical: Boolean(options.critical) });
+    const now = Date.now();
+    const roll = {
+        id: `roll-${now}-${Math.round(Math.random() * 1E9)}`,
+        playerName: options.playerName,
+        rolls: dice.summarizeByDieType(result.breakdown),
+        grandTotal: result.total,
+        visibility: options.visibility || 'public',
+        timestamp: now,
+        expression: result.expression,
+        breakdown: result.breakdown,
+        display: result.display,
+        ...(options.tags ? { tags: options.tags } : {})
+    };
+    addRollToHistory(sessionId, roll);
+    emitRoll(sessionId, roll, null);
+    return roll;
+}
+
+// 棋子的 owner 为 playerId 或 GM_OWNER (尚未注册的玩家名见 resolveOwner)
+const GM_OWNER = 'GM';
+
+// 将棋子转换为字段类型正确的纯对象 (用于广播和持久化)
+function normalizePiece(piece, fallbackId) {
+    const id = String(piece.id || fallbackId || '');
+    return {
+        id,
+        monsterId: String(piece.monsterId || id), // 引用的战斗助手生物，显示字段以生物为准
+        x: Number(piece.x || 0),
+        y: Number(piece.y || 0),
+        name: String(piece.name || 'Unknown'),
+        type: String(piece.type || 'monster'),
+        currentHp: Number(piece.currentHp || 0),
+        maxHp: Number(piece.maxHp || 0),
+        owner: String(piece.owner || GM_OWNER),
+        size: gridUtils.normalizeSize(piece.size), // 体型: tiny ~ gargantuan，决定占用的格子数
+        visionRadius: Number(piece.visionRadius) > 0 ? Number(piece.visionRadius) : null, // 英尺，null 表示不限
+        status: deathSaveUtils.DEATH_STATES.includes(piece.status) ? piece.status : 'conscious' // 昏迷/稳定/死亡
+    };
+}
+
+// 棋子的名称、生命值和生命状态来自其引用的生物 (唯一数据源)
+function getPieceDisplayFields(monster) {
+    return {
+        name: String(monster.name || 'Unknown'),
+        type: String(monster.type || 'monster'),
+        currentHp: Number(monster.currentHp || 0),
+        maxHp: Number(monster.maxHp || 0),
+        tempHp: Number(monster.tempHp || 0),
+        status: monster.deathSaves ? monster.deathSaves.state : 'conscious'
+    };
+}
+
+// 规范化并用生物数据覆盖棋子的显示字段；生物不存在时保留棋子自身的快照
+function derivePieces(sessionId, pieces) {
+    const monsters = sessions[sessionId] ? sessions[sessionId].monsters : {};
+    return Object.keys(pieces || {}).reduce((acc, pieceId) => {
+        const piece = normalizePiece(pieces[pieceId], pieceId);
+        const monster = monsters[piece.monsterId];
+        acc[pieceId] = monster ? { ...piece, ...getPieceDisplayFields(monster) } : piece;
+        return acc;
+    }, {});
+}
+
+// 玩家只能移动自己的棋子，GM 可以移动任何棋子
+function canMovePiece(member, piece) {
+    if (isGM(member)) return true;
+    return Boolean(member && member.playerId && piece && piece.owner === member.playerId);
+}
+
 // 将 sanitizeBattlefieldData 函数移到全局作用域
 // 添加这个辅助函数，确保战场数据中的pieces都是合法对象
 function sanitizeBattlefieldData(battlefieldData) {
@@ -443,15 +1561,7 @@ function sanitizeBattlefieldData(battlefieldData) {
             // 确保piece有必要的字段
             if (piece && typeof piece === 'object' && piece.id) {
                 // 创建一个有效的piece对象，确保所有字段类型正确
-                sanitizedData.pieces[pieceId] = {
-                    id: String(piece.id || pieceId),
-                    x: Number(piece.x || 0),
-                    y: Number(piece.y || 0),
-                    name: String(piece.name || 'Unknown'),
-                    type: String(piece.type || 'monster'),
-                    currentHp: Number(piece.currentHp || 0),
-                    maxHp: Number(piece.maxHp || 0)
-                };
+                sanitizedData.pieces[pieceId] = normalizePiece(piece, pieceId);
             }
         });
 
@@ -463,138 +1573,825 @@ function sanitizeBattlefieldData(battlefieldData) {
     }
 }
 
+// --- 战场视图: 按成员角色过滤迷雾和视线之外的内容 ---
+function getBattlefieldPieceCenter(battlefield, piece) {
+    return getPieceCenter(piece, gridUtils.getPiecePixelSize(battlefield.grid, piece));
+}
+
+// 视野半径以英尺为单位，按网格比例换算为像素
+function getVisionRadiusInPixels(battlefield, piece) {
+    const radius = Number(piece.visionRadius);
+    if (!(radius > 0)) return null;
+    return radius * (battlefield.grid.cellSize / battlefield.grid.feetPerCell);
+}
+
+function isOwnPiece(piece, member) {
+    return Boolean(member && member.playerId && piece.owner === member.playerId);
+}
+
+function getOwnedPieces(battlefield, member) {
+    return Object.values(battlefield.pieces || {}).filter(piece => piece && isOwnPiece(piece, member));
+}
+
+// 玩家拥有棋子时，其他棋子必须在至少一个自有棋子的视线内
+function isInLineOfSight(battlefield, point, member) {
+    const viewers = getOwnedPieces(battlefield, member);
+    if (viewers.length === 0) return true;
+    const segments = vision.getBlockingSegments(battlefield);
+    return viewers.some(viewer => vision.isPointVisible(
+        getBattlefieldPieceCenter(battlefield, viewer),
+        point,
+        segments,
+        getVisionRadiusInPixels(battlefield, viewer)
+    ));
+}
+
+function canSeePiece(battlefield, piece, member) {
+    if (isGM(member)) return true;
+    if (isOwnPiece(piece, member)) return true; // 自己的棋子总是可见
+    const center = getBattlefieldPieceCenter(battlefield, piece);
+    return fogUtils.isPointRevealed(battlefield.fog, center) && isInLineOfSight(battlefield, center, member);
+}
+
+// 玩家每个自有棋子的可见区域多边形
+function computeMemberVisibility(battlefield, member) {
+    const segments = vision.getBlockingSegments(battlefield);
+    return getOwnedPieces(battlefield, member).map(piece => ({
+        pieceId: piece.id,
+        points: vision.computeVisibilityPolygon(
+            getBattlefieldPieceCenter(battlefield, piece),
+            segments,
+            getVisionRadiusInPixels(battlefield, piece)
+        )
+    }));
+}
+
+function getVisiblePieces(sessionId, member) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const pieces = derivePieces(sessionId, sanitizeBattlefieldData(battlefield).pieces);
+    if (isGM(member)) return pieces;
+    return Object.keys(pieces).reduce((acc, pieceId) => {
+        if (canSeePiece(battlefield, pieces[pieceId], member)) {
+            acc[pieceId] = pieces[pieceId];
+        }
+        return acc;
+    }, {});
+}
+
+// GM 看到全部内容和半透明迷雾；玩家只收到迷雾遮罩和已揭示区域内的棋子
+function buildBattlefieldView(sessionId, member) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const view = {
+        ...sanitizeBattlefieldData(battlefield),
+        pieces: getVisiblePieces(sessionId, member),
+        fog: fogUtils.buildFogView(battlefield.fog || fogUtils.createFogState(), isGM(member))
+    };
+    if (!isGM(member)) {
+        view.visibility = computeMemberVisibility(battlefield, member);
+    }
+    view.templateTargets = buildTemplateTargets(battlefield, member);
+    return view;
+}
+
+// 生成成员的战场视图，并记录其已知的可见棋子和模板命中结果 (之后只发送变化)
+function buildMemberBattlefieldState(sessionId, member) {
+    const view = buildBattlefieldView(sessionId, member);
+    if (member) {
+        member.visiblePieceIds = new Set(Object.keys(view.pieces));
+        member.templateTargetsKey = JSON.stringify(view.templateTargets);
+    }
+    return view;
+}
+
+function emitBattlefieldStateTo(sessionId, socketId) {
+    const view = buildMemberBattlefieldState(sessionId, getMember(sessionId, socketId));
+    toMember(sessionId, socketId).emit('battlefield-state-updated', { state: view });
+}
+
+function emitBattlefieldState(sessionId) {
+    Object.keys(sessionMembers[sessionId] || {}).forEach(socketId => emitBattlefieldStateTo(sessionId, socketId));
+}
+
+// 可见棋子集合发生变化时，只向受影响的玩家发送棋子列表 (不含背景图)
+function syncVisiblePieces(sessionId) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        const member = members[socketId];
+        if (isGM(member)) return;
+        const pieces = getVisiblePieces(sessionId, member);
+        const ids = Object.keys(pieces);
+        const known = member.visiblePieceIds || new Set();
+        if (ids.length === known.size && ids.every(id => known.has(id))) return;
+        member.visiblePieceIds = new Set(ids);
+        toMember(sessionId, socketId).emit('visible-pieces-updated', { pieces });
+    });
+}
+
+// 只发给能看到该棋子的成员 (棋子的属性变化不能透露迷雾或视线之外的棋子)
+function emitToPieceViewers(sessionId, piece, eventName, payload) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        if (canSeePiece(battlefield, piece, members[socketId])) {
+            toMember(sessionId, socketId).emit(eventName, payload);
+        }
+    });
+}
+
+// 只向能看到该棋子的其他客户端广播移动
+function emitPieceMoved(sessionId, pieceId, senderSocketId) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const piece = battlefield.pieces[pieceId];
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        if (socketId === senderSocketId) return;
+        const member = members[socketId];
+        const knowsPiece = isGM(member) || (member.visiblePieceIds && member.visiblePieceIds.has(pieceId));
+        if (knowsPiece && canSeePiece(battlefield, piece, member)) {
+            toMember(sessionId, socketId).emit('piece-moved', { pieceId, x: piece.x, y: piece.y });
+        }
+    });
+    // 玩家棋子移动后，其主人的视野随之变化
+    if (piece.owner !== GM_OWNER) {
+        emitVisibility(sessionId, piece.owner);
+    }
+    syncVisiblePieces(sessionId);
+    syncTemplateTargets(sessionId);
+}
+
+// 生物数据变化后，向能看到相关棋子的成员发送棋子的新显示字段 (不发送整个战场)
+function notifyMonsterChanged(sessionId, monsterId) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const pieces = derivePieces(sessionId, battlefield.pieces);
+    const members = sessionMembers[sessionId] || {};
+    Object.values(pieces).filter(piece => piece.monsterId === monsterId).forEach(piece => {
+        Object.keys(members).forEach(socketId => {
+            if (canSeePiece(battlefield, piece, members[socketId])) {
+                toMember(sessionId, socketId).emit('piece-updated', { pieceId: piece.id, monsterId, ...getPieceDisplayFields(getSession(sessionId).monsters[monsterId]) });
+            }
+        });
+    });
+}
+
+// 向玩家发送其棋子的视野多边形；ownerId 为空时发送给所有玩家
+function emitVisibility(sessionId, ownerId) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        const member = members[socketId];
+        if (isGM(member) || (ownerId && member.playerId !== ownerId)) return;
+        toMember(sessionId, socketId).emit('visibility-updated', { visibility: computeMemberVisibility(battlefield, member) });
+    });
+}
+
+// 墙壁或门变化后，重新计算所有玩家的视野和可见棋子
+function refreshVision(sessionId) {
+    emitVisibility(sessionId);
+    syncVisiblePieces(sessionId);
+    syncTemplateTargets(sessionId);
+}
+
+function emitFogUpdated(sessionId) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        toMember(sessionId, socketId).emit('fog-updated', { fog: fogUtils.buildFogView(battlefield.fog, isGM(members[socketId])) });
+    });
+    syncVisiblePieces(sessionId);
+}
+
+// --- 范围效果模板: 命中的棋子按成员可见性过滤 ---
+// 返回 { templateId: [pieceId, ...] }
+function buildTemplateTargets(battlefield, member) {
+    return (battlefield.templates || []).reduce((acc, template) => {
+        const targets = templateUtils.getTemplateTargets(template, battlefield.pieces, battlefield.grid);
+        acc[template.id] = isGM(member)
+            ? targets
+            : targets.filter(pieceId => canSeePiece(battlefield, battlefield.pieces[pieceId], member));
+        return acc;
+    }, {});
+}
+
+// 广播模板变化，附带每个成员能看到的命中棋子
+function emitTemplateEvent(sessionId, eventName, template) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        const member = members[socketId];
+        const targets = buildTemplateTargets(battlefield, member);
+        member.templateTargetsKey = JSON.stringify(targets);
+        toMember(sessionId, socketId).emit(eventName, { template, targets: targets[template.id] || [] });
+    });
+}
+
+// 棋子移动或视野变化后，向命中结果发生变化的成员发送最新结果
+function syncTemplateTargets(sessionId) {
+    const battlefield = getBattlefieldSession(sessionId);
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        const member = members[socketId];
+        const targets = buildTemplateTargets(battlefield, member);
+        const key = JSON.stringify(targets);
+        if (key === member.templateTargetsKey) return;
+        member.templateTargetsKey = key;
+        toMember(sessionId, socketId).emit('template-targets-updated', { targets });
+    });
+}
+
+// 玩家只能修改自己放置的模板，GM 可以修改任何模板
+function canEditTemplate(member, template) {
+    if (isGM(member)) return true;
+    return Boolean(member && member.playerId && template.owner === member.playerId);
+}
+
+// 在战斗助手中添加 (或覆盖) 生物，并在战场上为其创建棋子；不广播
+function addMonsterToSession(sessionId, monster) {
+    console.log(`Adding monster ${monster.id} to session ${sessionId}`);
+    const session = getSession(sessionId);
+    const battlefield = getBattlefieldSession(sessionId);
+
+    const newMonsterData = { // 确保存储的数据结构完整
+        id: monster.id,
+        name: monster.name || 'Unnamed Monster',
+        type: monster.type || 'monster',
+        currentHp: monster.currentHp || 0,
+        maxHp: monster.maxHp || 100,
+        tempHp: monster.tempHp || 0,
+        conditions: conditionUtils.parseConditions(monster.conditions, monster.id),
+        isLocked: monster.isLocked || false,
+        // 伤害类型数组或 Open5e 风格字符串
+        resistances: monster.resistances || [],
+        vulnerabilities: monster.vulnerabilities || [],
+        immunities: monster.immunities || [],
+        // 数据值: AC、属性、豁免、技能、感官、速度 (speed.walk 用于战斗中的移动预算) 和动作
+        ...statBlock.normalizeStatBlock(monster),
+        slug: monster.slug || null,
+        challengeRating: monster.challengeRating !== undefined ? monster.challengeRating : null,
+        concentratingOn: null, // 专注中的法术，见 set-concentration
+        ...getLegendaryFields(monster),
+        // 非怪物类型 (玩家角色等) 追踪死亡豁免
+        deathSaves: deathSaveUtils.isTrackedCreature(monster)
+            ? deathSaveUtils.createDeathSaveState((monster.currentHp || 0) > 0 ? 'conscious' : 'unconscious')
+            : null
+    };
+    session.monsters[monster.id] = newMonsterData;
+
+    if (!session.monsterOrder.includes(monster.id)) {
+        session.monsterOrder.push(monster.id);
+    }
+    session.lastUpdated = Date.now();
+
+    // --- 添加: 同时更新战场状态 ---
+    if (!battlefield.pieces[monster.id]) {
+        console.log(`Adding piece ${monster.id} to battlefield session ${sessionId}`);
+        // 使用怪物的基本信息，并给一个默认位置
+        const pieceCount = Object.keys(battlefield.pieces).length;
+        battlefield.pieces[monster.id] = {
+             id: monster.id,
+             monsterId: monster.id,
+             x: 50 + (pieceCount % 10) * 50, // 简单的默认位置逻辑
+             y: 50 + Math.floor(pieceCount / 10) * 50,
+             name: newMonsterData.name,
+             type: newMonsterData.type,
+             currentHp: newMonsterData.currentHp,
+             maxHp: newMonsterData.maxHp,
+             owner: resolveOwner(sessionId, monster.owner),
+             size: gridUtils.normalizeSize(monster.size),
+             visionRadius: monster.visionRadius || null
+        };
+
+        battlefield.lastUpdated = Date.now(); // 更新战场时间戳
+    }
+    // --- 结束添加 ---
+    return session.monsters[monster.id];
+}
+
+// 带有 statusCode 的错误，供 REST 接口返回
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// 异步写入 (导入怪物、加载遭遇) 在 await 之后、修改状态之前再次校验 expectedRevision，
+// 等待期间落地的其他写入会使其过期；过期时抛出带 staleScope 的 409 错误
+function assertExpectedRevision(sessionId, expectedRevision, scopes) {
+    const staleScope = revisionUtils.findStaleScope(getRevisions(sessionId), expectedRevision, scopes);
+    if (!staleScope) return;
+    const error = httpError(`Stale ${staleScope} revision`, 409);
+    error.staleScope = staleScope;
+    throw error;
+}
+
+// --- 从怪物数据库导入 ---
+async function fetchDatabaseMonster(slug) {
+    const response = await requestDndDatabase(`/monsters/${encodeURIComponent(slug)}`);
+    return response.data;
+}
+
+/**
+ * 按 slug 获取怪物数据并添加 count 个实例，同名怪物自动编号
+ * @param {{ slug, count?, hpMode?: 'roll' | 'average', owner? }} options
+ * @returns {Promise<Array>} 新添加的怪物记录
+ */
+async function importMonstersFromDatabase(sessionId, options) {
+    const slug = typeof options.slug === 'string' ? options.slug.trim().toLowerCase() : '';
+    if (!/^[a-z0-9-]+$/.test(slug)) {
+        throw httpError('Invalid monster slug', 400);
+    }
+    const count = options.count === undefined ? 1 : Number(options.count);
+    if (!Number.isInteger(count) || count < 1 || count > monsterDatabase.MAX_IMPORT_COUNT) {
+        throw httpError(`Count must be between 1 and ${monsterDatabase.MAX_IMPORT_COUNT}`, 400);
+    }
+
+    let template;
+    try {
+        template = monsterDatabase.toMonsterTemplate(await fetchDatabaseMonster(slug));
+    } catch (error) {
+        const status = error.response ? error.response.status : null;
+        throw status === 404
+            ? httpError(`Monster ${slug} not found`, 404)
+            : httpError(`Failed to fetch monster ${slug}: ${error.message}`, 502);
+    }
+    assertExpectedRevision(sessionId, options.expectedRevision, ['session', 'battlefield']);
+
+    const session = getSession(sessionId);
+    const existingNames = Object.values(session.monsters).map(monster => monster && monster.name);
+    const names = monsterDatabase.numberDuplicateNames(template.name, existingNames, count);
+    const now = Date.now();
+    const added = names.map((name, index) => {
+        const hp = monsterDatabase.rollHitPoints(template, options.hpMode);
+        return addMonsterToSession(sessionId, {
+            ...template,
+            id: `${slug}-${now}-${index}`,
+            name,
+            currentHp: hp,
+            maxHp: hp,
+            owner: options.owner
+        });
+    });
+    // 在广播之前标记，广播才能带上新的版本号
+    persistSessionData(sessionId, ['session', 'battlefield']).catch(err => console.error("Async persist error (import-monsters):", err));
+
+    added.forEach(monster => toSession(sessionId).emit('monster-updated', monster));
+    toSession(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+    emitBattlefieldState(sessionId);
+    console.log(`Imported ${added.length} x ${slug} into ${sessionId}`);
+    refreshEncounterDifficulty(sessionId);
+    return added;
+}
+
+// --- 遭遇难度 ---
+// partyLevels 为空时使用会话中保存的队伍
+function getEncounterDifficulty(sessionId, partyLevels) {
+    const session = getSession(sessionId);
+    const levels = partyLevels !== undefined ? partyLevels : session.partyLevels;
+    return encounterUtils.calculateEncounterDifficulty(levels, session.monsters);
+}
+
+// 难度包含怪物的经验值，只发给 GM
+function emitEncounterDifficulty(sessionId, result) {
+    const members = sessionMembers[sessionId] || {};
+    Object.keys(members).forEach(socketId => {
+        if (isGM(members[socketId])) toMember(sessionId, socketId).emit('encounter-difficulty-updated', result);
+    });
+}
+
+// 怪物增删后重新计算 (尚未设置队伍时跳过)
+function refreshEncounterDifficulty(sessionId) {
+    const session = getSession(sessionId);
+    if (!session.partyLevels || session.partyLevels.length === 0) return;
+    emitEncounterDifficulty(sessionId, getEncounterDifficulty(sessionId));
+}
+
+// --- 遭遇库 ---
+function parseEncounterId(value, required) {
+    try {
+        return encounterLibrary.normalizeEncounterId(value, { required });
+    } catch (error) {
+        throw httpError(error.message, 400);
+    }
+}
+
+// 覆盖或删除前确认遭遇属于该会话
+function assertEncounterOwner(encounter, sessionId) {
+    if (encounterLibrary.getEncounterOwner(encounter) !== sessionId) {
+        throw httpError(`Encounter ${encounter.encounterId} belongs to another session`, 403);
+    }
+}
+
+// 保存当前生物、棋子和背景；提供 encounterId 时覆盖本会话保存的遭遇
+async function saveEncounter(sessionId, input) {
+    let meta;
+    try {
+        meta = encounterLibrary.normalizeEncounterInput(input);
+    } catch (error) {
+        throw httpError(error.message, 400);
+    }
+    let encounterId = parseEncounterId(input.encounterId, false);
+    if (encounterId) {
+        const existing = await storage.getEncounter(encounterId);
+        if (existing) assertEncounterOwner(existing, sessionId);
+    } else {
+        encounterId = `encounter-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    }
+    const battlefield = getBattlefieldSession(sessionId);
+    const snapshot = encounterLibrary.createEncounterSnapshot(getSession(sessionId), battlefield.pieces);
+    const background = input.includeBackground === false ? null : battlefield.backgroundImage || null;
+    await storage.saveEncounter(encounterId, {
+        ...meta,
+        ...snapshot,
+        background: { imageUrl: background },
+        sourceSessionId: sessionId,
+        ownerSessionId: sessionId,
+        lastUpdated: new Date()
+    });
+    console.log(`Encounter ${encounterId} (${meta.name}) saved from ${sessionId}`);
+    return encounterLibrary.summarizeEncounter({ encounterId, ...meta, monsterOrder: snapshot.monsterOrder, updatedAt: new Date() });
+}
+
+// { search?, tag? }，不返回生物和背景数据
+async function listEncounters(filters) {
+    const encounters = await storage.findEncounters(filters || {});
+    return encounters.map(encounterLibrary.summarizeEncounter);
+}
+
+// 删除本会话保存的遭遇
+async function deleteEncounter(sessionId, encounterId) {
+    const id = parseEncounterId(encounterId, true);
+    const encounter = await storage.getEncounter(id);
+    if (!encounter) {
+        throw httpError(`Encounter ${id} not found`, 404);
+    }
+    assertEncounterOwner(encounter, sessionId);
+    if (!await storage.deleteEncounter(id)) {
+        throw httpError(`Encounter ${id} not found`, 404); // 同时收到的另一个删除请求已删除
+    }
+    console.log(`Encounter ${id} deleted by ${sessionId}`);
+}
+
+/**
+ * 将遭遇加载到会话
+ * replace: 移除当前所有生物和棋子 (遭遇有背景时同时替换背景)
+ * merge: 保留当前内容，ID 冲突的生物重新分配 ID
+ */
+async function loadEncounter(sessionId, encounterId, mode = 'merge', expectedRevision) {
+    if (!encounterLibrary.LOAD_MODES.includes(mode)) {
+        throw httpError(`Unknown load mode: ${mode}`, 400);
+    }
+    parseEncounterId(encounterId, true);
+    const encounter = await storage.getEncounter(encounterId);
+    if (!encounter) {
+        throw httpError(`Encounter ${encounterId} not found`, 404);
+    }
+    assertExpectedRevision(sessionId, expectedRevision, ['session', 'battlefield']);
+    const session = getSession(sessionId);
+    const battlefield = getBattlefieldSession(sessionId);
+    let removedIds = [];
+    let initiativeChanged = false;
+    let backgroundReplaced = false;
+    const wasActive = getActiveInitiativeEntry(session);
+    const wasRound = session.round;
+    if (mode === 'replace') {
+        removedIds = Object.keys(session.monsters);
+        releaseRemovedMonsters(sessionId, removedIds);
+        initiativeChanged = removeFromInitiative(session, removedIds);
+        session.monsters = {};
+        session.monsterOrder = [];
+        session.movement = {};
+        battlefield.pieces = {};
+        if (encounter.background && encounter.background.imageUrl) {
+            battlefield.backgroundImage = encounter.background.imageUrl;
+            backgroundReplaced = true;
+        }
+    }
+
+    const takenIds = new Set([...Object.keys(session.monsters), ...Object.keys(battlefield.pieces)]);
+    const { monsters, pieces } = encounterLibrary.remapEncounterIds(encounter, takenIds);
+    const added = monsters.map(monster => addMonsterToSession(sessionId, monster));
+    // 恢复保存的位置、体型、视野和归属 (显示字段仍以生物为准)
+    pieces.forEach(piece => {
+        battlefield.pieces[piece.id] = normalizePiece({ ...(battlefield.pieces[piece.id] || {}), ...piece }, piece.id);
+    });
+    session.lastUpdated = Date.now();
+    battlefield.lastUpdated = Date.now();
+    // 在广播之前标记，广播才能带上新的版本号 (异步调用不在写入事件的版本号上下文中)
+    persistSessionData(sessionId, ['session', 'battlefield', 'background']).catch(err => console.error("Async persist error (load-encounter):", err));
+
+    if (removedIds.length) {
+        toSession(sessionId).emit('monsters-deleted', { monsterIds: removedIds });
+    }
+    added.forEach(monster => toSession(sessionId).emit('monster-updated', monster));
+    toSession(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+    if (initiativeChanged) {
+        emitInitiativeUpdated(sessionId, session);
+        handleActiveRemoved(sessionId, session, wasActive, wasRound);
+    }
+    emitBattlefieldState(sessionId);
+    if (backgroundReplaced) {
+        // 新背景随上面的战场视图发送；只记录到操作日志，重连补发时单独发送背景
+        getOperationLog(sessionId).append({ event: 'background-updated', omitPayload: true });
+    }
+    refreshEncounterDifficulty(sessionId);
+    toSession(sessionId).emit('encounter-loaded', {
+        encounterId,
+        name: encounter.name,
+        mode,
+        monsterIds: added.map(monster => monster.id)
+    });
+    console.log(`Encounter ${encounterId} loaded into ${sessionId} (${mode})`);
+    return added;
+}
+
 // WebSocket处理
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   let currentSessionId = null; // 跟踪此 socket 加入的会话 ID
 
+  // --- 权限校验: 所有事件 (join-session 除外) 都需要先以合适的角色加入对应会话 ---
+  // 会话需要先从存储加载，加载期间收到的事件等待 join-session 完成后再校验，保持事件顺序
+  let pendingJoin = null;
+  socket.use(([eventName, data], next) => {
+      if (eventName === 'join-session') return next();
+      const check = () => {
+          const sessionId = data && data.sessionId;
+          const member = sessionId ? getMember(sessionId, socket.id) : undefined;
+          if (isEventAllowed(eventName, member)) return next();
+
+          console.warn(`Permission denied for ${eventName} from ${socket.id} (${member ? member.role : 'not joined'}) in ${sessionId}`);
+          socket.emit('permission-denied', {
+              event: eventName,
+              sessionId: sessionId || null,
+              reason: member ? `Role ${member.role} cannot perform ${eventName}` : 'Not joined to session'
+          });
+      };
+      if (pendingJoin) return pendingJoin.then(check);
+      check();
+  });
+
+  // --- 写入事件: 可以附带 expectedRevision (数字或 { session, dice, battlefield })，
+  // 与当前版本号不一致时拒绝写入，发送 conflict (附带当前状态)
+  // scopes 为事件可能修改的子状态，expectedRevision 为数字时与第一个比较
+  // 客户端提供确认回调时，处理完成后回调 { ok, revisions } (不向发送者广播的事件可以由此获得新版本号)；
+  // 事件被拒绝或没有保存任何变化时 ok 为 false
+  function onMutation(eventName, scopes, handler) {
+      socket.on(eventName, (data, ack) => {
+          const respond = typeof ack === 'function' ? ack : () => {};
+          const sessionId = data && data.sessionId;
+          if (!sessionId) return handler(data);
+          let staleScope;
+          try {
+              staleScope = revisionUtils.findStaleScope(getRevisions(sessionId), data.expectedRevision, scopes);
+          } catch (error) {
+              const conflict = { event: eventName, sessionId, error: error.message, revisions: getRevisions(sessionId) };
+              socket.emit('conflict', conflict);
+              respond({ ok: false, ...conflict });
+              return;
+          }
+          if (staleScope) {
+              respond({ ok: false, ...emitRevisionConflict(eventName, sessionId, staleScope, data.expectedRevision) });
+              return;
+          }
+          const mutation = { sessionId, bumped: new Map(), persisted: false };
+          runWithRevisions(mutation, scopes, () => handler(data))
+              .catch(err => console.error(`Error handling ${eventName}:`, err))
+              .then(() => respond({ ok: mutation.persisted, sessionId, revisions: getRevisions(sessionId) }));
+      });
+  }
+
+  // 发送版本号冲突 (写入前的校验，或异步写入在 await 之后的再次校验)
+  function emitRevisionConflict(eventName, sessionId, staleScope, expectedRevision) {
+      const conflict = {
+          event: eventName,
+          sessionId,
+          expectedRevision,
+          ...buildRevisionConflict(sessionId, staleScope, getMember(sessionId, socket.id))
+      };
+      console.warn(`Rejected stale ${eventName} from ${socket.id} in ${sessionId} (${staleScope} revision ${conflict.revision})`);
+      socket.emit('conflict', conflict);
+      return conflict;
+  }
+
   // --- 通用加入会话逻辑 ---
-  socket.on('join-session', (sessionId) => {
+  // 兼容旧版: 参数可以直接是 sessionId 字符串 (角色由 LEGACY_JOIN_ROLE 决定，默认玩家)，
+  // 或 { sessionId, playerName, role: 'gm' | 'player' | 'spectator', gmToken, lastSeq?, epoch? }
+  // 重连时 lastSeq/epoch 为之前收到的事件元数据中最大的 seq 和对应的 epoch
+  socket.on('join-session', (payload) => {
+    const joinData = typeof payload === 'string'
+        ? { sessionId: payload, role: LEGACY_JOIN_ROLE, legacy: true }
+        : (payload || {});
+    const { sessionId } = joinData;
     if (!sessionId) {
         console.warn(`Client ${socket.id} attempted to join without sessionId`);
         return;
     }
     console.log(`Client ${socket.id} joining session: ${sessionId}`);
+    cancelEviction(sessionId);
+    const join = (pendingJoin || Promise.resolve())
+        .then(() => ensureSessionLoaded(sessionId))
+        .then(() => completeJoin(sessionId, joinData))
+        .catch(error => {
+            console.error(`Failed to load session ${sessionId} for ${socket.id}:`, error.message);
+            socket.emit('join-error', { sessionId, error: 'Failed to load session from storage' });
+        })
+        .finally(() => {
+            if (pendingJoin === join) pendingJoin = null;
+        });
+    pendingJoin = join;
+  });
+
+  function completeJoin(sessionId, joinData) {
+    if (socket.disconnected) return; // 加载期间已断开
+
+    // 确保在访问前初始化会话
+    getSession(sessionId);
+
+    const playerName = typeof joinData.playerName === 'string' && joinData.playerName.trim() ? joinData.playerName.trim() : null;
+    const { role, issuedToken, denied } = resolveJoinRole(sessionId, joinData);
+    // 玩家和观众的名字不能冒用 GM 或其他连接；玩家还需要通过身份校验
+    let identity = {};
+    if (playerName && role !== 'gm') {
+        const nameError = validatePlayerName(sessionId, socket.id, playerName);
+        identity = nameError ? { error: nameError } : (role === 'player' ? resolvePlayerIdentity(sessionId, playerName, joinData.playerToken) : {});
+    }
+    if (identity.error) {
+        console.warn(`Client ${socket.id} rejected from ${sessionId}: ${identity.error}`);
+        socket.emit('join-error', { sessionId, error: identity.error });
+        if (!sessionMembers[sessionId]) scheduleEviction(sessionId);
+        return;
+    }
+
     socket.join(sessionId);
     currentSessionId = sessionId; // 记录当前会话ID
+    if (!sessionMembers[sessionId]) sessionMembers[sessionId] = {};
+    sessionMembers[sessionId][socket.id] = {
+        playerName,
+        playerId: identity.playerId || null,
+        role
+    };
+    console.log(`Client ${socket.id} joined ${sessionId} as ${role}`);
+    if (denied) {
+        socket.emit('permission-denied', { event: 'join-session', sessionId, reason: denied });
+    }
+    if (issuedToken) {
+        socket.emit('gm-token-issued', { sessionId, gmToken: issuedToken });
+        persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (gm-token):", err));
+    }
+    if (identity.issuedToken) {
+        registerPlayer(sessionId, playerName, identity);
+    }
+    socket.emit('role-assigned', { sessionId, role, playerName, playerId: identity.playerId || null });
+    socket.emit('players-updated', { players: listPlayers(sessionId) });
+
+    // --- 重连: 提供 lastSeq 和 epoch 且日志中仍有之后的全部操作时，只补发错过的操作 ---
+    const log = getOperationLog(sessionId);
+    const lastSeq = joinData.lastSeq === undefined || joinData.lastSeq === null ? undefined : Number(joinData.lastSeq);
+    const missed = lastSeq === undefined ? null : log.since(lastSeq, joinData.epoch);
+    if (missed) {
+        console.log(`Replaying ${missed.length} operations to ${socket.id} for ${sessionId} (after seq ${lastSeq})`);
+        replayOperations(sessionId, missed);
+        socket.emit('session-resynced', { sessionId, mode: 'delta', fromSeq: lastSeq, seq: log.getLastSeq(), epoch: log.epoch, replayed: missed.length });
+        return;
+    }
 
-    // --- 发送当前状态给新加入者 ---
-    // 确保在访问前初始化会话
-    const sessionData = getSession(sessionId);
+    // --- 发送当前状态给新加入者 (首次加入，或日志已截断/服务器重启后的重连) ---
+    const seq = log.getLastSeq();
     console.log(`Emitting initial session-updated to ${socket.id} for ${sessionId}`);
-    socket.emit('session-updated', sessionData); // 发送战斗状态
+    socket.emit('session-updated', buildMemberSessionState(sessionId, getMember(sessionId, socket.id)), syncMeta(sessionId, seq)); // 发送战斗状态 (附带版本号和序号)
 
     const diceData = getDiceSession(sessionId);
     console.log(`Emitting initial dice-state-updated and roll-history-sync to ${socket.id} for ${sessionId}`);
-    socket.emit('dice-state-updated', diceData.diceState); // 发送骰子状态
-    socket.emit('roll-history-sync', diceData.rollHistory); // 发送骰子历史
+    socket.emit('dice-state-updated', diceData.diceState, syncMeta(sessionId, seq)); // 发送骰子状态
+    socket.emit('roll-history-sync', getVisibleRollHistory(diceData, getMember(sessionId, socket.id)), syncMeta(sessionId, seq)); // 发送骰子历史 (按可见性过滤)
 
-    const battlefieldData = getBattlefieldSession(sessionId);
-    // 确保发送的 battlefield 数据结构与客户端 loadBattlefieldState 期望的一致
+    // 确保发送的 battlefield 数据结构与客户端 loadBattlefieldState 期望的一致 (按角色过滤迷雾)
     console.log(`Emitting initial battlefield-state-updated to ${socket.id} for ${sessionId}`);
-    socket.emit('battlefield-state-updated', { state: sanitizeBattlefieldData(battlefieldData) }); // 发送战场状态
-  });
+    const view = buildMemberBattlefieldState(sessionId, getMember(sessionId, socket.id));
+    socket.emit('battlefield-state-updated', { state: view }, syncMeta(sessionId, seq)); // 发送战场状态
+    socket.emit('session-resynced', { sessionId, mode: 'snapshot', seq, epoch: log.epoch, truncated: lastSeq !== undefined });
+  }
+
+  // 新注册 (或重新认领) 的玩家: 发送令牌，转换以该名字记录的归属，并通知其他成员
+  function registerPlayer(sessionId, playerName, identity) {
+    socket.emit('player-token-issued', { sessionId, playerId: identity.playerId, playerName, playerToken: identity.issuedToken });
+    const { pieceIds, templates } = claimNamedOwnership(sessionId, playerName, identity.playerId);
+    const battlefield = getBattlefieldSession(sessionId);
+    pieceIds.forEach(pieceId => emitToPieceViewers(sessionId, battlefield.pieces[pieceId], 'piece-owner-updated', { pieceId, owner: identity.playerId }));
+    templates.forEach(template => emitTemplateEvent(sessionId, 'template-updated', template));
+    toSession(sessionId, socket).emit('players-updated', { players: listPlayers(sessionId) });
+    if (pieceIds.length) refreshVision(sessionId);
+    const ownershipChanged = pieceIds.length > 0 || templates.length > 0;
+    if (ownershipChanged) battlefield.lastUpdated = Date.now();
+    persistSessionData(sessionId, ownershipChanged ? ['session', 'battlefield'] : ['session']).catch(err => console.error("Async persist error (register-player):", err));
+  }
+
+  /**
+   * 按顺序补发错过的房间广播。按成员过滤的操作和载荷是当前状态的操作没有保存载荷，背景图片也不逐条补发，
+   * 改为在最后发送相应部分的当前状态 (战场视图不含背景，背景只在变化过时发送一次)
+   */
+  function replayOperations(sessionId, operations) {
+    const member = getMember(sessionId, socket.id);
+    const staleScopes = new Set();
+    let backgroundChanged = false;
+    operations.forEach(op => {
+        if (op.scope) {
+            staleScopes.add(op.scope);
+        } else if (op.omitted) {
+            backgroundChanged = true;
+        } else {
+            socket.emit(op.event, op.payload, syncMeta(sessionId, op.seq));
+        }
+    });
+
+    const meta = syncMeta(sessionId, getOperationLog(sessionId).getLastSeq());
+    const { backgroundImage, ...state } = buildMemberBattlefieldState(sessionId, member); // 同时更新该成员已知的可见棋子
+    if (backgroundChanged) {
+        socket.emit('background-updated', { imageUrl: backgroundImage || null }, meta);
+    }
+    if (staleScopes.has('battlefield')) {
+        socket.emit('battlefield-state-updated', { state, backgroundOmitted: true }, meta);
+    }
+    if (staleScopes.has('dice')) {
+        socket.emit('dice-state-updated', getDiceSession(sessionId).diceState, meta);
+        socket.emit('roll-history-sync', getVisibleRollHistory(getDiceSession(sessionId), member), meta);
+    }
+    if (staleScopes.has('session')) {
+        socket.emit('session-updated', buildMemberSessionState(sessionId, member), meta);
+    }
+    if (staleScopes.has('encounter') && isGM(member)) {
+        socket.emit('encounter-difficulty-updated', getEncounterDifficulty(sessionId), meta);
+    }
+  }
 
   // --- 状态请求处理 ---
   socket.on('request-latest-state', (data) => {
      if (!data || !data.sessionId) return;
      console.log(`Received request-latest-state for ${data.sessionId} from ${socket.id}`);
-     const sessionData = getSession(data.sessionId);
-     socket.emit('session-updated', sessionData);
+     const sessionData = buildMemberSessionState(data.sessionId, getMember(data.sessionId, socket.id));
+     socket.emit('session-updated', sessionData, syncMeta(data.sessionId));
   });
 
   socket.on('request-latest-dice-state', (data) => {
       if (!data || !data.sessionId) return;
       console.log(`Received request-latest-dice-state for ${data.sessionId} from ${socket.id}`);
       const diceData = getDiceSession(data.sessionId);
-      socket.emit('dice-state-updated', diceData.diceState);
-      socket.emit('roll-history-sync', diceData.rollHistory);
+      socket.emit('dice-state-updated', diceData.diceState, syncMeta(data.sessionId));
+      socket.emit('roll-history-sync', getVisibleRollHistory(diceData, getMember(data.sessionId, socket.id)), syncMeta(data.sessionId));
   });
 
   socket.on('request-latest-battlefield-state', (data) => {
       if (!data || !data.sessionId) return;
       console.log(`Received request-latest-battlefield-state for ${data.sessionId} from ${socket.id}`);
-      const battlefieldData = getBattlefieldSession(data.sessionId);
-      socket.emit('battlefield-state-updated', { state: sanitizeBattlefieldData(battlefieldData) });
+      const view = buildMemberBattlefieldState(data.sessionId, getMember(data.sessionId, socket.id));
+      socket.emit('battlefield-state-updated', { state: view }, syncMeta(data.sessionId));
   });
 
 
   // --- 战斗助手事件处理 ---
-  socket.on('add-monster', (data) => {
+  onMutation('add-monster', ['session', 'battlefield'], (data) => {
       if (!data || !data.sessionId || !data.monster || !data.monster.id) {
          console.warn("Received invalid add-monster data:", data);
          return;
       }
       const { sessionId, monster } = data;
-      console.log(`Adding monster ${monster.id} to session ${sessionId}`);
       const session = getSession(sessionId);
-      const battlefield = getBattlefieldSession(sessionId);
-
-      const newMonsterData = { // 确保存储的数据结构完整
-          id: monster.id,
-          name: monster.name || 'Unnamed Monster',
-          type: monster.type || 'monster',
-          currentHp: monster.currentHp || 0,
-          maxHp: monster.maxHp || 100,
-          tempHp: monster.tempHp || 0,
-          conditions: monster.conditions || '[]',
-          isLocked: monster.isLocked || false
-      };
-      session.monsters[monster.id] = newMonsterData;
-
-      if (!session.monsterOrder.includes(monster.id)) {
-          session.monsterOrder.push(monster.id);
-      }
-      session.lastUpdated = Date.now();
-
-      // --- 添加: 同时更新战场状态 ---
-      if (!battlefield.pieces[monster.id]) {
-          console.log(`Adding piece ${monster.id} to battlefield session ${sessionId}`);
-          // 使用怪物的基本信息，并给一个默认位置
-          const pieceCount = Object.keys(battlefield.pieces).length;
-          // 确保创建的是纯对象
-          battlefield.pieces[monster.id] = {
-               id: monster.id,
-               x: 50 + (pieceCount % 10) * 50, // 简单的默认位置逻辑
-               y: 50 + Math.floor(pieceCount / 10) * 50,
-               name: newMonsterData.name,
-               type: newMonsterData.type,
-               currentHp: newMonsterData.currentHp,
-               maxHp: newMonsterData.maxHp
-          };
-
-          // 添加类型检查以防止字符串转换
-          if (typeof battlefield.pieces[monster.id] !== 'object') {
-              console.error(`Newly created piece is not an object: ${typeof battlefield.pieces[monster.id]}`);
-              // 尝试修复
-              battlefield.pieces[monster.id] = {
-                  id: monster.id,
-                  x: 50 + (pieceCount % 10) * 50,
-                  y: 50 + Math.floor(pieceCount / 10) * 50,
-                  name: newMonsterData.name,
-                  type: newMonsterData.type,
-                  currentHp: newMonsterData.currentHp,
-                  maxHp: newMonsterData.maxHp
-              };
-          }
-
-          battlefield.lastUpdated = Date.now(); // 更新战场时间戳
-      }
-      // --- 结束添加 ---
+      addMonsterToSession(sessionId, monster);
 
       // 广播 monster-updated 给所有客户端
-      io.to(sessionId).emit('monster-updated', session.monsters[monster.id]);
+      toSession(sessionId).emit('monster-updated', session.monsters[monster.id]);
       // 广播更新后的顺序
-      io.to(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
-      // --- 添加: 广播更新后的战场状态 ---
-      io.to(sessionId).emit('battlefield-state-updated', { state: sanitizeBattlefieldData(battlefield) });
+      toSession(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+      // --- 添加: 广播更新后的战场状态 (按角色过滤) ---
+      emitBattlefieldState(sessionId);
       // --- 结束添加 ---
+      refreshEncounterDifficulty(sessionId);
 
       console.log(`Monster ${monster.id} added. Current monsters:`, Object.keys(session.monsters));
-      persistSessionData(sessionId).catch(err => console.error("Async persist error (add-monster):", err));
+      persistSessionData(sessionId, ['session', 'battlefield']).catch(err => console.error("Async persist error (add-monster):", err));
+  });
+
+  // { slug, count?, hpMode?: 'roll' | 'average' }
+  onMutation('add-monster-from-database', ['session', 'battlefield'], async (data) => {
+      if (!data || !data.sessionId || !data.slug) {
+         console.warn("Received invalid add-monster-from-database data:", data);
+         return;
+      }
+      const { sessionId, slug } = data;
+      try {
+          const added = await importMonstersFromDatabase(sessionId, data);
+          socket.emit('monsters-imported', { slug, monsterIds: added.map(monster => monster.id) });
+      } catch (error) {
+          if (error.staleScope) {
+              emitRevisionConflict('add-monster-from-database', sessionId, error.staleScope, data.expectedRevision);
+              return;
+          }
+          console.warn(`Monster import failed in ${sessionId}: ${error.message}`);
+          socket.emit('monster-import-error', { slug, error: error.message });
+      }
   });
 
-  socket.on('update-hp', (data) => {
+  onMutation('update-hp', ['session'], (data) => {
       if (!data || !data.sessionId || !data.monsterId || data.currentHp === undefined || data.maxHp === undefined) {
            console.warn("Received invalid update-hp data:", data);
            return;
@@ -608,14 +2405,15 @@ io.on('connection', (socket) => {
           session.monsters[monsterId].tempHp = tempHp === undefined ? session.monsters[monsterId].tempHp : tempHp; // 保留之前的 tempHp 如果没提供
           session.lastUpdated = Date.now();
           // 广播 monster-updated 包含所有怪物信息
-          io.to(sessionId).emit('monster-updated', session.monsters[monsterId]);
-          persistSessionData(sessionId).catch(err => console.error("Async persist error (update-hp):", err)); // <--- 添加异步保存
+          toSession(sessionId).emit('monster-updated', session.monsters[monsterId]);
+          notifyMonsterChanged(sessionId, monsterId);
+          persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (update-hp):", err)); // <--- 添加异步保存
       } else {
           console.warn(`Monster ${monsterId} not found in session ${sessionId} for HP update.`);
       }
   });
 
-  socket.on('update-name', (data) => {
+  onMutation('update-name', ['session'], (data) => {
     if (!data || !data.sessionId || !data.monsterId || data.name === undefined) {
         console.warn("Received invalid update-name data:", data);
         return;
@@ -627,15 +2425,469 @@ io.on('connection', (socket) => {
         session.monsters[monsterId].name = name;
         session.lastUpdated = Date.now();
         // 广播 monster-updated
-        io.to(sessionId).emit('monster-updated', session.monsters[monsterId]);
-        persistSessionData(sessionId).catch(err => console.error("Async persist error (update-name):", err)); // <--- 添加异步保存
+        toSession(sessionId).emit('monster-updated', session.monsters[monsterId]);
+        notifyMonsterChanged(sessionId, monsterId);
+        persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (update-name):", err)); // <--- 添加异步保存
     } else {
          console.warn(`Monster ${monsterId} not found in session ${sessionId} for name update.`);
     }
   });
 
+  // --- 数据值与动作 (GM) ---
+  // 更新生物的数据值，只替换提供的字段 (armorClass, abilities, savingThrows, skills, senses, speed, actions)
+  onMutation('update-stat-block', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || !data.statBlock) {
+        console.warn("Received invalid update-stat-block data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster) {
+        console.warn(`Monster ${monsterId} not found in session ${sessionId} for stat block update.`);
+        return;
+    }
+    const normalized = statBlock.normalizeStatBlock({ ...monster, ...data.statBlock });
+    Object.keys(normalized).forEach(field => {
+        if (data.statBlock[field] !== undefined) monster[field] = normalized[field];
+    });
+    session.lastUpdated = Date.now();
+    toSession(sessionId).emit('monster-updated', monster);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (update-stat-block):", err));
+  });
+
+  // { monsterId, actionId (或动作名称), targetId?, applyDamage?, advantage?, disadvantage?, visibility? }
+  onMutation('use-action', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || !data.actionId) {
+        console.warn("Received invalid use-action data:", data);
+        return;
+    }
+    const { sessionId } = data;
+    let result;
+    try {
+        result = useMonsterAction(sessionId, data.monsterId, data);
+    } catch (error) {
+        socket.emit('action-error', { monsterId: data.monsterId, actionId: data.actionId, error: error.message });
+        return;
+    }
+    console.log(`${data.monsterId} used ${result.actionName} in ${sessionId}`);
+    emitActionUsed(sessionId, result);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (use-action):", err));
+  });
+
+  // --- 伤害与治疗 (GM) ---
+  // { monsterId, amount, damageType?, magical?, critical?, rollConcentration? }
+  onMutation('apply-damage', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || data.amount === undefined) {
+        console.warn("Received invalid apply-damage data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const member = getMember(sessionId, socket.id);
+    let entry;
+    try {
+        entry = applyDamageToMonster(sessionId, monsterId, {
+            amount: data.amount,
+            damageType: data.damageType,
+            magical: Boolean(data.magical),
+            critical: Boolean(data.critical)
+        }, member && member.playerName);
+    } catch (error) {
+        socket.emit('hp-error', { monsterId, error: error.message });
+        return;
+    }
+    console.log(`${monsterId} in ${sessionId} took ${entry.applied} ${entry.damageType || ''} damage (${entry.hpDelta} HP)`);
+    // 生命值已经变化，先标记保存；专注检定出错不影响伤害的结果
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (apply-damage):", err));
+    try {
+        checkConcentration(sessionId, monsterId, entry, Boolean(data.rollConcentration));
+    } catch (error) {
+        console.error(`Concentration check failed for ${monsterId} in ${sessionId}:`, error);
+        socket.emit('concentration-error', { monsterId, error: error.message });
+    }
+  });
+
+  // { monsterId, amount, temporary? }，temporary 为 true 时获得临时生命值
+  onMutation('apply-healing', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || data.amount === undefined) {
+        console.warn("Received invalid apply-healing data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const member = getMember(sessionId, socket.id);
+    try {
+        applyHealingToMonster(sessionId, monsterId, {
+            amount: data.amount,
+            temporary: Boolean(data.temporary)
+        }, member && member.playerName);
+    } catch (error) {
+        socket.emit('hp-error', { monsterId, error: error.message });
+        return;
+    }
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (apply-healing):", err));
+  });
+
+  // 设置生物的抗性、易伤和免疫 (伤害类型数组或 Open5e 风格字符串)
+  onMutation('update-damage-modifiers', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId) {
+        console.warn("Received invalid update-damage-modifiers data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster) {
+        console.warn(`Monster ${monsterId} not found in session ${sessionId} for damage modifier update.`);
+        return;
+    }
+    ['resistances', 'vulnerabilities', 'immunities'].forEach(field => {
+        if (Array.isArray(data[field]) || typeof data[field] === 'string') {
+            monster[field] = data[field];
+        }
+    });
+    session.lastUpdated = Date.now();
+    toSession(sessionId).emit('monster-updated', monster);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (update-damage-modifiers):", err));
+  });
+
+  // --- 死亡豁免 ---
+  // 角色的拥有者或 GM 在服务器端投掷死亡豁免
+  onMutation('roll-death-save', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId) {
+        console.warn("Received invalid roll-death-save data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const monster = getSession(sessionId).monsters[monsterId];
+    const saves = monster ? getDeathSaves(monster) : null;
+    if (!saves || saves.state !== 'unconscious') {
+        socket.emit('death-save-error', { monsterId, error: 'Creature is not making death saving throws' });
+        return;
+    }
+    const member = getMember(sessionId, socket.id);
+    const piece = getBattlefieldSession(sessionId).pieces[monsterId];
+    if (!isGM(member) && !(piece && isOwnPiece(piece, member))) {
+        socket.emit('permission-denied', { event: 'roll-death-save', sessionId, reason: 'You do not own this character' });
+        return;
+    }
+    const roll = rollOnServer(sessionId, {
+        playerName: monster.name,
+        expression: '1d20',
+        tags: { monsterId, kind: 'death-save' }
+    });
+    const result = deathSaveUtils.resolveDeathSave(saves, { natural: getNaturalD20(roll), total: roll.grandTotal });
+    console.log(`Death save for ${monsterId} in ${sessionId}: ${result.outcome} (${roll.grandTotal})`);
+    setDeathSaves(sessionId, monster, result.saves, { outcome: result.outcome, roll: { id: roll.id, total: roll.grandTotal, display: roll.display } });
+    if (result.regainHp) {
+        applyHealingToMonster(sessionId, monsterId, { amount: 1 }, 'death-save');
+    }
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (roll-death-save):", err));
+  });
+
+  // GM 稳定角色 (如医疗检定或 Spare the Dying)
+  onMutation('stabilize-creature', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId) {
+        console.warn("Received invalid stabilize-creature data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const monster = getSession(sessionId).monsters[monsterId];
+    const saves = monster ? getDeathSaves(monster) : null;
+    if (!saves || saves.state !== 'unconscious') {
+        socket.emit('death-save-error', { monsterId, error: 'Creature is not dying' });
+        return;
+    }
+    setDeathSaves(sessionId, monster, deathSaveUtils.createDeathSaveState('stable'));
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (stabilize-creature):", err));
+  });
+
+  // --- 专注 (GM) ---
+  // { monsterId, spell, effects?: [{ type: 'condition', monsterId, conditionId } | { type: 'template', templateId }], autoRoll? }
+  // 开始新的专注会结束之前的专注
+  onMutation('set-concentration', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || typeof data.spell !== 'string' || !data.spell.trim()) {
+        console.warn("Received invalid set-concentration data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster) {
+        console.warn(`Monster ${monsterId} not found in session ${sessionId} for concentration.`);
+        return;
+    }
+    if (monster.concentratingOn) {
+        dropConcentration(sessionId, monsterId, 'replaced');
+    }
+    const effects = Array.isArray(data.effects) ? data.effects.filter(effect => effect && (
+        (effect.type === 'condition' && effect.monsterId && effect.conditionId) ||
+        (effect.type === 'template' && effect.templateId)
+    )) : [];
+    monster.concentratingOn = {
+        spell: data.spell.trim(),
+        effects,
+        autoRoll: Boolean(data.autoRoll),
+        startedAt: Date.now()
+    };
+    session.lastUpdated = Date.now();
+    emitConcentrationUpdated(sessionId, monster);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (set-concentration):", err));
+  });
+
+  onMutation('end-concentration', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId) {
+        console.warn("Received invalid end-concentration data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    dropConcentration(sessionId, monsterId, data.reason || 'ended');
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (end-concentration):", err));
+  });
+
+  // --- 状态 (GM) ---
+  // condition: { name, source?, saveDc?, level?, duration?: { type, rounds?, creatureId? } }
+  onMutation('add-condition', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || !data.condition) {
+        console.warn("Received invalid add-condition data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const monster = getSession(sessionId).monsters[monsterId];
+    if (!monster) {
+        console.warn(`Monster ${monsterId} not found in session ${sessionId} for condition update.`);
+        return;
+    }
+    let condition;
+    try {
+        condition = conditionUtils.normalizeCondition(data.condition, monsterId);
+    } catch (error) {
+        socket.emit('condition-error', { monsterId, error: error.message });
+        return;
+    }
+    getMonsterConditions(monster).push(condition);
+    getSession(sessionId).lastUpdated = Date.now();
+    emitConditionsUpdated(sessionId, monster);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (add-condition):", err));
+  });
+
+  // 修改已有状态，只更新提供的字段
+  onMutation('update-condition', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || !data.conditionId || !data.condition) {
+        console.warn("Received invalid update-condition data:", data);
+        return;
+    }
+    const { sessionId, monsterId, conditionId } = data;
+    const monster = getSession(sessionId).monsters[monsterId];
+    const conditions = monster ? getMonsterConditions(monster) : [];
+    const index = conditions.findIndex(condition => condition.id === conditionId);
+    if (index === -1) {
+        console.warn(`Condition ${conditionId} not found on ${monsterId} in session ${sessionId}`);
+        return;
+    }
+    try {
+        conditions[index] = conditionUtils.normalizeCondition(data.condition, monsterId, conditions[index]);
+    } catch (error) {
+        socket.emit('condition-error', { monsterId, conditionId, error: error.message });
+        return;
+    }
+    getSession(sessionId).lastUpdated = Date.now();
+    emitConditionsUpdated(sessionId, monster);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (update-condition):", err));
+  });
+
+  onMutation('remove-condition', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || !data.conditionId) {
+        console.warn("Received invalid remove-condition data:", data);
+        return;
+    }
+    const { sessionId, monsterId, conditionId } = data;
+    const monster = getSession(sessionId).monsters[monsterId];
+    const conditions = monster ? getMonsterConditions(monster) : [];
+    if (!conditions.some(condition => condition.id === conditionId)) {
+        console.warn(`Condition ${conditionId} not found on ${monsterId} in session ${sessionId}`);
+        return;
+    }
+    monster.conditions = conditions.filter(condition => condition.id !== conditionId);
+    getSession(sessionId).lastUpdated = Date.now();
+    emitConditionsUpdated(sessionId, monster);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (remove-condition):", err));
+  });
+
+  // --- 传奇动作、传奇抗性与巢穴动作 (GM) ---
+  // { monsterId, legendaryActions?: 3 | { max, remaining } | null, legendaryResistances?: ..., lairActions?: boolean }
+  onMutation('update-legendary', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId) {
+        console.warn("Received invalid update-legendary data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const monster = getSession(sessionId).monsters[monsterId];
+    if (!monster) {
+        socket.emit('legendary-error', { monsterId, error: `Monster ${monsterId} not found` });
+        return;
+    }
+    let updates;
+    try {
+        updates = {
+            legendaryActions: data.legendaryActions !== undefined
+                ? legendaryUtils.normalizePool(data.legendaryActions, monster.legendaryActions) : monster.legendaryActions,
+            legendaryResistances: data.legendaryResistances !== undefined
+                ? legendaryUtils.normalizePool(data.legendaryResistances, monster.legendaryResistances) : monster.legendaryResistances,
+            lairActions: data.lairActions !== undefined
+                ? legendaryUtils.normalizeLair(data.lairActions, monster.lairActions) : monster.lairActions
+        };
+    } catch (error) {
+        socket.emit('legendary-error', { monsterId, error: error.message });
+        return;
+    }
+    Object.assign(monster, updates);
+    getSession(sessionId).lastUpdated = Date.now();
+    emitLegendaryUpdated(sessionId, monster);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (update-legendary):", err));
+  });
+
+  // { monsterId, kind: 'action' | 'resistance' | 'lair', cost?: 1, name? }
+  onMutation('use-legendary', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId || !data.kind) {
+        console.warn("Received invalid use-legendary data:", data);
+        return;
+    }
+    const { sessionId, monsterId, kind } = data;
+    const session = getSession(sessionId);
+    const monster = session.monsters[monsterId];
+    if (!monster) {
+        socket.emit('legendary-error', { monsterId, error: `Monster ${monsterId} not found` });
+        return;
+    }
+    const used = { kind, name: data.name || null };
+    try {
+        if (kind === 'action') {
+            used.cost = data.cost !== undefined ? Number(data.cost) : 1;
+            monster.legendaryActions = legendaryUtils.spendPool(monster.legendaryActions, used.cost, 'legendary actions');
+        } else if (kind === 'resistance') {
+            monster.legendaryResistances = legendaryUtils.spendPool(monster.legendaryResistances, 1, 'legendary resistances');
+        } else if (kind === 'lair') {
+            if (!monster.lairActions) throw new Error('Creature has no lair actions');
+            if (monster.lairActions.usedRound === session.round) throw new Error('Lair action already used this round');
+            monster.lairActions = { ...monster.lairActions, usedRound: session.round };
+        } else {
+            throw new Error(`Unknown legendary kind: ${kind}`);
+        }
+    } catch (error) {
+        socket.emit('legendary-error', { monsterId, kind, error: error.message });
+        return;
+    }
+    session.lastUpdated = Date.now();
+    console.log(`${monsterId} used legendary ${kind} in ${sessionId}`);
+    emitLegendaryUpdated(sessionId, monster, used);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (use-legendary):", err));
+  });
+
+  // 每日恢复: 传奇抗性 (以及传奇动作) 恢复到最大值
+  onMutation('restore-legendary', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.monsterId) {
+        console.warn("Received invalid restore-legendary data:", data);
+        return;
+    }
+    const { sessionId, monsterId } = data;
+    const monster = getSession(sessionId).monsters[monsterId];
+    if (!monster) {
+        socket.emit('legendary-error', { monsterId, error: `Monster ${monsterId} not found` });
+        return;
+    }
+    monster.legendaryActions = legendaryUtils.restorePool(monster.legendaryActions);
+    monster.legendaryResistances = legendaryUtils.restorePool(monster.legendaryResistances);
+    getSession(sessionId).lastUpdated = Date.now();
+    emitLegendaryUpdated(sessionId, monster, { kind: 'restored' });
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (restore-legendary):", err));
+  });
+
+  // --- 遭遇难度 (GM) ---
+  // { partyLevels?: [3, 3, 4, 5] } 提供队伍时保存到会话，之后怪物增删会自动推送新的难度
+  onMutation('calculate-encounter-difficulty', ['session'], (data) => {
+    if (!data || !data.sessionId) {
+        console.warn("Received invalid calculate-encounter-difficulty data:", data);
+        return;
+    }
+    const { sessionId } = data;
+    let result;
+    try {
+        result = getEncounterDifficulty(sessionId, data.partyLevels);
+    } catch (error) {
+        socket.emit('encounter-error', { error: error.message });
+        return;
+    }
+    if (data.partyLevels !== undefined) {
+        const session = getSession(sessionId);
+        session.partyLevels = result.partyLevels;
+        session.lastUpdated = Date.now();
+        persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (encounter-difficulty):", err));
+    }
+    emitEncounterDifficulty(sessionId, result);
+  });
+
+  // --- 遭遇库 (GM) ---
+  // { name, description?, tags?, encounterId? (覆盖), includeBackground? }
+  socket.on('save-encounter', async (data) => {
+    if (!data || !data.sessionId) {
+        console.warn("Received invalid save-encounter data:", data);
+        return;
+    }
+    try {
+        socket.emit('encounter-saved', await saveEncounter(data.sessionId, data));
+    } catch (error) {
+        console.error(`Error saving encounter from ${data.sessionId}:`, error.message);
+        socket.emit('encounter-library-error', { action: 'save', error: error.message });
+    }
+  });
+
+  // { search?, tag? }
+  socket.on('list-encounters', async (data) => {
+    if (!data || !data.sessionId) {
+        console.warn("Received invalid list-encounters data:", data);
+        return;
+    }
+    try {
+        socket.emit('encounters-listed', { encounters: await listEncounters(data) });
+    } catch (error) {
+        console.error('Error listing encounters:', error.message);
+        socket.emit('encounter-library-error', { action: 'list', error: error.message });
+    }
+  });
+
+  // { encounterId, mode?: 'replace' | 'merge' }
+  onMutation('load-encounter', ['session', 'battlefield'], async (data) => {
+    if (!data || !data.sessionId || !data.encounterId) {
+        console.warn("Received invalid load-encounter data:", data);
+        return;
+    }
+    try {
+        await loadEncounter(data.sessionId, data.encounterId, data.mode, data.expectedRevision);
+    } catch (error) {
+        if (error.staleScope) {
+            emitRevisionConflict('load-encounter', data.sessionId, error.staleScope, data.expectedRevision);
+            return;
+        }
+        console.error(`Error loading encounter ${data.encounterId}:`, error.message);
+        socket.emit('encounter-library-error', { action: 'load', encounterId: data.encounterId, error: error.message });
+    }
+  });
+
+  socket.on('delete-encounter', async (data) => {
+    if (!data || !data.sessionId || !data.encounterId) {
+        console.warn("Received invalid delete-encounter data:", data);
+        return;
+    }
+    try {
+        await deleteEncounter(data.sessionId, data.encounterId);
+        socket.emit('encounter-deleted', { encounterId: data.encounterId });
+    } catch (error) {
+        socket.emit('encounter-library-error', { action: 'delete', encounterId: data.encounterId, error: error.message });
+    }
+  });
+
   // 处理单个怪物删除请求
-  socket.on('delete-monster', (data) => {
+  onMutation('delete-monster', ['session', 'battlefield'], (data) => {
      if (!data || !data.sessionId || !data.monsterId) {
          console.warn("Received invalid delete-monster data:", data);
          return;
@@ -648,6 +2900,7 @@ io.on('connection', (socket) => {
 
      // 从怪物列表中删除
      if (session.monsters[monsterId]) {
+         releaseRemovedMonsters(sessionId, [monsterId]);
          delete session.monsters[monsterId];
          changed = true;
      } else {
@@ -667,23 +2920,34 @@ io.on('connection', (socket) => {
          changed = true;
      }
 
-     if (changed) {
+     // 从先攻顺序中删除
+     const wasActive = getActiveInitiativeEntry(session);
+     const wasRound = session.round;
+     const initiativeChanged = removeFromInitiative(session, [monsterId]);
+
+     if (changed || initiativeChanged) {
          session.lastUpdated = Date.now();
          battlefield.lastUpdated = Date.now(); // 更新战场时间戳
 
          // 广播删除事件给所有客户端
-         io.to(sessionId).emit('monsters-deleted', { monsterIds: [monsterId] });
+         toSession(sessionId).emit('monsters-deleted', { monsterIds: [monsterId] });
 
          // 广播更新后的顺序
-         io.to(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+         toSession(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+
+         if (initiativeChanged) {
+             emitInitiativeUpdated(sessionId, session);
+             handleActiveRemoved(sessionId, session, wasActive, wasRound);
+         }
 
          // 广播更新后的战场状态
          if (battlefield.pieces) {
-             io.to(sessionId).emit('battlefield-state-updated', { state: sanitizeBattlefieldData(battlefield) });
+             emitBattlefieldState(sessionId);
          }
+         refreshEncounterDifficulty(sessionId);
 
          // 保存到数据库
-         persistSessionData(sessionId).catch(err => console.error("Async persist error (delete-monster):", err));
+         persistSessionData(sessionId, ['session', 'battlefield']).catch(err => console.error("Async persist error (delete-monster):", err));
 
          console.log(`Monster ${monsterId} deleted. Remaining monsters:`, Object.keys(session.monsters));
          if (battlefield.pieces) {
@@ -695,7 +2959,7 @@ io.on('connection', (socket) => {
   });
 
   // 处理前端发送的批量删除请求
-  socket.on('batch-delete-monsters', (data) => {
+  onMutation('batch-delete-monsters', ['session', 'battlefield'], (data) => {
      if (!data || !data.sessionId || !Array.isArray(data.monsterIds)) {
          console.warn("Received invalid batch-delete-monsters data:", data);
          return;
@@ -707,6 +2971,7 @@ io.on('connection', (socket) => {
      let changed = false;
      const deletedIds = []; // 记录实际删除的 ID
 
+     releaseRemovedMonsters(sessionId, monsterIds);
      monsterIds.forEach(id => {
          if (session.monsters[id]) {
              delete session.monsters[id];
@@ -724,20 +2989,28 @@ io.on('connection', (socket) => {
              changed = true;
          }
      });
+     const wasActive = getActiveInitiativeEntry(session);
+     const wasRound = session.round;
+     const initiativeChanged = removeFromInitiative(session, monsterIds);
 
-     if (changed) {
+     if (changed || initiativeChanged) {
          session.lastUpdated = Date.now();
          battlefield.lastUpdated = Date.now(); // 更新战场时间戳
          // 广播精确的删除事件给客户端
-         io.to(sessionId).emit('monsters-deleted', { monsterIds: deletedIds });
+         toSession(sessionId).emit('monsters-deleted', { monsterIds: deletedIds });
          // 广播更新后的顺序
-         io.to(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+         toSession(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+         if (initiativeChanged) {
+             emitInitiativeUpdated(sessionId, session);
+             handleActiveRemoved(sessionId, session, wasActive, wasRound);
+         }
          // 广播更新后的战场状态
          if (battlefield.pieces) {
-             io.to(sessionId).emit('battlefield-state-updated', { state: sanitizeBattlefieldData(battlefield) });
+             emitBattlefieldState(sessionId);
          }
+         refreshEncounterDifficulty(sessionId);
 
-         persistSessionData(sessionId).catch(err => console.error("Async persist error (batch-delete):", err)); // <--- 添加异步保存
+         persistSessionData(sessionId, ['session', 'battlefield']).catch(err => console.error("Async persist error (batch-delete):", err)); // <--- 添加异步保存
          console.log(`Monsters deleted. Remaining:`, Object.keys(session.monsters));
          if (battlefield.pieces) {
              console.log(`Battlefield pieces after deletion:`, Object.keys(battlefield.pieces));
@@ -746,7 +3019,7 @@ io.on('connection', (socket) => {
   });
 
    // 处理前端发送的重新排序请求
-   socket.on('reorder-monsters', (data) => {
+   onMutation('reorder-monsters', ['session'], (data) => {
      if (!data || !data.sessionId || !Array.isArray(data.order)) {
         console.warn("Received invalid reorder-monsters data:", data);
         return;
@@ -757,12 +3030,162 @@ io.on('connection', (socket) => {
      session.monsterOrder = order;
      session.lastUpdated = Date.now();
      // 直接广播新的顺序给所有客户端
-     io.to(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
-     persistSessionData(sessionId).catch(err => console.error("Async persist error (reorder):", err)); // <--- 添加异步保存
+     toSession(sessionId).emit('monsters-reordered', { order: session.monsterOrder });
+     persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (reorder):", err)); // <--- 添加异步保存
    });
 
+  // --- 先攻追踪事件处理 ---
+  // entries: [{ id, name?, initiative?, dexModifier?, roll? }]，未提供 initiative 或 roll 为 true 时由服务器投掷
+  onMutation('set-initiative', ['session'], (data) => {
+      if (!data || !data.sessionId || !Array.isArray(data.entries)) {
+          console.warn("Received invalid set-initiative data:", data);
+          return;
+      }
+      const { sessionId, entries } = data;
+      const session = getSession(sessionId);
+      const active = getActiveInitiativeEntry(session);
+
+      const validEntries = entries.filter(entry => entry && entry.id !== undefined && entry.id !== null);
+      if (validEntries.length === 0) {
+          console.warn(`No valid initiative entries received for ${sessionId}`);
+          return;
+      }
+      const newEntries = validEntries.map(entry => initiative.createInitiativeEntry(entry, session.monsters[entry.id]));
+      const newIds = new Set(newEntries.map(entry => entry.id));
+      session.initiativeOrder = initiative.sortInitiativeOrder([
+          ...session.initiativeOrder.filter(entry => !newIds.has(entry.id)),
+          ...newEntries
+      ]);
+
+      // 战斗中重新排序后，保持当前行动者不变
+      if (active) {
+          const activeIndex = session.initiativeOrder.findIndex(entry => entry.id === active.id);
+          session.currentTurn = activeIndex > -1 ? activeIndex : 0;
+      }
+      session.lastUpdated = Date.now();
+      console.log(`Initiative updated in ${sessionId}:`, session.initiativeOrder.map(e => `${e.name}=${e.initiative}`).join(', '));
+
+      emitInitiativeUpdated(sessionId, session);
+      persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (set-initiative):", err));
+  });
+
+  onMutation('remove-from-initiative', ['session'], (data) => {
+      if (!data || !data.sessionId || !data.id) {
+          console.warn("Received invalid remove-from-initiative data:", data);
+          return;
+      }
+      const { sessionId, id } = data;
+      const session = getSession(sessionId);
+      const wasActive = getActiveInitiativeEntry(session);
+      const wasRound = session.round;
+      if (!removeFromInitiative(session, [id])) {
+          console.warn(`Initiative entry ${id} not found in session ${sessionId}`);
+          return;
+      }
+      session.lastUpdated = Date.now();
+      emitInitiativeUpdated(sessionId, session);
+      handleActiveRemoved(sessionId, session, wasActive, wasRound);
+      persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (remove-from-initiative):", err));
+  });
+
+  onMutation('start-combat', ['session'], (data) => {
+      if (!data || !data.sessionId) {
+          console.warn("Received invalid start-combat data:", data);
+          return;
+      }
+      const { sessionId } = data;
+      const session = getSession(sessionId);
+      if (session.initiativeOrder.length === 0) {
+          console.warn(`Cannot start combat in ${sessionId}: initiative order is empty`);
+          socket.emit('combat-error', { error: 'Initiative order is empty' });
+          return;
+      }
+      session.initiativeOrder = initiative.sortInitiativeOrder(session.initiativeOrder);
+      session.isActive = true;
+      session.round = 1;
+      session.currentTurn = 0;
+      session.lairActionRound = 0;
+      session.lastUpdated = Date.now();
+      console.log(`Combat started in ${sessionId}`);
+
+      emitInitiativeUpdated(sessionId, session);
+      checkLairAction(sessionId, session, null, false);
+      emitTurnChanged(sessionId, session);
+      // 重新开始战斗不是回合结束，不结算之前行动者的回合结束状态
+      onTurnChanged(sessionId, session, null);
+      persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (start-combat):", err));
+  });
+
+  onMutation('end-combat', ['session'], (data) => {
+      if (!data || !data.sessionId) {
+          console.warn("Received invalid end-combat data:", data);
+          return;
+      }
+      const { sessionId, clearOrder } = data;
+      const session = getSession(sessionId);
+      session.isActive = false;
+      session.round = 0;
+      session.currentTurn = 0;
+      if (clearOrder) {
+          session.initiativeOrder = [];
+      }
+      session.lastUpdated = Date.now();
+      console.log(`Combat ended in ${sessionId}`);
+
+      emitInitiativeUpdated(sessionId, session);
+      emitTurnChanged(sessionId, session);
+      // 结束战斗时当前行动者的回合并没有结束，不结算其回合结束状态
+      onTurnChanged(sessionId, session, null);
+      persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (end-combat):", err));
+  });
+
+  onMutation('next-turn', ['session'], (data) => {
+      if (!data || !data.sessionId) {
+          console.warn("Received invalid next-turn data:", data);
+          return;
+      }
+      const { sessionId } = data;
+      const session = getSession(sessionId);
+      if (!session.isActive || session.initiativeOrder.length === 0) {
+          console.warn(`Cannot advance turn in ${sessionId}: combat is not active`);
+          return;
+      }
+      const endedEntry = getActiveInitiativeEntry(session);
+      const { currentTurn, round } = initiative.getNextTurn(session.initiativeOrder, session.currentTurn, session.round);
+      const wrapped = round > session.round;
+      session.currentTurn = currentTurn;
+      session.round = round;
+      session.lastUpdated = Date.now();
+
+      checkLairAction(sessionId, session, endedEntry, wrapped);
+      emitTurnChanged(sessionId, session);
+      onTurnChanged(sessionId, session, endedEntry);
+      persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (next-turn):", err));
+  });
+
+  onMutation('previous-turn', ['session'], (data) => {
+      if (!data || !data.sessionId) {
+          console.warn("Received invalid previous-turn data:", data);
+          return;
+      }
+      const { sessionId } = data;
+      const session = getSession(sessionId);
+      if (!session.isActive || session.initiativeOrder.length === 0) {
+          console.warn(`Cannot rewind turn in ${sessionId}: combat is not active`);
+          return;
+      }
+      const { currentTurn, round } = initiative.getPreviousTurn(session.initiativeOrder, session.currentTurn, session.round);
+      session.currentTurn = currentTurn;
+      session.round = round;
+      session.lastUpdated = Date.now();
+
+      emitTurnChanged(sessionId, session);
+      onTurnChanged(sessionId, session, null, { rewind: true });
+      persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (previous-turn):", err));
+  });
+
   // --- 骰子事件处理 ---
-  socket.on('update-dice-state', (data) => {
+  onMutation('update-dice-state', ['dice'], (data) => {
     if (!data || !data.sessionId || !data.diceState) {
          console.warn("Received invalid update-dice-state data:", data);
          return;
@@ -773,71 +3196,147 @@ io.on('connection', (socket) => {
     diceSession.diceState = diceState;
     diceSession.lastUpdated = Date.now();
     // 广播给其他客户端 (不包括发送者)
-    socket.to(sessionId).emit('dice-state-updated', diceSession.diceState);
-    persistSessionData(sessionId).catch(err => console.error("Async persist error (update-dice-state):", err)); // <--- 添加异步保存
+    toSession(sessionId, socket).emit('dice-state-updated', diceSession.diceState);
+    persistSessionData(sessionId, ['dice']).catch(err => console.error("Async persist error (update-dice-state):", err)); // <--- 添加异步保存
   });
 
-  socket.on('roll-dice', (data) => {
-     if (!data || !data.sessionId || !data.playerName || !data.diceConfig || !data.diceConfig.dice) {
+  onMutation('roll-dice', ['dice'], (data) => {
+     // 支持两种格式: expression 表达式字符串 (如 "4d6kh3+2")，或旧版 diceConfig.dice 数量表
+     const expression = data && (data.expression || (data.diceConfig && data.diceConfig.expression));
+     if (!data || !data.sessionId || (!expression && (!data.diceConfig || !data.diceConfig.dice))) {
           console.warn("Received invalid roll-dice data:", data);
           return;
       }
-     const { sessionId, playerName, diceConfig } = data;
-     console.log(`Dice roll requested in ${sessionId} by ${playerName}`, diceConfig);
+     const { sessionId, diceConfig } = data;
+     // 投掷者以加入时的身份为准；GM 可以用 playerName 标注投掷 (如代生物投掷)
+     const member = getMember(sessionId, socket.id);
+     const rollerId = getRollerId(member);
+     if (!rollerId) {
+         socket.emit('dice-roll-error', { error: 'Join the session with a player name to roll' });
+         return;
+     }
+     const playerName = isGM(member)
+         ? (typeof data.playerName === 'string' && data.playerName.trim()) || member.playerName || GM_OWNER
+         : member.playerName;
+     // 可见性: public (默认)、gm (仅 GM)、self (仅自己)、whisper (密语给 whisperTo 中的玩家)
+     const visibility = data.visibility || 'public';
+     if (!ROLL_VISIBILITIES.includes(visibility)) {
+         socket.emit('dice-roll-error', { error: `Unknown roll visibility: ${visibility}` });
+         return;
+     }
+     // 密语对象可以是玩家名或 playerId，只有已注册的玩家能收到
+     const whisperToIds = Array.from(new Set((Array.isArray(data.whisperTo) ? data.whisperTo : [])
+         .filter(name => typeof name === 'string' && name)
+         .map(name => resolveOwner(sessionId, name))
+         .filter(id => getPlayerRegistry(sessionId)[id])));
+     if (visibility === 'whisper' && whisperToIds.length === 0) {
+         socket.emit('dice-roll-error', { error: 'Whisper rolls require at least one registered player as recipient' });
+         return;
+     }
+     console.log(`Dice roll requested in ${sessionId} by ${playerName} (${visibility})`, expression || diceConfig);
 
      // --- 在服务器端执行投掷逻辑 ---
-     const rollResults = {};
+     let rollResults = {};
      let grandTotal = 0;
+     let expressionResult = null;
      const now = Date.now();
 
-     for (const diceType in diceConfig.dice) {
-         const quantity = parseInt(diceConfig.dice[diceType]); // 确保是数字
-         if (quantity > 0 && diceType.match(/^d(4|6|8|10|12|20)$/)) { // 验证骰子类型
-             rollResults[diceType] = { quantity: quantity, rolls: [], subtotal: 0 };
-             const faces = parseInt(diceType.substring(1));
-             for (let i = 0; i < quantity; i++) {
-                 if (diceConfig.advantage || diceConfig.disadvantage) {
-                     const roll1 = Math.floor(Math.random() * faces) + 1;
-                     const roll2 = Math.floor(Math.random() * faces) + 1;
-                     const finalRoll = diceConfig.advantage ? Math.max(roll1, roll2) : Math.min(roll1, roll2);
-                     rollResults[diceType].rolls.push({ roll1, roll2, finalRoll, isAdvantage: diceConfig.advantage, isDisadvantage: diceConfig.disadvantage });
-                     rollResults[diceType].subtotal += finalRoll;
-                 } else {
-                     const roll = Math.floor(Math.random() * faces) + 1;
-                     rollResults[diceType].rolls.push(roll);
-                     rollResults[diceType].subtotal += roll;
+     if (expression) {
+         try {
+             expressionResult = dice.rollExpression(String(expression));
+         } catch (error) {
+             console.warn(`Invalid dice expression from ${playerName} in ${sessionId}: ${error.message}`);
+             socket.emit('dice-roll-error', { expression, error: error.message });
+             return;
+         }
+         rollResults = dice.summarizeByDieType(expressionResult.breakdown);
+         grandTotal = expressionResult.total;
+     } else {
+         for (const diceType in diceConfig.dice) {
+             const quantity = parseInt(diceConfig.dice[diceType]); // 确保是数字
+             if (quantity > 0 && diceType.match(/^d(4|6|8|10|12|20)$/)) { // 验证骰子类型
+                 rollResults[diceType] = { quantity: quantity, rolls: [], subtotal: 0 };
+                 const faces = parseInt(diceType.substring(1));
+                 for (let i = 0; i < quantity; i++) {
+                     if (diceConfig.advantage || diceConfig.disadvantage) {
+                         const roll1 = Math.floor(Math.random() * faces) + 1;
+                         const roll2 = Math.floor(Math.random() * faces) + 1;
+                         const finalRoll = diceConfig.advantage ? Math.max(roll1, roll2) : Math.min(roll1, roll2);
+                         rollResults[diceType].rolls.push({ roll1, roll2, finalRoll, isAdvantage: diceConfig.advantage, isDisadvantage: diceConfig.disadvantage });
+                         rollResults[diceType].subtotal += finalRoll;
+                     } else {
+                         const roll = Math.floor(Math.random() * faces) + 1;
+                         rollResults[diceType].rolls.push(roll);
+                         rollResults[diceType].subtotal += roll;
+                     }
                  }
+                 grandTotal += rollResults[diceType].subtotal;
              }
-             grandTotal += rollResults[diceType].subtotal;
          }
      }
 
      // 确保即使没有有效骰子也有时间戳和玩家名
      const rollDataToSend = {
+         id: `roll-${now}-${Math.round(Math.random() * 1E9)}`,
          playerName: playerName,
+         rollerId,
          rolls: rollResults, // 可能为空对象 {}
          grandTotal: grandTotal,
+         visibility: visibility,
          timestamp: now
      };
+     if (visibility === 'whisper') {
+         rollDataToSend.whisperToIds = whisperToIds;
+         rollDataToSend.whisperTo = whisperToIds.map(id => getPlayerRegistry(sessionId)[id].playerName); // 用于显示
+     }
+     if (expressionResult) {
+         rollDataToSend.expression = expressionResult.expression;
+         rollDataToSend.breakdown = expressionResult.breakdown; // 结构化分解树，标记丢弃/重投/爆骰
+         rollDataToSend.display = expressionResult.display;
+     }
      // --- 投掷逻辑结束 ---
 
 
-     const diceSession = getDiceSession(sessionId);
      // 添加到历史记录
-     if (diceSession.rollHistory.length >= 50) { // 增加历史记录容量
-        diceSession.rollHistory.shift();
+     addRollToHistory(sessionId, rollDataToSend);
+
+     // 按可见性发送投掷结果
+     emitRoll(sessionId, rollDataToSend, socket);
+     persistSessionData(sessionId, ['dice']).catch(err => console.error("Async persist error (roll-dice):", err)); // <--- 添加异步保存
+  });
+
+  // GM (或投掷者本人) 公开一次隐藏投掷
+  onMutation('reveal-roll', ['dice'], (data) => {
+     if (!data || !data.sessionId || !data.rollId) {
+          console.warn("Received invalid reveal-roll data:", data);
+          return;
+      }
+     const { sessionId, rollId } = data;
+     const diceSession = getDiceSession(sessionId);
+     const roll = diceSession.rollHistory.find(entry => entry && entry.id === rollId);
+     if (!roll) {
+         console.warn(`Roll ${rollId} not found in session ${sessionId} for reveal.`);
+         return;
+     }
+     const member = getMember(sessionId, socket.id);
+     if (!member || (!isGM(member) && (!roll.rollerId || getRollerId(member) !== roll.rollerId))) {
+         console.warn(`Client ${socket.id} is not allowed to reveal roll ${rollId} in ${sessionId}`);
+         return;
      }
-     diceSession.rollHistory.push(rollDataToSend);
-     diceSession.lastUpdated = now;
+     if (roll.visibility === 'public') return;
+
+     roll.originalVisibility = roll.visibility;
+     roll.visibility = 'public';
+     roll.revealedAt = Date.now();
+     diceSession.lastUpdated = roll.revealedAt;
 
-     // 广播投掷结果给所有客户端
-     console.log(`Broadcasting dice roll result for ${sessionId}:`, rollDataToSend);
-     io.to(sessionId).emit('dice-rolled', rollDataToSend);
-     persistSessionData(sessionId).catch(err => console.error("Async persist error (roll-dice):", err)); // <--- 添加异步保存
+     console.log(`Roll ${rollId} revealed in ${sessionId}`);
+     toSession(sessionId).emit('roll-revealed', roll);
+     persistSessionData(sessionId, ['dice']).catch(err => console.error("Async persist error (reveal-roll):", err));
   });
 
   // 处理前端发送的重置请求
-  socket.on('reset-dice-request', (data) => {
+  onMutation('reset-dice-request', ['dice'], (data) => {
      if (!data || !data.sessionId || !data.playerName) {
           console.warn("Received invalid reset-dice-request data:", data);
           return;
@@ -852,37 +3351,90 @@ io.on('connection', (socket) => {
      diceSession.lastUpdated = Date.now();
 
      // 广播重置事件给所有客户端
-     io.to(sessionId).emit('reset-dice'); // 客户端收到后自行清空界面和历史
+     toSession(sessionId).emit('reset-dice'); // 客户端收到后自行清空界面和历史
      // 广播重置后的状态
-     io.to(sessionId).emit('dice-state-updated', diceSession.diceState);
-     persistSessionData(sessionId).catch(err => console.error("Async persist error (reset-dice):", err)); // <--- 添加异步保存
+     toSession(sessionId).emit('dice-state-updated', diceSession.diceState);
+     persistSessionData(sessionId, ['dice']).catch(err => console.error("Async persist error (reset-dice):", err)); // <--- 添加异步保存
   });
 
 
   // --- 战场事件处理 ---
-  socket.on('move-piece', (data) => {
+  onMutation('move-piece', ['battlefield', 'session'], (data) => {
     if (!data || !data.sessionId || !data.pieceId || data.x === undefined || data.y === undefined) {
          console.warn("Received invalid move-piece data:", data);
          return;
      }
-    const { sessionId, pieceId, x, y } = data;
+    const { sessionId, pieceId } = data;
+    const target = toPoint({ x: data.x, y: data.y });
+    if (!target) {
+        console.warn(`Rejected move of ${pieceId} in ${sessionId}: coordinates must be finite numbers`, data.x, data.y);
+        socket.emit('movement-rejected', { pieceId, reason: 'Coordinates must be finite numbers' });
+        const current = getBattlefieldSession(sessionId).pieces[pieceId];
+        if (current) socket.emit('piece-moved', { pieceId, x: current.x, y: current.y });
+        return;
+    }
     const battlefield = getBattlefieldSession(sessionId);
     let wasPieceNewlyCreated = false; // Flag to track if we created the piece here
 
+    // 检查移动权限；被拒绝时把权威位置发回给该客户端，让其棋子回弹
+    const member = getMember(sessionId, socket.id);
+    const existingPiece = battlefield.pieces[pieceId];
+    if ((existingPiece && !canMovePiece(member, existingPiece)) || (!existingPiece && !isGM(member))) {
+        console.warn(`Client ${socket.id} is not allowed to move piece ${pieceId} in ${sessionId}`);
+        socket.emit('permission-denied', { event: 'move-piece', sessionId, reason: 'You do not own this piece' });
+        if (existingPiece) {
+            socket.emit('piece-moved', { pieceId, x: existingPiece.x, y: existingPiece.y });
+        }
+        return;
+    }
+
+    // 吸附到网格；新棋子按中等体型吸附
+    const snapped = gridUtils.snapPosition(battlefield.grid, existingPiece || {}, target.x, target.y);
+
+    // 战斗中: 玩家只能在自己的回合移动，当前行动者的移动消耗计入本回合预算
+    // 超出预算时玩家的移动被拒绝，GM 的移动只给出警告
+    const session = getSession(sessionId);
+    let movementEntry = null;
+    let moveCost = null;
+    if (session.isActive && existingPiece) {
+        const active = getActiveInitiativeEntry(session);
+        const isActivePiece = Boolean(active && active.id === pieceId);
+        if (!isActivePiece && !isGM(member)) {
+            socket.emit('movement-rejected', { pieceId, reason: 'It is not this creature\'s turn' });
+            socket.emit('piece-moved', { pieceId, x: existingPiece.x, y: existingPiece.y });
+            return;
+        }
+        if (isActivePiece) {
+            movementEntry = getMovementEntry(session, pieceId);
+            moveCost = movementUtils.computeMoveCost(battlefield.grid, existingPiece, existingPiece, snapped, battlefield.difficultTerrain, movementEntry.diagonals || 0);
+            const remaining = movementUtils.getBudget(movementEntry) - movementEntry.used;
+            if (moveCost.feet > remaining) {
+                const details = { pieceId, cost: moveCost.feet, remaining: Math.max(0, remaining), budget: movementUtils.getBudget(movementEntry) };
+                if (!isGM(member)) {
+                    socket.emit('movement-rejected', { ...details, reason: 'Not enough movement left this turn' });
+                    socket.emit('piece-moved', { pieceId, x: existingPiece.x, y: existingPiece.y });
+                    return;
+                }
+                socket.emit('movement-warning', { ...details, reason: 'Move exceeds the creature\'s speed' });
+            }
+        }
+    }
+
     // 更新或添加棋子数据 (只更新位置)
-    if (!battlefield.pieces[pieceId]) {
+    if (!existingPiece) {
         // 如果棋子不存在，可能需要从主会话获取名称等信息来创建
-        const session = getSession(sessionId);
         const monsterInfo = session.monsters[pieceId];
         if (monsterInfo) { // Only create if corresponding monster exists
             battlefield.pieces[pieceId] = {
                 id: pieceId, // 确保有 id
-                x: x,
-                y: y,
+                monsterId: pieceId,
+                x: snapped.x,
+                y: snapped.y,
                 name: monsterInfo.name || "Unknown Piece",
                 type: monsterInfo.type || "monster",
                 currentHp: monsterInfo.currentHp || 0,
-                maxHp: monsterInfo.maxHp || 0
+                maxHp: monsterInfo.maxHp || 0,
+                owner: GM_OWNER
             };
             console.log(`Piece ${pieceId} added to battlefield during move.`);
             wasPieceNewlyCreated = true; // Mark as newly created
@@ -891,9 +3443,25 @@ io.on('connection', (socket) => {
             return; // Don't proceed if we can't create the piece
         }
     } else {
+        if (movementEntry && moveCost.feet > 0) {
+            movementEntry.history.push({
+                from: { x: existingPiece.x, y: existingPiece.y },
+                to: { x: snapped.x, y: snapped.y },
+                feet: moveCost.feet,
+                diagonals: moveCost.diagonals - (movementEntry.diagonals || 0),
+                timestamp: Date.now()
+            });
+            movementEntry.used += moveCost.feet;
+            movementEntry.diagonals = moveCost.diagonals;
+            session.lastUpdated = Date.now();
+        }
         // Just update position for existing piece
-        battlefield.pieces[pieceId].x = x;
-        battlefield.pieces[pieceId].y = y;
+        battlefield.pieces[pieceId].x = snapped.x;
+        battlefield.pieces[pieceId].y = snapped.y;
+        // 吸附改变了位置时，把权威位置发回给移动者
+        if (snapped.x !== target.x || snapped.y !== target.y) {
+            socket.emit('piece-moved', { pieceId, x: snapped.x, y: snapped.y });
+        }
     }
 
     battlefield.lastUpdated = Date.now();
@@ -902,19 +3470,476 @@ io.on('connection', (socket) => {
     if (wasPieceNewlyCreated) {
         // If the piece was just created on the battlefield, broadcast the full state
         console.log(`Broadcasting full battlefield state update after creating piece ${pieceId} during move.`);
-        io.to(sessionId).emit('battlefield-state-updated', { state: sanitizeBattlefieldData(battlefield) });
+        emitBattlefieldState(sessionId);
     } else {
-        // Otherwise, just broadcast the move to other clients
+        // Otherwise, just broadcast the move to other clients that can see the piece
         // console.log(`Broadcasting piece move for ${pieceId} in ${sessionId} to (${x}, ${y})`);
-        socket.to(sessionId).emit('piece-moved', { pieceId, x, y });
+        emitPieceMoved(sessionId, pieceId, socket.id);
+    }
+    if (movementEntry) {
+        emitMovementUpdated(sessionId, movementEntry);
     }
     // --- 结束修改广播逻辑 ---
 
     // Asynchronous persistence remains the same
-    persistSessionData(sessionId).catch(err => console.error("Async persist error (move-piece):", err));
+    persistSessionData(sessionId, ['session', 'battlefield']).catch(err => console.error("Async persist error (move-piece):", err));
+  });
+
+  // GM 指定棋子归属 ("GM"、playerId 或玩家名)
+  onMutation('set-piece-owner', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.pieceId || typeof data.owner !== 'string' || !data.owner) {
+         console.warn("Received invalid set-piece-owner data:", data);
+         return;
+     }
+    const { sessionId, pieceId, owner } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const piece = battlefield.pieces[pieceId];
+    if (!piece) {
+        console.warn(`Piece ${pieceId} not found in session ${sessionId} for owner update.`);
+        return;
+    }
+    piece.owner = resolveOwner(sessionId, owner);
+    battlefield.lastUpdated = Date.now();
+    console.log(`Piece ${pieceId} in ${sessionId} now owned by ${piece.owner}`);
+    emitToPieceViewers(sessionId, piece, 'piece-owner-updated', { pieceId, owner: piece.owner });
+    refreshVision(sessionId); // 归属变化会影响玩家的视野和可见棋子
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (set-piece-owner):", err));
+  });
+
+  // GM 使玩家的令牌失效 (玩家丢失令牌时)；下一个以该名字加入的玩家获得新令牌，保留原来的 playerId 和归属
+  onMutation('release-player-token', ['session'], (data) => {
+    if (!data || !data.sessionId || typeof data.playerId !== 'string') {
+         console.warn("Received invalid release-player-token data:", data);
+         return;
+     }
+    const { sessionId, playerId } = data;
+    const player = getPlayerRegistry(sessionId)[playerId];
+    if (!player) {
+        console.warn(`Player ${playerId} not found in session ${sessionId}`);
+        return;
+    }
+    player.token = null;
+    console.log(`Released token of player ${playerId} (${player.playerName}) in ${sessionId}`);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (release-player-token):", err));
+  });
+
+  // GM 设置棋子的视野半径 (英尺)，null 或 0 表示不限
+  onMutation('update-piece-vision', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.pieceId || data.visionRadius === undefined) {
+         console.warn("Received invalid update-piece-vision data:", data);
+         return;
+     }
+    const { sessionId, pieceId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const piece = battlefield.pieces[pieceId];
+    if (!piece) {
+        console.warn(`Piece ${pieceId} not found in session ${sessionId} for vision update.`);
+        return;
+    }
+    piece.visionRadius = Number(data.visionRadius) > 0 ? Number(data.visionRadius) : null;
+    battlefield.lastUpdated = Date.now();
+    emitToPieceViewers(sessionId, piece, 'piece-vision-updated', { pieceId, visionRadius: piece.visionRadius });
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-piece-vision):", err));
+  });
+
+  // --- 网格 ---
+  onMutation('update-grid-settings', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.grid) {
+         console.warn("Received invalid update-grid-settings data:", data);
+         return;
+     }
+    const { sessionId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    battlefield.grid = gridUtils.normalizeGridState(data.grid, battlefield.grid);
+    // 迷雾格子与网格保持一致
+    battlefield.fog.cellSize = battlefield.grid.cellSize;
+    battlefield.fog.offsetX = battlefield.grid.offsetX;
+    battlefield.fog.offsetY = battlefield.grid.offsetY;
+    battlefield.lastUpdated = Date.now();
+    console.log(`Grid settings updated for ${sessionId}:`, battlefield.grid);
+    toSession(sessionId).emit('grid-settings-updated', { grid: battlefield.grid });
+    emitFogUpdated(sessionId);
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-grid-settings):", err));
+  });
+
+  // GM 设置单个棋子的体型 (tiny/small/medium/large/huge/gargantuan)
+  onMutation('set-piece-size', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.pieceId || !data.size) {
+         console.warn("Received invalid set-piece-size data:", data);
+         return;
+     }
+    const { sessionId, pieceId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const piece = battlefield.pieces[pieceId];
+    if (!piece) {
+        console.warn(`Piece ${pieceId} not found in session ${sessionId} for size update.`);
+        return;
+    }
+    piece.size = gridUtils.normalizeSize(data.size);
+    const snapped = gridUtils.snapPosition(battlefield.grid, piece, Number(piece.x || 0), Number(piece.y || 0));
+    piece.x = snapped.x;
+    piece.y = snapped.y;
+    battlefield.lastUpdated = Date.now();
+    // 位置随体型重新吸附
+    emitToPieceViewers(sessionId, piece, 'piece-size-category-updated', { pieceId, size: piece.size, x: piece.x, y: piece.y });
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (set-piece-size):", err));
+  });
+
+  // 测量距离: from / to 为 { pieceId } 或 { x, y }，rule 可选 ('5e' | 'alternating')
+  socket.on('measure-distance', (data) => {
+    if (!data || !data.sessionId || !data.from || !data.to) {
+         console.warn("Received invalid measure-distance data:", data);
+         return;
+     }
+    const { sessionId, from, to } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const member = getMember(sessionId, socket.id);
+    const resolveTarget = (target) => {
+        if (target.pieceId) {
+            const piece = battlefield.pieces[target.pieceId];
+            // 不能测量自己看不到的棋子
+            return piece && canSeePiece(battlefield, piece, member) ? { piece } : null;
+        }
+        const point = toPoint(target);
+        return point ? { point } : null;
+    };
+    const fromTarget = resolveTarget(from);
+    const toTarget = resolveTarget(to);
+    if (!fromTarget || !toTarget) {
+        socket.emit('distance-measured', { from, to, error: 'Invalid measurement target' });
+        return;
+    }
+    const rule = gridUtils.DIAGONAL_RULES.includes(data.rule) ? data.rule : battlefield.grid.diagonalRule;
+    const result = gridUtils.measureDistance(battlefield.grid, fromTarget, toTarget, rule);
+    socket.emit('distance-measured', { from, to, ...result });
+  });
+
+  // --- 战斗移动 ---
+  // 当前行动者宣告冲刺 (移动预算翻倍) 或撤离
+  onMutation('set-movement-flags', ['session'], (data) => {
+    if (!data || !data.sessionId || !data.pieceId) {
+         console.warn("Received invalid set-movement-flags data:", data);
+         return;
+     }
+    const { sessionId, pieceId } = data;
+    const session = getSession(sessionId);
+    const piece = getBattlefieldSession(sessionId).pieces[pieceId];
+    const active = getActiveInitiativeEntry(session);
+    if (!piece || !active || active.id !== pieceId) {
+        socket.emit('movement-rejected', { pieceId, reason: 'It is not this creature\'s turn' });
+        return;
+    }
+    if (!canMovePiece(getMember(sessionId, socket.id), piece)) {
+        socket.emit('permission-denied', { event: 'set-movement-flags', sessionId, reason: 'You do not own this piece' });
+        return;
+    }
+    const entry = getMovementEntry(session, pieceId);
+    if (typeof data.dash === 'boolean') entry.dash = data.dash;
+    if (typeof data.disengage === 'boolean') entry.disengage = data.disengage;
+    session.lastUpdated = Date.now();
+    emitMovementUpdated(sessionId, entry);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (set-movement-flags):", err));
+  });
+
+  // 撤销当前行动者本回合的最后一次移动
+  onMutation('undo-move', ['battlefield', 'session'], (data) => {
+    if (!data || !data.sessionId || !data.pieceId) {
+         console.warn("Received invalid undo-move data:", data);
+         return;
+     }
+    const { sessionId, pieceId } = data;
+    const session = getSession(sessionId);
+    const battlefield = getBattlefieldSession(sessionId);
+    const piece = battlefield.pieces[pieceId];
+    const entry = session.movement[pieceId];
+    if (!piece || !entry || entry.history.length === 0) {
+        socket.emit('movement-rejected', { pieceId, reason: 'No movement to undo this turn' });
+        return;
+    }
+    if (!canMovePiece(getMember(sessionId, socket.id), piece)) {
+        socket.emit('permission-denied', { event: 'undo-move', sessionId, reason: 'You do not own this piece' });
+        return;
+    }
+    const lastMove = entry.history.pop();
+    entry.used = Math.max(0, entry.used - lastMove.feet);
+    entry.diagonals = Math.max(0, (entry.diagonals || 0) - (lastMove.diagonals || 0));
+    piece.x = lastMove.from.x;
+    piece.y = lastMove.from.y;
+    session.lastUpdated = Date.now();
+    battlefield.lastUpdated = Date.now();
+    emitPieceMoved(sessionId, pieceId, null);
+    emitMovementUpdated(sessionId, entry);
+    persistSessionData(sessionId, ['session', 'battlefield']).catch(err => console.error("Async persist error (undo-move):", err));
+  });
+
+  // GM 绘制或擦除困难地形: { cells: [{ col, row }], mode: 'add' | 'remove' }
+  onMutation('paint-difficult-terrain', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !Array.isArray(data.cells)) {
+         console.warn("Received invalid paint-difficult-terrain data:", data);
+         return;
+     }
+    const { sessionId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    battlefield.difficultTerrain = movementUtils.paintCells(battlefield.difficultTerrain, data.cells, data.mode === 'remove' ? 'remove' : 'add');
+    battlefield.lastUpdated = Date.now();
+    toSession(sessionId).emit('difficult-terrain-updated', { cells: battlefield.difficultTerrain });
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (paint-difficult-terrain):", err));
+  });
+
+  onMutation('clear-difficult-terrain', ['battlefield'], (data) => {
+    if (!data || !data.sessionId) {
+         console.warn("Received invalid clear-difficult-terrain data:", data);
+         return;
+     }
+    const { sessionId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    battlefield.difficultTerrain = [];
+    battlefield.lastUpdated = Date.now();
+    toSession(sessionId).emit('difficult-terrain-updated', { cells: battlefield.difficultTerrain });
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (clear-difficult-terrain):", err));
+  });
+
+  // --- 范围效果模板 ---
+  // template: { shape, origin: { x, y }, direction?, size, width?, color?, label? }
+  onMutation('place-template', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.template) {
+         console.warn("Received invalid place-template data:", data);
+         return;
+     }
+    const { sessionId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const member = getMember(sessionId, socket.id);
+    // 没有名字加入的玩家没有身份，放置的模板之后无法修改
+    if (!isGM(member) && !(member && member.playerId)) {
+        socket.emit('template-error', { error: 'Join the session with a player name to place templates' });
+        return;
+    }
+    let template;
+    try {
+        template = templateUtils.normalizeTemplate({
+            ...data.template,
+            owner: isGM(member) ? GM_OWNER : member.playerId
+        });
+    } catch (error) {
+        socket.emit('template-error', { error: error.message });
+        return;
+    }
+    battlefield.templates.push(template);
+    battlefield.lastUpdated = Date.now();
+    console.log(`Template ${template.id} (${template.shape}) placed in ${sessionId}`);
+    emitTemplateEvent(sessionId, 'template-placed', template);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (place-template):", err));
+  });
+
+  // 移动、旋转或调整模板: { templateId, template: { 需要修改的字段 } }
+  onMutation('update-template', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.templateId || !data.template) {
+         console.warn("Received invalid update-template data:", data);
+         return;
+     }
+    const { sessionId, templateId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const index = battlefield.templates.findIndex(entry => entry.id === templateId);
+    if (index === -1) {
+        console.warn(`Template ${templateId} not found in session ${sessionId}`);
+        return;
+    }
+    if (!canEditTemplate(getMember(sessionId, socket.id), battlefield.templates[index])) {
+        socket.emit('permission-denied', { event: 'update-template', sessionId, reason: 'You do not own this template' });
+        return;
+    }
+    let template;
+    try {
+        template = templateUtils.normalizeTemplate(data.template || {}, battlefield.templates[index]);
+    } catch (error) {
+        socket.emit('template-error', { templateId, error: error.message });
+        return;
+    }
+    battlefield.templates[index] = template;
+    battlefield.lastUpdated = Date.now();
+    emitTemplateEvent(sessionId, 'template-updated', template);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-template):", err));
+  });
+
+  onMutation('remove-template', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.templateId) {
+         console.warn("Received invalid remove-template data:", data);
+         return;
+     }
+    const { sessionId, templateId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const template = battlefield.templates.find(entry => entry.id === templateId);
+    if (!template) {
+        console.warn(`Template ${templateId} not found in session ${sessionId}`);
+        return;
+    }
+    if (!canEditTemplate(getMember(sessionId, socket.id), template)) {
+        socket.emit('permission-denied', { event: 'remove-template', sessionId, reason: 'You do not own this template' });
+        return;
+    }
+    battlefield.templates = battlefield.templates.filter(entry => entry.id !== templateId);
+    battlefield.lastUpdated = Date.now();
+    toSession(sessionId).emit('template-removed', { templateId });
+    syncTemplateTargets(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (remove-template):", err));
+  });
+
+  // --- 墙壁与门 ---
+  onMutation('add-wall', ['battlefield'], (data) => {
+    const segment = data && vision.toSegment(data);
+    if (!data || !data.sessionId || !segment) {
+         console.warn("Received invalid add-wall data:", data);
+         return;
+     }
+    const { sessionId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    battlefield.walls.push({ id: `wall-${Date.now()}-${Math.round(Math.random() * 1E9)}`, ...segment });
+    battlefield.lastUpdated = Date.now();
+    toSession(sessionId).emit('walls-updated', { walls: battlefield.walls, doors: battlefield.doors });
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (add-wall):", err));
+  });
+
+  onMutation('remove-wall', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.wallId) {
+         console.warn("Received invalid remove-wall data:", data);
+         return;
+     }
+    const { sessionId, wallId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const remaining = battlefield.walls.filter(wall => wall.id !== wallId);
+    if (remaining.length === battlefield.walls.length) {
+        console.warn(`Wall ${wallId} not found in session ${sessionId}`);
+        return;
+    }
+    battlefield.walls = remaining;
+    battlefield.lastUpdated = Date.now();
+    toSession(sessionId).emit('walls-updated', { walls: battlefield.walls, doors: battlefield.doors });
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (remove-wall):", err));
+  });
+
+  onMutation('add-door', ['battlefield'], (data) => {
+    const segment = data && vision.toSegment(data);
+    if (!data || !data.sessionId || !segment || (data.state !== undefined && !vision.DOOR_STATES.includes(data.state))) {
+         console.warn("Received invalid add-door data:", data);
+         return;
+     }
+    const { sessionId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    battlefield.doors.push({
+        id: `door-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+        ...segment,
+        state: data.state || 'closed'
+    });
+    battlefield.lastUpdated = Date.now();
+    toSession(sessionId).emit('walls-updated', { walls: battlefield.walls, doors: battlefield.doors });
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (add-door):", err));
+  });
+
+  onMutation('remove-door', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.doorId) {
+         console.warn("Received invalid remove-door data:", data);
+         return;
+     }
+    const { sessionId, doorId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const remaining = battlefield.doors.filter(door => door.id !== doorId);
+    if (remaining.length === battlefield.doors.length) {
+        console.warn(`Door ${doorId} not found in session ${sessionId}`);
+        return;
+    }
+    battlefield.doors = remaining;
+    battlefield.lastUpdated = Date.now();
+    toSession(sessionId).emit('walls-updated', { walls: battlefield.walls, doors: battlefield.doors });
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (remove-door):", err));
+  });
+
+  // 玩家可以开关门，但只有 GM 可以上锁或打开上锁的门
+  onMutation('update-door-state', ['battlefield'], (data) => {
+    if (!data || !data.sessionId || !data.doorId || !vision.DOOR_STATES.includes(data.state)) {
+         console.warn("Received invalid update-door-state data:", data);
+         return;
+     }
+    const { sessionId, doorId, state } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    const door = battlefield.doors.find(entry => entry.id === doorId);
+    if (!door) {
+        console.warn(`Door ${doorId} not found in session ${sessionId}`);
+        return;
+    }
+    if (!isGM(getMember(sessionId, socket.id)) && (state === 'locked' || door.state === 'locked')) {
+        socket.emit('permission-denied', { event: 'update-door-state', sessionId, reason: 'Only the GM can lock or unlock doors' });
+        return;
+    }
+    if (door.state === state) return;
+    door.state = state;
+    battlefield.lastUpdated = Date.now();
+    console.log(`Door ${doorId} in ${sessionId} is now ${state}`);
+    toSession(sessionId).emit('door-state-changed', { doorId, state });
+    refreshVision(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-door-state):", err));
+  });
+
+  // --- 战争迷雾 (GM) ---
+  onMutation('update-fog-settings', ['battlefield'], (data) => {
+    if (!data || !data.sessionId) {
+         console.warn("Received invalid update-fog-settings data:", data);
+         return;
+     }
+    const { sessionId, enabled, gmOpacity } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    if (typeof enabled === 'boolean') battlefield.fog.enabled = enabled;
+    if (gmOpacity !== undefined) battlefield.fog.gmOpacity = Math.max(0, Math.min(1, Number(gmOpacity) || 0));
+    battlefield.lastUpdated = Date.now();
+    console.log(`Fog settings updated for ${sessionId}: enabled=${battlefield.fog.enabled}`);
+    emitFogUpdated(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-fog-settings):", err));
   });
 
-  socket.on('update-background', (data) => {
+  // data: { sessionId, cells: [[col, row], ...] } 或 { sessionId, polygon: [{ x, y }, ...] }
+  ['fog-reveal', 'fog-hide'].forEach(eventName => {
+    onMutation(eventName, ['battlefield'], (data) => {
+      if (!data || !data.sessionId) {
+           console.warn(`Received invalid ${eventName} data:`, data);
+           return;
+       }
+      const { sessionId } = data;
+      const battlefield = getBattlefieldSession(sessionId);
+      try {
+          fogUtils.applyFogOperation(battlefield.fog, eventName === 'fog-reveal' ? 'reveal' : 'hide', data);
+      } catch (error) {
+          console.warn(`Invalid ${eventName} operation in ${sessionId}: ${error.message}`);
+          socket.emit('fog-error', { event: eventName, error: error.message });
+          return;
+      }
+      battlefield.lastUpdated = Date.now();
+      emitFogUpdated(sessionId);
+      persistSessionData(sessionId, ['battlefield']).catch(err => console.error(`Async persist error (${eventName}):`, err));
+    });
+  });
+
+  // 清除所有揭示/隐藏区域，整个地图回到迷雾中
+  onMutation('fog-reset', ['battlefield'], (data) => {
+    if (!data || !data.sessionId) {
+         console.warn("Received invalid fog-reset data:", data);
+         return;
+     }
+    const { sessionId } = data;
+    const battlefield = getBattlefieldSession(sessionId);
+    battlefield.fog.regions = [];
+    battlefield.lastUpdated = Date.now();
+    console.log(`Fog reset for ${sessionId}`);
+    emitFogUpdated(sessionId);
+    persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (fog-reset):", err));
+  });
+
+  onMutation('update-background', ['battlefield'], (data) => {
      if (!data || !data.sessionId || data.imageUrl === undefined) { //允许空imageUrl清除背景
           console.warn("Received invalid update-background data:", data);
           return;
@@ -925,8 +3950,8 @@ io.on('connection', (socket) => {
      battlefield.backgroundImage = imageUrl; // imageUrl 可以是 base64 或 null/空字符串
      battlefield.lastUpdated = Date.now();
      // 广播给其他客户端
-     socket.to(sessionId).emit('background-updated', { imageUrl });
-     persistSessionData(sessionId).catch(err => console.error("Async persist error (update-background):", err)); // <--- 添加异步保存
+     toSession(sessionId, socket).emit('background-updated', { imageUrl });
+     persistSessionData(sessionId, ['background']).catch(err => console.error("Async persist error (update-background):", err)); // <--- 添加异步保存
   });
 
   // 处理分块背景图片上传
@@ -953,13 +3978,13 @@ io.on('connection', (socket) => {
               console.warn(`Transfer for image ${imageId} timed out.`);
               if (backgroundChunks[imageId]) {
                   delete backgroundChunks[imageId];
-                   io.to(sessionId).emit('background-transfer-failed', { imageId, error: 'Timeout' });
+                   toSession(sessionId).emit('background-transfer-failed', { imageId, error: 'Timeout' });
               }
           }, 60000) // 60秒超时
       };
   });
 
-  socket.on('background-transfer-chunk', (data) => {
+  onMutation('background-transfer-chunk', ['battlefield'], (data) => {
       if (!data || !data.sessionId || !data.imageId || data.chunkIndex === undefined || !data.chunk) {
            console.warn("Received invalid background-transfer-chunk data:", data);
            return;
@@ -976,7 +4001,7 @@ io.on('connection', (socket) => {
             console.warn(`Chunk ${chunkIndex + 1}/${transfer.totalChunks} for image ${imageId} rejected: chunk too large`);
             clearTimeout(transfer.timer);
             delete backgroundChunks[imageId];
-            io.to(sessionId).emit('background-transfer-failed', { imageId, error: 'Chunk too large' });
+            toSession(sessionId).emit('background-transfer-failed', { imageId, error: 'Chunk too large' });
             return;
        }
 
@@ -991,7 +4016,7 @@ io.on('connection', (socket) => {
                console.warn(`Transfer for image ${imageId} timed out after receiving chunk ${chunkIndex + 1}.`);
                if (backgroundChunks[imageId]) {
                   delete backgroundChunks[imageId];
-                   io.to(sessionId).emit('background-transfer-failed', { imageId, error: 'Timeout' });
+                   toSession(sessionId).emit('background-transfer-failed', { imageId, error: 'Timeout' });
                }
           }, 60000); // 每次收到块后重置60秒超时
 
@@ -1001,7 +4026,7 @@ io.on('connection', (socket) => {
            console.warn(`Received invalid chunk index ${chunkIndex} for image ${imageId}`);
             clearTimeout(transfer.timer);
             delete backgroundChunks[imageId];
-            io.to(sessionId).emit('background-transfer-failed', { imageId, error: 'Invalid chunk index' });
+            toSession(sessionId).emit('background-transfer-failed', { imageId, error: 'Invalid chunk index' });
            return;
       }
 
@@ -1018,7 +4043,7 @@ io.on('connection', (socket) => {
               // 再次检查图片大小是否过大 (防止恶意构造)
               if (fullImageUrl.length > 10 * 1024 * 1024) { // 限制最终大小为 10MB
                   console.warn(`Reconstructed image ${imageId} rejected: final size too large`);
-                  io.to(sessionId).emit('background-transfer-failed', { imageId, error: 'Image too large after reconstruction' });
+                  toSession(sessionId).emit('background-transfer-failed', { imageId, error: 'Image too large after reconstruction' });
                   delete backgroundChunks[imageId];
                   return;
               }
@@ -1029,11 +4054,11 @@ io.on('connection', (socket) => {
               battlefield.lastUpdated = Date.now();
 
               // 广播给所有客户端 (包括发送者，因为他们可能也需要确认)
-              io.to(sessionId).emit('background-transfer-complete', { imageUrl: fullImageUrl });
+              toSession(sessionId).emit('background-transfer-complete', { imageUrl: fullImageUrl });
               // 不再需要单独发送 background-updated，因为 complete 事件包含了 URL
               // io.to(sessionId).emit('background-updated', { imageUrl: fullImageUrl });
 
-              persistSessionData(sessionId).catch(err => console.error("Async persist error (bg-transfer-complete):", err)); // <--- 添加异步保存
+              persistSessionData(sessionId, ['background']).catch(err => console.error("Async persist error (bg-transfer-complete):", err)); // <--- 添加异步保存
 
               // 清理内存
               delete backgroundChunks[imageId];
@@ -1041,14 +4066,14 @@ io.on('connection', (socket) => {
           } catch (error) {
                console.error(`Error reconstructing image ${imageId} for session ${sessionId}:`, error);
                // 通知客户端失败
-               io.to(sessionId).emit('background-transfer-failed', { imageId, error: 'Reconstruction failed' });
+               toSession(sessionId).emit('background-transfer-failed', { imageId, error: 'Reconstruction failed' });
                delete backgroundChunks[imageId];
           }
       }
   });
 
 
-  socket.on('update-scale', (data) => {
+  onMutation('update-scale', ['battlefield'], (data) => {
       if (!data || !data.sessionId || data.scale === undefined) {
            console.warn("Received invalid update-scale data:", data);
            return;
@@ -1059,11 +4084,11 @@ io.on('connection', (socket) => {
       const battlefield = getBattlefieldSession(sessionId);
       battlefield.scale = validatedScale;
       battlefield.lastUpdated = Date.now();
-      socket.to(sessionId).emit('scale-updated', { scale: validatedScale });
-      persistSessionData(sessionId).catch(err => console.error("Async persist error (update-scale):", err)); // <--- 添加异步保存
+      toSession(sessionId, socket).emit('scale-updated', { scale: validatedScale });
+      persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-scale):", err)); // <--- 添加异步保存
   });
 
-  socket.on('update-grid-visibility', (data) => {
+  onMutation('update-grid-visibility', ['battlefield'], (data) => {
       if (!data || !data.sessionId || data.isVisible === undefined) {
            console.warn("Received invalid update-grid-visibility data:", data);
            return;
@@ -1074,11 +4099,11 @@ io.on('connection', (socket) => {
       const battlefield = getBattlefieldSession(sessionId);
       battlefield.isGridVisible = validatedIsVisible;
       battlefield.lastUpdated = Date.now();
-      socket.to(sessionId).emit('grid-visibility-updated', { isVisible: validatedIsVisible });
-      persistSessionData(sessionId).catch(err => console.error("Async persist error (update-grid):", err)); // <--- 添加异步保存
+      toSession(sessionId, socket).emit('grid-visibility-updated', { isVisible: validatedIsVisible });
+      persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-grid):", err)); // <--- 添加异步保存
   });
 
-  socket.on('update-piece-size', (data) => {
+  onMutation('update-piece-size', ['battlefield'], (data) => {
       if (!data || !data.sessionId || data.size === undefined) {
            console.warn("Received invalid update-piece-size data:", data);
            return;
@@ -1089,14 +4114,15 @@ io.on('connection', (socket) => {
       const battlefield = getBattlefieldSession(sessionId);
       battlefield.pieceSize = validatedSize;
       battlefield.lastUpdated = Date.now();
-      socket.to(sessionId).emit('piece-size-updated', { size: validatedSize });
-      persistSessionData(sessionId).catch(err => console.error("Async persist error (update-piece-size):", err)); // <--- 添加异步保存
+      toSession(sessionId, socket).emit('piece-size-updated', { size: validatedSize });
+      persistSessionData(sessionId, ['battlefield']).catch(err => console.error("Async persist error (update-piece-size):", err)); // <--- 添加异步保存
   });
 
 
   // --- 断开连接 ---
   socket.on('disconnect', (reason) => {
     console.log(`Client disconnected: ${socket.id}, reason: ${reason}`);
+    removeMemberFromAllSessions(socket.id);
     // 可选：处理用户离开会话的逻辑，例如通知其他人或清理资源
     // if (currentSessionId) {
     //     socket.to(currentSessionId).emit('user-left', { socketId: socket.id });
@@ -1118,6 +4144,154 @@ io.on('connection', (socket) => {
 
 
 // -------------------- API 路由 (可选, 仅用于GET或特殊操作) --------------------
+// 先按需从存储加载会话，再使用内存中的 GM 令牌校验
+async function hydrateSessionParam(req, res, next) {
+    try {
+        await ensureSessionLoaded(req.params.sessionId);
+        next();
+    } catch (error) {
+        console.error(`Failed to load session ${req.params.sessionId} for API request:`, error.message);
+        res.status(503).json({ success: false, error: 'Failed to load session from storage' });
+    }
+}
+
+// 未加载的会话只从存储读取令牌，校验通过后才由 hydrateSessionParam 加载整个会话
+async function resolveSessionGmToken(sessionId) {
+    if (loadedSessionIds.has(sessionId) || gmTokens[sessionId]) return gmTokens[sessionId];
+    return storage.loadGmToken(sessionId);
+}
+
+const requireSessionGm = createRequireGm(resolveSessionGmToken);
+const requireAdmin = createRequireAdmin(() => process.env.ADMIN_TOKEN);
+
+/**
+ * @route   POST /api/v1/sessions/:sessionId/gm-token
+ * @desc    为会话签发新的 GM 令牌 (旧会话没有令牌时的认领方式；已有令牌时替换，旧令牌失效)
+ * @access  Admin (需要 X-Admin-Token 请求头)
+ */
+app.post('/api/v1/sessions/:sessionId/gm-token', requireAdmin, hydrateSessionParam, (req, res) => {
+    const { sessionId } = req.params;
+    getSession(sessionId); // 确保令牌随会话保存
+    gmTokens[sessionId] = generateGmToken();
+    unclaimedSessions.delete(sessionId);
+    persistSessionData(sessionId, ['session']).catch(err => console.error("Async persist error (gm-token):", err));
+    console.log(`Issued a new GM token for session ${sessionId} via admin API`);
+    res.status(201).json({ success: true, data: { sessionId, gmToken: gmTokens[sessionId] } });
+});
+
+// 写入路由: body.expectedRevision 与当前版本号不一致时返回 409 (附带当前状态)
+function checkExpectedRevision(scopes) {
+    return (req, res, next) => {
+        const { sessionId } = req.params;
+        let staleScope;
+        try {
+            staleScope = revisionUtils.findStaleScope(getRevisions(sessionId), (req.body || {}).expectedRevision, scopes);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (!staleScope) return next();
+        sendRevisionConflict(res, sessionId, staleScope);
+    };
+}
+
+function sendRevisionConflict(res, sessionId, staleScope) {
+    res.status(409).json({
+        success: false,
+        error: `Stale ${staleScope} revision`,
+        data: buildRevisionConflict(sessionId, staleScope, { role: 'gm' })
+    });
+}
+
+// 导入和加载在 await 之后再次校验版本号 (见 assertExpectedRevision)
+function sendWriteError(res, sessionId, error) {
+    if (error.staleScope) return sendRevisionConflict(res, sessionId, error.staleScope);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+}
+
+/**
+ * @route   POST /api/v1/sessions/:sessionId/monsters/import
+ * @desc    从怪物数据库导入怪物 (body: { slug, count?, hpMode?, expectedRevision? })
+ * @access  GM (需要 X-GM-Token 请求头)
+ */
+app.post('/api/v1/sessions/:sessionId/monsters/import', requireSessionGm, hydrateSessionParam, checkExpectedRevision(['session', 'battlefield']), async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const added = await importMonstersFromDatabase(sessionId, req.body || {});
+        res.status(201).json({ success: true, data: { sessionId, monsters: added, revisions: getRevisions(sessionId) } });
+    } catch (error) {
+        sendWriteError(res, sessionId, error);
+    }
+});
+
+/**
+ * @route   GET /api/v1/sessions/:sessionId/encounter-difficulty
+ * @desc    计算当前怪物的遭遇难度 (query: party=3,3,4,5；省略时使用会话中保存的队伍)
+ * @access  GM (需要 X-GM-Token 请求头)
+ */
+app.get('/api/v1/sessions/:sessionId/encounter-difficulty', requireSessionGm, hydrateSessionParam, (req, res) => {
+    const { sessionId } = req.params;
+    const partyLevels = typeof req.query.party === 'string' ? req.query.party.split(',').filter(Boolean) : undefined;
+    try {
+        res.json({ success: true, data: { sessionId, ...getEncounterDifficulty(sessionId, partyLevels) } });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/v1/sessions/:sessionId/encounters
+ * @desc    列出遭遇库 (query: search 匹配名称或标签, tag 精确匹配标签)
+ * @access  GM (需要 X-GM-Token 请求头)
+ */
+app.get('/api/v1/sessions/:sessionId/encounters', requireSessionGm, hydrateSessionParam, async (req, res) => {
+    try {
+        const encounters = await listEncounters({ search: req.query.search, tag: req.query.tag });
+        res.json({ success: true, data: { encounters } });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/v1/sessions/:sessionId/encounters
+ * @desc    将会话当前的生物、棋子和背景保存为遭遇 (body: { name, description?, tags?, encounterId?, includeBackground? })
+ *          encounterId 只能覆盖本会话保存的遭遇
+ * @access  GM (需要 X-GM-Token 请求头)
+ */
+app.post('/api/v1/sessions/:sessionId/encounters', requireSessionGm, hydrateSessionParam, async (req, res) => {
+    try {
+        const encounter = await saveEncounter(req.params.sessionId, req.body || {});
+        res.status(201).json({ success: true, data: encounter });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/v1/sessions/:sessionId/encounters/:encounterId/load
+ * @desc    将遭遇加载到会话 (body: { mode: 'replace' | 'merge', expectedRevision? })
+ * @access  GM (需要 X-GM-Token 请求头)
+ */
+app.post('/api/v1/sessions/:sessionId/encounters/:encounterId/load', requireSessionGm, hydrateSessionParam, checkExpectedRevision(['session', 'battlefield']), async (req, res) => {
+    const { sessionId, encounterId } = req.params;
+    try {
+        const body = req.body || {};
+        const added = await loadEncounter(sessionId, encounterId, body.mode, body.expectedRevision);
+        res.json({ success: true, data: { sessionId, encounterId, monsters: added, revisions: getRevisions(sessionId) } });
+    } catch (error) {
+        sendWriteError(res, sessionId, error);
+    }
+});
+
+/**
+ * @route   GET /api/v1/persistence/metrics
+ * @desc    延迟写入队列的状态: 待写会话数、最早的待写时长、最近一次写入时间和错误
+ * @access  Admin (需要 X-Admin-Token 请求头)
+ */
+app.get('/api/v1/persistence/metrics', requireAdmin, (req, res) => {
+    res.json({ success: true, data: persistenceScheduler.getMetrics() });
+});
+
 // 如果需要保留 API 获取初始数据:
 // const battlesRoutes = require('./routes/battles')(sessions); // 传递内存状态给路由
 // app.use('/api/v1/battles', battlesRoutes);
@@ -1131,7 +4305,14 @@ io.on('connection', (socket) => {
 
 // --- 修改: 在启动服务器前加载数据 ---
 async function startServer() {
-    await loadDataOnStartup(); // 等待数据加载完成
+    try {
+        await storage.connect();
+    } catch (error) {
+        console.error(`Failed to connect to ${storage.name} storage:`, error.message);
+        process.exitCode = 1;
+        return;
+    }
+    // 会话在首次 join-session 或 API 访问时按需加载，不在启动时读取全部数据
 
     // 启动服务器
     const PORT = process.env.PORT || 3000;
@@ -1143,23 +4324,17 @@ async function startServer() {
 startServer(); // 调用异步启动函数
 
 // -------------------- 定期/按需 持久化状态 (移除定时保存，改为事件触发) --------------------
-// 优雅关闭时保存 (改为保存所有会话)
+// 优雅关闭时写入所有尚未保存的变化
 async function shutdown() {
-    console.log('Shutting down. Saving all data before exit...');
-    const allSessionIds = new Set([
-        ...Object.keys(sessions),
-        ...Object.keys(diceSessions),
-        ...Object.keys(battlefieldSessions)
-    ]);
-    // 使用 Promise.all 来并行保存所有会话
-    try {
-        await Promise.all(Array.from(allSessionIds).map(id => persistSessionData(id)));
-        console.log('All data persisted. Exiting.');
-        process.exit(0);
-    } catch (err) {
-        console.error('Error persisting data during shutdown:', err);
+    console.log('Shutting down. Flushing pending writes before exit...', persistenceScheduler.getMetrics());
+    const failed = await persistenceScheduler.flushAll();
+    await storage.close().catch(err => console.error('Error closing storage:', err));
+    if (failed > 0) {
+        console.error(`Failed to persist ${failed} session(s) during shutdown`);
         process.exit(1);
     }
+    console.log('All data persisted. Exiting.');
+    process.exit(0);
 }
 
 process.on('SIGINT', shutdown);
@@ -0,0 +1,56 @@
+/**
+ * JSON 文件存储 (单机部署，无需数据库)
+ * 数据保存在内存中，每次变化后整体写入文件 (先写临时文件再重命名，避免写到一半时损坏)
+ */
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter } = require('./memoryAdapter');
+
+/**
+ * @param {{ filePath: string }} options
+ */
+function createFileAdapter({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+  let writeChain = Promise.resolve();
+
+  // 串行写入，后一次写入总是包含最新数据
+  function writeFile() {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+      const tempPath = `${resolvedPath}.tmp`;
+      await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(memory.snapshot()));
+      await fs.promises.rename(tempPath, resolvedPath);
+    });
+    return writeChain;
+  }
+
+  const memory = createMemoryAdapter({}, { onChange: writeFile });
+
+  return {
+    ...memory,
+    name: 'file',
+
+    async connect() {
+      let content;
+      try {
+        content = await fs.promises.readFile(resolvedPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          console.log(`Storage file ${resolvedPath} does not exist yet, starting empty`);
+          return;
+        }
+        throw error;
+      }
+      memory.reset(content.trim() ? JSON.parse(content) : {});
+      console.log(`Loaded storage file ${resolvedPath}`);
+    },
+
+    async close() {
+      await writeChain;
+    }
+  };
+}
+
+module.exports = {
+  createFileAdapter
+};
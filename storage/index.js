@@ -0,0 +1,41 @@
+/**
+ * 存储后端，由环境变量 STORAGE_BACKEND 选择:
+ *   mongo  (默认) MongoDB，连接地址为 MONGODB_URI
+ *   file   JSON 文件，路径为 STORAGE_FILE_PATH (默认 ./data/storage.json)
+ *   memory 仅内存，用于测试
+ *
+ * 所有后端实现相同的接口:
+ *   connect() / close()
+ *   loadAll()                      -> { sessions, diceSessions, battlefields } 文档数组
+ *   loadOne(sessionId)             -> { session, diceSession, battlefield } 不存在的部分为 null
+ *   loadGmToken(sessionId)         -> 会话的 GM 令牌 (只读取该字段)，没有时为 null
+ *   savePartial(sessionId, parts)  parts: { session?, diceSession?, battlefield? }，每部分按 $set 语义写入
+ *   deleteSession(sessionId)       -> 是否删除了数据
+ *   saveEncounter(encounterId, fields) / findEncounters({ search, tag }) / getEncounter(encounterId) / deleteEncounter(encounterId)
+ */
+const path = require('path');
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createFileAdapter } = require('./fileAdapter');
+
+const STORAGE_BACKENDS = ['mongo', 'file', 'memory'];
+
+function createStorage(backend = process.env.STORAGE_BACKEND || 'mongo') {
+  switch (backend) {
+    case 'mongo':
+      // 延迟加载，file/memory 后端不需要 Mongoose 模型
+      return require('./mongoAdapter').createMongoAdapter();
+    case 'file':
+      return createFileAdapter({
+        filePath: process.env.STORAGE_FILE_PATH || path.join(__dirname, '../data/storage.json')
+      });
+    case 'memory':
+      return createMemoryAdapter();
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected one of ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage
+};
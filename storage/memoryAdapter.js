@@ -0,0 +1,148 @@
+/**
+ * 内存存储 (用于测试；进程退出后数据丢失)
+ * 文档结构与 MongoDB 模型相同，保存时支持 "background.imageUrl" 形式的点路径字段
+ */
+const { matchesEncounterFilters, ENCOUNTER_SUMMARY_FIELDS } = require('../utils/encounterLibrary');
+
+const MAX_ENCOUNTER_RESULTS = 100;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// 与 MongoDB 的字段投影相同，只保留存在的字段
+function pickFields(doc, fields) {
+  return fields.reduce((acc, field) => {
+    if (doc[field] !== undefined) acc[field] = doc[field];
+    return acc;
+  }, {});
+}
+
+// 按 $set 语义写入字段，点路径会创建嵌套对象
+function applyFields(doc, fields) {
+  Object.keys(fields).forEach(key => {
+    const path = key.split('.');
+    let target = doc;
+    path.slice(0, -1).forEach(segment => {
+      if (!target[segment] || typeof target[segment] !== 'object') target[segment] = {};
+      target = target[segment];
+    });
+    target[path[path.length - 1]] = clone(fields[key]);
+  });
+  return doc;
+}
+
+/**
+ * @param {{ sessions?, diceSessions?, battlefields?, encounters? }} initialData 各集合的文档数组
+ * @param {{ onChange?: () => Promise<void> }} hooks 数据变化后调用 (文件存储用于写盘)
+ */
+function createMemoryAdapter(initialData = {}, hooks = {}) {
+  const collections = {
+    sessions: new Map(),
+    diceSessions: new Map(),
+    battlefields: new Map(),
+    encounters: new Map()
+  };
+  const onChange = hooks.onChange || (async () => {});
+
+  function reset(data) {
+    Object.keys(collections).forEach(name => {
+      collections[name].clear();
+      const key = name === 'encounters' ? 'encounterId' : 'sessionId';
+      (data[name] || []).forEach(doc => {
+        if (doc && doc[key]) collections[name].set(doc[key], clone(doc));
+      });
+    });
+  }
+
+  function upsert(name, key, id, fields) {
+    const now = new Date().toISOString();
+    const doc = collections[name].get(id) || { [key]: id, createdAt: now };
+    applyFields(doc, fields);
+    doc.updatedAt = now;
+    collections[name].set(id, doc);
+  }
+
+  // 导出所有集合 (文件存储用于写盘)
+  function snapshot() {
+    return Object.keys(collections).reduce((acc, name) => {
+      acc[name] = Array.from(collections[name].values());
+      return acc;
+    }, {});
+  }
+
+  reset(initialData);
+
+  return {
+    name: 'memory',
+    async connect() {},
+    async close() {},
+
+    async loadAll() {
+      return {
+        sessions: clone(Array.from(collections.sessions.values())),
+        diceSessions: clone(Array.from(collections.diceSessions.values())),
+        battlefields: clone(Array.from(collections.battlefields.values()))
+      };
+    },
+
+    async loadOne(sessionId) {
+      return {
+        session: clone(collections.sessions.get(sessionId)) || null,
+        diceSession: clone(collections.diceSessions.get(sessionId)) || null,
+        battlefield: clone(collections.battlefields.get(sessionId)) || null
+      };
+    },
+
+    async loadGmToken(sessionId) {
+      const doc = collections.sessions.get(sessionId);
+      return doc && doc.gmToken ? doc.gmToken : null;
+    },
+
+    async savePartial(sessionId, { session, diceSession, battlefield } = {}) {
+      if (session) upsert('sessions', 'sessionId', sessionId, session);
+      if (diceSession) upsert('diceSessions', 'sessionId', sessionId, diceSession);
+      if (battlefield) upsert('battlefields', 'sessionId', sessionId, battlefield);
+      await onChange();
+    },
+
+    async deleteSession(sessionId) {
+      const deleted = ['sessions', 'diceSessions', 'battlefields']
+        .map(name => collections[name].delete(sessionId))
+        .some(Boolean);
+      if (deleted) await onChange();
+      return deleted;
+    },
+
+    async saveEncounter(encounterId, fields) {
+      upsert('encounters', 'encounterId', encounterId, fields);
+      await onChange();
+    },
+
+    async findEncounters(filters) {
+      return clone(Array.from(collections.encounters.values())
+        .filter(encounter => matchesEncounterFilters(encounter, filters))
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+        .slice(0, MAX_ENCOUNTER_RESULTS)
+        .map(encounter => pickFields(encounter, ENCOUNTER_SUMMARY_FIELDS)));
+    },
+
+    async getEncounter(encounterId) {
+      return clone(collections.encounters.get(encounterId)) || null;
+    },
+
+    async deleteEncounter(encounterId) {
+      const deleted = collections.encounters.delete(encounterId);
+      if (deleted) await onChange();
+      return deleted;
+    },
+
+    reset,
+    snapshot
+  };
+}
+
+module.exports = {
+  applyFields,
+  createMemoryAdapter
+};
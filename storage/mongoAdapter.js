@@ -0,0 +1,99 @@
+/**
+ * MongoDB 存储 (Mongoose 模型)
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Session = require('../models/session');
+const DiceSession = require('../models/diceSession');
+const Battlefield = require('../models/battlefield');
+const Encounter = require('../models/encounter');
+const { buildSearchQuery, ENCOUNTER_SUMMARY_FIELDS } = require('../utils/encounterLibrary');
+
+const MAX_ENCOUNTER_RESULTS = 100;
+
+function createMongoAdapter() {
+  return {
+    name: 'mongo',
+
+    // 连接失败时抛出错误，由调用方决定如何处理
+    async connect() {
+      await connectDB();
+    },
+
+    async close() {
+      await mongoose.connection.close();
+    },
+
+    async loadAll() {
+      const [sessions, diceSessions, battlefields] = await Promise.all([
+        Session.find({}).lean(),
+        DiceSession.find({}).lean(),
+        Battlefield.find({}).lean()
+      ]);
+      return { sessions, diceSessions, battlefields };
+    },
+
+    async loadOne(sessionId) {
+      const [session, diceSession, battlefield] = await Promise.all([
+        Session.findOne({ sessionId }).lean(), // .lean() 返回普通 JS 对象，更快
+        DiceSession.findOne({ sessionId }).lean(),
+        Battlefield.findOne({ sessionId }).lean()
+      ]);
+      return { session, diceSession, battlefield };
+    },
+
+    async loadGmToken(sessionId) {
+      const doc = await Session.findOne({ sessionId }, 'gmToken').lean();
+      return doc && doc.gmToken ? doc.gmToken : null;
+    },
+
+    // 每个部分是 $set 对象 (可以包含 "background.imageUrl" 形式的点路径)
+    async savePartial(sessionId, { session, diceSession, battlefield } = {}) {
+      const writes = [];
+      if (session) {
+        writes.push(Session.findOneAndUpdate({ sessionId }, { $set: session }, { upsert: true }));
+      }
+      if (diceSession) {
+        writes.push(DiceSession.findOneAndUpdate({ sessionId }, { $set: diceSession }, { upsert: true }));
+      }
+      if (battlefield) {
+        writes.push(Battlefield.findOneAndUpdate({ sessionId }, { $set: battlefield }, { upsert: true }));
+      }
+      await Promise.all(writes);
+    },
+
+    async deleteSession(sessionId) {
+      const results = await Promise.all([
+        Session.deleteOne({ sessionId }),
+        DiceSession.deleteOne({ sessionId }),
+        Battlefield.deleteOne({ sessionId })
+      ]);
+      return results.some(result => result.deletedCount > 0);
+    },
+
+    async saveEncounter(encounterId, fields) {
+      await Encounter.findOneAndUpdate({ encounterId }, { $set: fields }, { upsert: true });
+    },
+
+    // 只返回摘要字段，不含生物和背景数据
+    async findEncounters(filters) {
+      return Encounter.find(buildSearchQuery(filters), ENCOUNTER_SUMMARY_FIELDS.join(' '))
+        .sort({ updatedAt: -1 })
+        .limit(MAX_ENCOUNTER_RESULTS)
+        .lean();
+    },
+
+    async getEncounter(encounterId) {
+      return Encounter.findOne({ encounterId }).lean();
+    },
+
+    async deleteEncounter(encounterId) {
+      const result = await Encounter.deleteOne({ encounterId });
+      return result.deletedCount > 0;
+    }
+  };
+}
+
+module.exports = {
+  createMongoAdapter
+};
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const conditions = require('../utils/conditions');
+
+function condition(name, duration) {
+  return conditions.normalizeCondition({ name, duration }, 'orc');
+}
+
+test('round durations tick at the start of the tracked creature\'s turn', () => {
+  const list = [condition('Poisoned', { type: 'rounds', rounds: 2 })];
+  const first = conditions.processTurnBoundary(list, { endedId: 'fighter', startedId: 'orc' });
+  assert.strictEqual(first.conditions[0].duration.rounds, 1);
+  assert.strictEqual(first.expired.length, 0);
+  assert.ok(first.changed);
+
+  const second = conditions.processTurnBoundary(first.conditions, { endedId: 'fighter', startedId: 'orc' });
+  assert.strictEqual(second.conditions.length, 0);
+  assert.strictEqual(second.expired[0].name, 'poisoned');
+});
+
+test('end-of-turn and start-of-turn durations expire on their boundary', () => {
+  const list = [
+    condition('Prone', { type: 'end-of-turn' }),
+    condition('Frightened', { type: 'start-of-turn', creatureId: 'wizard' })
+  ];
+  const ended = conditions.processTurnBoundary(list, { endedId: 'orc', startedId: 'fighter' });
+  assert.deepStrictEqual(ended.expired.map(c => c.name), ['prone']);
+  const started = conditions.processTurnBoundary(ended.conditions, { endedId: 'fighter', startedId: 'wizard' });
+  assert.deepStrictEqual(started.expired.map(c => c.name), ['frightened']);
+});
+
+test('no ended creature leaves end-of-turn conditions alone', () => {
+  const list = [condition('Prone', { type: 'end-of-turn' })];
+  const result = conditions.processTurnBoundary(list, { endedId: null, startedId: 'fighter' });
+  assert.strictEqual(result.changed, false);
+  assert.strictEqual(result.conditions.length, 1);
+});
+
+test('indefinite conditions never expire', () => {
+  const list = [condition('Blinded')];
+  const result = conditions.processTurnBoundary(list, { endedId: 'orc', startedId: 'orc' });
+  assert.strictEqual(result.changed, false);
+});
+
+test('custom names, exhaustion levels and invalid durations', () => {
+  assert.strictEqual(condition('Hexed').custom, true);
+  assert.strictEqual(conditions.normalizeCondition({ name: 'exhaustion', level: 3 }, 'orc').level, 3);
+  assert.throws(() => conditions.normalizeCondition({ name: 'exhaustion', level: 7 }, 'orc'), /between 1 and 6/);
+  assert.throws(() => condition('Stunned', { type: 'rounds', rounds: 0 }), /positive integer/);
+  assert.throws(() => condition('Stunned', { type: 'minutes' }), /Unknown duration type/);
+});
+
+test('legacy string lists are parsed into structured conditions', () => {
+  const parsed = conditions.parseConditions('["Prone", "Glowing"]', 'orc');
+  assert.deepStrictEqual(parsed.map(c => [c.name, c.custom]), [['prone', false], ['Glowing', true]]);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const damage = require('../utils/damage');
+
+test('resistance halves (rounding down) before temp HP absorbs', () => {
+  const result = damage.calculateDamage(
+    { currentHp: 20, tempHp: 3, resistances: ['fire'] },
+    { amount: 11, damageType: 'fire' }
+  );
+  assert.strictEqual(result.applied, 5);
+  assert.strictEqual(result.absorbedByTemp, 3);
+  assert.strictEqual(result.hpLoss, 2);
+  assert.strictEqual(result.tempHp, 0);
+  assert.strictEqual(result.currentHp, 18);
+});
+
+test('vulnerability doubles and immunity negates', () => {
+  const creature = { currentHp: 30, vulnerabilities: 'cold', immunities: ['poison'] };
+  assert.strictEqual(damage.calculateDamage(creature, { amount: 7, damageType: 'cold' }).applied, 14);
+  const immune = damage.calculateDamage(creature, { amount: 7, damageType: 'poison' });
+  assert.strictEqual(immune.applied, 0);
+  assert.deepStrictEqual(immune.modifiers, ['immune']);
+});
+
+test('resistance and vulnerability to the same type apply in order', () => {
+  const result = damage.calculateDamage(
+    { currentHp: 30, resistances: ['fire'], vulnerabilities: ['fire'] },
+    { amount: 7, damageType: 'fire' }
+  );
+  assert.strictEqual(result.applied, 6);
+});
+
+test('nonmagical resistances do not apply to magical damage', () => {
+  const creature = { currentHp: 30, resistances: 'bludgeoning, piercing, and slashing from nonmagical attacks' };
+  assert.strictEqual(damage.calculateDamage(creature, { amount: 10, damageType: 'slashing' }).applied, 5);
+  assert.strictEqual(damage.calculateDamage(creature, { amount: 10, damageType: 'slashing', magical: true }).applied, 10);
+});
+
+test('parts resolve defenses separately and hit temp HP once', () => {
+  const result = damage.calculateDamage(
+    { currentHp: 20, tempHp: 4, resistances: ['fire'] },
+    { parts: [{ amount: 8, damageType: 'slashing' }, { amount: 6, damageType: 'fire' }] }
+  );
+  assert.strictEqual(result.amount, 14);
+  assert.strictEqual(result.applied, 11);
+  assert.strictEqual(result.absorbedByTemp, 4);
+  assert.strictEqual(result.currentHp, 13);
+  assert.strictEqual(result.damageType, null);
+});
+
+test('damage beyond remaining HP is reported as overflow', () => {
+  const result = damage.calculateDamage({ currentHp: 5, tempHp: 2 }, { amount: 12 });
+  assert.strictEqual(result.currentHp, 0);
+  assert.strictEqual(result.overflow, 5);
+});
+
+test('invalid amounts and damage types are rejected', () => {
+  assert.throws(() => damage.calculateDamage({ currentHp: 5 }, { amount: -1 }), /non-negative integer/);
+  assert.throws(() => damage.calculateDamage({ currentHp: 5 }, { amount: 3, damageType: 'sonic' }), /Unknown damage type/);
+});
+
+test('healing caps at max HP and temp HP does not stack', () => {
+  assert.strictEqual(damage.calculateHealing({ currentHp: 8, maxHp: 10 }, { amount: 5 }).currentHp, 10);
+  const temp = damage.calculateHealing({ currentHp: 8, maxHp: 10, tempHp: 6 }, { amount: 4, temporary: true });
+  assert.strictEqual(temp.tempHp, 6);
+  assert.strictEqual(temp.currentHp, 8);
+});
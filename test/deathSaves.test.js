@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const deathSaves = require('../utils/deathSaves');
+
+test('only non-monster creatures track death saves', () => {
+  assert.strictEqual(deathSaves.isTrackedCreature({ type: 'player' }), true);
+  assert.strictEqual(deathSaves.isTrackedCreature({ type: 'monster' }), false);
+  assert.strictEqual(deathSaves.isTrackedCreature({}), false);
+});
+
+test('dropping to zero dies outright when the overflow reaches max HP', () => {
+  assert.strictEqual(deathSaves.dropToZero(20, 5).state, 'unconscious');
+  assert.strictEqual(deathSaves.dropToZero(20, 20).state, 'dead');
+});
+
+test('damage at zero adds failures, two on a critical hit', () => {
+  const saves = deathSaves.createDeathSaveState('unconscious');
+  const hit = deathSaves.takeDamageAtZero(saves, { damage: 3, maxHp: 20 });
+  assert.strictEqual(hit.failures, 1);
+  const crit = deathSaves.takeDamageAtZero(hit, { damage: 3, maxHp: 20, critical: true });
+  assert.deepStrictEqual(crit, { successes: 0, failures: 3, state: 'dead' });
+});
+
+test('damage restarts the count for a stable creature', () => {
+  const stable = { successes: 3, failures: 2, state: 'stable' };
+  assert.deepStrictEqual(deathSaves.takeDamageAtZero(stable, { damage: 1, maxHp: 20 }), { successes: 0, failures: 1, state: 'unconscious' });
+});
+
+test('three successes stabilize and three failures kill', () => {
+  let saves = deathSaves.createDeathSaveState('unconscious');
+  for (let i = 0; i < 3; i++) saves = deathSaves.resolveDeathSave(saves, { natural: 12, total: 12 }).saves;
+  assert.strictEqual(saves.state, 'stable');
+
+  saves = deathSaves.createDeathSaveState('unconscious');
+  saves = deathSaves.resolveDeathSave(saves, { natural: 5, total: 5 }).saves;
+  const result = deathSaves.resolveDeathSave(saves, { natural: 1, total: 1 });
+  assert.strictEqual(result.outcome, 'critical-failure');
+  assert.strictEqual(result.saves.state, 'dead');
+});
+
+test('a natural 20 regains consciousness with 1 HP', () => {
+  const saves = { successes: 1, failures: 2, state: 'unconscious' };
+  const result = deathSaves.resolveDeathSave(saves, { natural: 20, total: 20 });
+  assert.strictEqual(result.regainHp, true);
+  assert.deepStrictEqual(result.saves, deathSaves.createDeathSaveState('conscious'));
+});
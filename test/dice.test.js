@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dice = require('../utils/dice');
+
+// 按顺序返回指定点数的随机数生成器
+function fixedRolls(sides, faces) {
+  let index = 0;
+  return () => {
+    if (index >= faces.length) throw new Error('Ran out of fixed rolls');
+    return (faces[index++] - 1) / sides;
+  };
+}
+
+test('modifiers and arithmetic', () => {
+  const result = dice.rollExpression('1d20+5', { random: fixedRolls(20, [12]) });
+  assert.strictEqual(result.total, 17);
+  assert.strictEqual(dice.rollExpression('(1d8+2)/2', { random: fixedRolls(8, [5]) }).total, 3);
+  assert.strictEqual(dice.rollExpression('2d6*2', { random: fixedRolls(6, [3, 4]) }).total, 14);
+});
+
+test('keep highest drops the lowest dice', () => {
+  const result = dice.rollExpression('4d6kh3+2', { random: fixedRolls(6, [2, 6, 5, 4]) });
+  assert.strictEqual(result.total, 17);
+  assert.strictEqual(result.display, '4d6kh3[~2, 6, 5, 4] + 2 = 17');
+});
+
+test('keep lowest and drop highest', () => {
+  assert.strictEqual(dice.rollExpression('2d20kl1', { random: fixedRolls(20, [15, 3]) }).total, 3);
+  assert.strictEqual(dice.rollExpression('5d6dh2', { random: fixedRolls(6, [1, 6, 2, 5, 3]) }).total, 6);
+});
+
+test('exploding dice add a roll on the maximum face', () => {
+  const result = dice.rollExpression('1d6!', { random: fixedRolls(6, [6, 6, 2]) });
+  assert.strictEqual(result.total, 14);
+  assert.strictEqual(result.breakdown.dice.length, 3);
+  assert.strictEqual(dice.rollExpression('2d6!>=5', { random: fixedRolls(6, [5, 1, 3]) }).total, 9);
+});
+
+test('rerolls repeat until the condition fails, ro only once', () => {
+  const result = dice.rollExpression('1d8r<2', { random: fixedRolls(8, [1, 1, 7]) });
+  assert.strictEqual(result.total, 7);
+  assert.deepStrictEqual(result.breakdown.dice[0].rerolled, [1, 1]);
+  assert.strictEqual(dice.rollExpression('1d20ro<3', { random: fixedRolls(20, [1, 2]) }).total, 2);
+});
+
+test('min and max clamp single dice', () => {
+  assert.strictEqual(dice.rollExpression('4d6min2', { random: fixedRolls(6, [1, 1, 3, 6]) }).total, 13);
+  assert.strictEqual(dice.rollExpression('2d10max8', { random: fixedRolls(10, [10, 4]) }).total, 12);
+});
+
+test('groups keep the best sub-expression', () => {
+  const result = dice.rollExpression('{1d20+5, 1d20+2}kh1', { random: fixedRolls(20, [10, 14]) });
+  assert.strictEqual(result.total, 16);
+});
+
+test('d% and omitted count', () => {
+  const result = dice.rollExpression('d%', { random: fixedRolls(100, [42]) });
+  assert.strictEqual(result.total, 42);
+  assert.strictEqual(result.breakdown.sides, 100);
+});
+
+test('critical rolls double the dice count', () => {
+  const result = dice.rollExpression('2d6+3', { critical: true, random: fixedRolls(6, [1, 2, 3, 4]) });
+  assert.strictEqual(result.total, 13);
+});
+
+test('summarizeByDieType counts only kept dice', () => {
+  const result = dice.rollExpression('4d6kh3', { random: fixedRolls(6, [2, 6, 5, 4]) });
+  assert.deepStrictEqual(dice.summarizeByDieType(result.breakdown), {
+    d6: { quantity: 3, rolls: [6, 5, 4], subtotal: 15 }
+  });
+});
+
+test('invalid expressions are rejected', () => {
+  ['', '1d', 'd0', '2d6+', 'abc', '1d6/0'].forEach(expression => {
+    assert.throws(() => dice.rollExpression(expression, { random: () => 0 }), Error, expression);
+  });
+  assert.throws(() => dice.rollExpression('2000d6', { random: () => 0 }), /between 1 and 1000/);
+  assert.throws(() => dice.rollExpression('1000d6!', { random: () => 0.99 }), /more than 1000 dice/);
+});
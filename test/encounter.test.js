@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const encounter = require('../utils/encounter');
+
+function monsters(...challengeRatings) {
+  return challengeRatings.reduce((acc, challengeRating, index) => {
+    acc[`m${index}`] = { id: `m${index}`, name: `Monster ${index}`, type: 'monster', challengeRating };
+    return acc;
+  }, {});
+}
+
+test('multiplier follows the monster count steps', () => {
+  assert.deepStrictEqual(
+    [1, 2, 3, 6, 7, 10, 11, 14, 15].map(count => encounter.getEncounterMultiplier(count, 4)),
+    [1, 1.5, 2, 2, 2.5, 2.5, 3, 3, 4]
+  );
+});
+
+test('small parties step the multiplier up and large parties step it down', () => {
+  assert.strictEqual(encounter.getEncounterMultiplier(1, 2), 1.5);
+  assert.strictEqual(encounter.getEncounterMultiplier(15, 2), 5);
+  assert.strictEqual(encounter.getEncounterMultiplier(1, 6), 0.5);
+  assert.strictEqual(encounter.getEncounterMultiplier(3, 6), 1.5);
+});
+
+test('difficulty uses adjusted XP against party thresholds', () => {
+  // 4 x 3 级: easy 300, medium 600, hard 900, deadly 1600
+  const result = encounter.calculateEncounterDifficulty([3, 3, 3, 3], monsters('1/2', '1/2', '1'));
+  assert.strictEqual(result.baseXp, 400);
+  assert.strictEqual(result.multiplier, 2);
+  assert.strictEqual(result.adjustedXp, 800);
+  assert.strictEqual(result.difficulty, 'medium');
+});
+
+test('non-monsters are ignored and unrated monsters are listed', () => {
+  const creatures = {
+    ...monsters('2'),
+    pc: { id: 'pc', type: 'player', challengeRating: '5' },
+    x: { id: 'x', type: 'monster' }
+  };
+  const result = encounter.calculateEncounterDifficulty([1], creatures);
+  assert.strictEqual(result.monsterCount, 1);
+  assert.deepStrictEqual(result.unrated, ['x']);
+  assert.strictEqual(result.adjustedXp, 675);
+  assert.strictEqual(result.difficulty, 'deadly');
+});
+
+test('an empty encounter is trivial and party levels are validated', () => {
+  assert.strictEqual(encounter.calculateEncounterDifficulty([5], {}).difficulty, 'trivial');
+  assert.throws(() => encounter.calculateEncounterDifficulty([], {}), /at least one/);
+  assert.throws(() => encounter.calculateEncounterDifficulty([21], {}), /Invalid character level/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const encounterLibrary = require('../utils/encounterLibrary');
+
+test('tags are trimmed, lowercased and deduplicated', () => {
+  assert.deepStrictEqual(encounterLibrary.normalizeTags(' Undead, crypt ,undead,'), ['undead', 'crypt']);
+  assert.deepStrictEqual(encounterLibrary.normalizeTags(null), []);
+});
+
+test('encounter input requires a name and encounter ids must be strings', () => {
+  assert.throws(() => encounterLibrary.normalizeEncounterInput({ name: '  ' }), /name is required/);
+  assert.strictEqual(encounterLibrary.normalizeEncounterId(undefined), null);
+  assert.throws(() => encounterLibrary.normalizeEncounterId(undefined, { required: true }), /required/);
+  assert.throws(() => encounterLibrary.normalizeEncounterId({ $ne: null }), /non-empty string/);
+});
+
+test('snapshots drop concentration and keep every monster in the order', () => {
+  const session = {
+    monsters: { a: { id: 'a', concentratingOn: { spell: 'Bless' } }, b: { id: 'b' } },
+    monsterOrder: ['b', 'gone']
+  };
+  const snapshot = encounterLibrary.createEncounterSnapshot(session, { a: { id: 'a', x: 10 } });
+  assert.deepStrictEqual(snapshot.monsterOrder, ['b', 'a']);
+  assert.strictEqual(snapshot.monsters.a.concentratingOn, null);
+  assert.strictEqual(session.monsters.a.concentratingOn.spell, 'Bless');
+  assert.deepStrictEqual(snapshot.pieces, [{ id: 'a', x: 10 }]);
+});
+
+test('filters match the name or tags, and tag filters match exactly', () => {
+  const encounter = { name: 'Goblin Ambush', tags: ['forest'] };
+  assert.strictEqual(encounterLibrary.matchesEncounterFilters(encounter, { search: 'ambush' }), true);
+  assert.strictEqual(encounterLibrary.matchesEncounterFilters(encounter, { search: 'fore' }), true);
+  assert.strictEqual(encounterLibrary.matchesEncounterFilters(encounter, { tag: 'fore' }), false);
+  assert.deepStrictEqual(encounterLibrary.buildSearchQuery({ tag: 'Forest' }), { tags: 'forest' });
+});
+
+test('loaded ids avoid ids already in the session and pieces follow their monsters', () => {
+  const encounter = {
+    monsters: { orc: { id: 'orc', name: 'Orc' }, wolf: { id: 'wolf', name: 'Wolf' } },
+    monsterOrder: ['wolf', 'orc'],
+    pieces: [{ id: 'orc', x: 0, y: 0 }]
+  };
+  const { monsters, pieces, idMap } = encounterLibrary.remapEncounterIds(encounter, new Set(['orc']));
+  assert.deepStrictEqual(monsters.map(monster => monster.name), ['Wolf', 'Orc']);
+  assert.strictEqual(idMap.wolf, 'wolf');
+  assert.notStrictEqual(idMap.orc, 'orc');
+  assert.strictEqual(pieces[0].id, idMap.orc);
+  assert.strictEqual(pieces[0].monsterId, idMap.orc);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fog = require('../utils/fog');
+
+function enabledFog() {
+  return { ...fog.createFogState(), enabled: true };
+}
+
+test('everything is fogged until revealed, and disabled fog reveals everything', () => {
+  const state = enabledFog();
+  assert.strictEqual(fog.isPointRevealed(state, { x: 10, y: 10 }), false);
+  assert.strictEqual(fog.isPointRevealed(fog.createFogState(), { x: 10, y: 10 }), true);
+});
+
+test('later regions override earlier ones', () => {
+  const state = enabledFog();
+  fog.applyFogOperation(state, 'reveal', { polygon: [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 200 }, { x: 0, y: 200 }] });
+  fog.applyFogOperation(state, 'hide', { cells: [[1, 1]] });
+  assert.strictEqual(fog.isPointRevealed(state, { x: 25, y: 25 }), true);
+  assert.strictEqual(fog.isPointRevealed(state, { x: 75, y: 75 }), false);
+});
+
+test('cell operations replace the same cells in earlier cell regions', () => {
+  const state = enabledFog();
+  fog.applyFogOperation(state, 'reveal', { cells: [[0, 0], [1, 0]] });
+  fog.applyFogOperation(state, 'hide', { cells: [[0, 0]] });
+  fog.applyFogOperation(state, 'reveal', { cells: [[1, 0]] });
+  assert.deepStrictEqual(state.regions.map(region => region.cells), [[[0, 0]], [[1, 0]]]);
+  assert.strictEqual(fog.isPointRevealed(state, { x: 10, y: 10 }), false);
+  assert.strictEqual(fog.isPointRevealed(state, { x: 60, y: 10 }), true);
+});
+
+test('invalid operations are rejected', () => {
+  const state = enabledFog();
+  assert.throws(() => fog.applyFogOperation(state, 'reveal', { polygon: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }), /Polygon/);
+  assert.throws(() => fog.applyFogOperation(state, 'reveal', { cells: [] }), /between 1 and/);
+  assert.throws(() => fog.applyFogOperation(state, 'reveal', {}), /requires cells or polygon/);
+});
+
+test('only the GM view includes the fog opacity', () => {
+  const state = enabledFog();
+  assert.strictEqual(fog.buildFogView(state, true).gmOpacity, 0.5);
+  assert.ok(!('gmOpacity' in fog.buildFogView(state, false)));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const grid = require('../utils/grid');
+
+const square = grid.createGridState();
+const hex = grid.normalizeGridState({ type: 'hex' });
+
+test('partial updates keep the base values and reject invalid fields', () => {
+  const updated = grid.normalizeGridState({ cellSize: 5, diagonalRule: 'alternating', type: 'octagon' }, square);
+  assert.strictEqual(updated.cellSize, 50);
+  assert.strictEqual(updated.diagonalRule, 'alternating');
+  assert.strictEqual(updated.type, 'square');
+});
+
+test('unknown sizes fall back to medium', () => {
+  assert.strictEqual(grid.normalizeSize('Huge'), 'huge');
+  assert.strictEqual(grid.normalizeSize('colossal'), 'medium');
+  assert.strictEqual(grid.getPiecePixelSize(square, { size: 'large' }), 100);
+});
+
+test('square snapping aligns to grid lines, tiny creatures to half cells', () => {
+  assert.deepStrictEqual(grid.snapPosition(square, { size: 'medium' }, 74, 26), { x: 50, y: 50 });
+  assert.deepStrictEqual(grid.snapPosition(square, { size: 'tiny' }, 74, 26), { x: 75, y: 25 });
+  assert.deepStrictEqual(grid.snapPosition({ ...square, snapToGrid: false }, { size: 'medium' }, 74, 26), { x: 74, y: 26 });
+});
+
+test('hex coordinates round-trip through pixels', () => {
+  const cell = { q: 2, r: -1 };
+  assert.deepStrictEqual(grid.pixelToHex(hex, grid.hexToPixel(hex, cell)), cell);
+  assert.strictEqual(grid.hexDistance({ q: 0, r: 0 }, cell), 2);
+});
+
+test('diagonal rules change square distances', () => {
+  const from = { point: { x: 10, y: 10 } };
+  const to = { point: { x: 160, y: 160 } };
+  assert.strictEqual(grid.measureDistance(square, from, to).feet, 15);
+  assert.strictEqual(grid.measureDistance(square, from, to, 'alternating').feet, 20);
+});
+
+test('adjacent pieces are one cell apart regardless of size', () => {
+  const large = { x: 0, y: 0, size: 'large' };
+  const medium = { x: 100, y: 0, size: 'medium' };
+  assert.strictEqual(grid.measureDistance(square, { piece: large }, { piece: medium }).cells, 1);
+});
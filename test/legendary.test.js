@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const legendary = require('../utils/legendary');
+
+test('pools normalize from a number and keep remaining uses within the new max', () => {
+  assert.deepStrictEqual(legendary.normalizePool(3), { max: 3, remaining: 3 });
+  assert.deepStrictEqual(legendary.normalizePool({ max: 2 }, { max: 3, remaining: 3 }), { max: 2, remaining: 2 });
+  assert.strictEqual(legendary.normalizePool(0), null);
+  assert.throws(() => legendary.normalizePool(-1), /positive integer/);
+});
+
+test('spending and restoring pools', () => {
+  const pool = legendary.spendPool({ max: 3, remaining: 3 }, 2, 'legendary actions');
+  assert.strictEqual(legendary.formatPool(pool), '1/3');
+  assert.throws(() => legendary.spendPool(pool, 2, 'legendary actions'), /Not enough legendary actions left \(1\/3\)/);
+  assert.throws(() => legendary.spendPool(null, 1, 'legendary actions'), /no legendary actions/);
+  assert.deepStrictEqual(legendary.restorePool(pool), { max: 3, remaining: 3 });
+});
+
+test('lair actions trigger when the turn order passes initiative 20', () => {
+  // 战斗开始时第一个生物低于 20
+  assert.strictEqual(legendary.getLairRound(null, 15, 1, false), 1);
+  assert.strictEqual(legendary.getLairRound(null, 22, 1, false), null);
+  // 同一轮中从 20 以上切换到 20 以下 (20 输掉平局)
+  assert.strictEqual(legendary.getLairRound(20, 19, 1, false), 1);
+  assert.strictEqual(legendary.getLairRound(15, 10, 1, false), null);
+  assert.strictEqual(legendary.getLairRound(25, 21, 1, false), null);
+});
+
+test('lair actions trigger at the round wrap when every combatant is at 20 or above', () => {
+  assert.strictEqual(legendary.getLairRound(21, 23, 3, true), 2);
+  // 所有生物都低于 20 时在新一轮开始前触发
+  assert.strictEqual(legendary.getLairRound(10, 15, 3, true), 3);
+  assert.strictEqual(legendary.getLairRound(10, 23, 3, true), null);
+});
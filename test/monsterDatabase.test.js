@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const monsterDatabase = require('../utils/monsterDatabase');
+
+const goblin = {
+  slug: 'goblin',
+  name: 'Goblin',
+  size: 'Small',
+  armor_class: [{ value: 15, type: 'leather armor, shield' }],
+  hit_points: 7,
+  hit_dice: '2d6',
+  cr: '1/4',
+  strength: 8,
+  dexterity: 14,
+  dexterity_save: null,
+  constitution_save: 2,
+  actions: [
+    { name: 'Scimitar', desc: 'Melee Weapon Attack: +4 to hit. Hit: 5 (1d6 + 2) slashing damage.', attack_bonus: 4, damage_dice: '1d6', damage_bonus: 2 },
+    { name: 'Spit', desc: 'Each creature must make a DC 12 Dexterity saving throw, taking 7 (2d6) acid damage on a failed save, or half as much damage on a successful one.' }
+  ]
+};
+
+test('challenge ratings parse fractions', () => {
+  assert.deepStrictEqual(['1/4', '1/2', '5', 3, '', 'x'].map(monsterDatabase.parseChallengeRating), [0.25, 0.5, 5, 3, null, null]);
+});
+
+test('monster data converts to a template', () => {
+  const template = monsterDatabase.toMonsterTemplate(goblin);
+  assert.strictEqual(template.size, 'small');
+  assert.strictEqual(template.armorClass, 15);
+  assert.strictEqual(template.challengeRating, 0.25);
+  assert.deepStrictEqual(template.abilities, { str: 8, dex: 14 });
+  assert.deepStrictEqual(template.savingThrows, { con: 2 });
+  assert.strictEqual(template.actions[0].damageType, 'slashing');
+  assert.deepStrictEqual(
+    { saveDc: template.actions[1].saveDc, saveAbility: template.actions[1].saveAbility, halfOnSave: template.actions[1].halfOnSave },
+    { saveDc: 12, saveAbility: 'dex', halfOnSave: true }
+  );
+  assert.throws(() => monsterDatabase.toMonsterTemplate({}), /Invalid monster data/);
+});
+
+test('legendary counts come from the description and special abilities', () => {
+  const template = monsterDatabase.toMonsterTemplate({
+    name: 'Dragon',
+    legendary_desc: 'The dragon can take 2 legendary actions',
+    legendary_actions: [{ name: 'Tail Attack' }],
+    special_abilities: [{ name: 'Legendary Resistance (4/Day)' }]
+  });
+  assert.strictEqual(template.legendaryActions, 2);
+  assert.strictEqual(template.legendaryResistances, 4);
+});
+
+test('hit points fall back to the average', () => {
+  const template = monsterDatabase.toMonsterTemplate(goblin);
+  assert.strictEqual(monsterDatabase.rollHitPoints(template, 'average'), 7);
+  const rolled = monsterDatabase.rollHitPoints(template);
+  assert.ok(rolled >= 2 && rolled <= 12);
+  assert.strictEqual(monsterDatabase.rollHitPoints({ hitDice: 'bad', averageHp: 9 }), 9);
+});
+
+test('duplicate names continue numbering after the highest existing number', () => {
+  assert.deepStrictEqual(monsterDatabase.numberDuplicateNames('Goblin', [], 1), ['Goblin']);
+  assert.deepStrictEqual(monsterDatabase.numberDuplicateNames('Goblin', ['Goblin'], 2), ['Goblin 2', 'Goblin 3']);
+  assert.deepStrictEqual(monsterDatabase.numberDuplicateNames('Goblin', ['Goblin 3', 'Goblin Boss'], 1), ['Goblin 4']);
+});
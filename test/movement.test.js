@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeGridState } = require('../utils/grid');
+const movement = require('../utils/movement');
+
+const grid = normalizeGridState({ diagonalRule: 'alternating' });
+const piece = { size: 'medium' };
+
+test('alternating diagonals cost 5/10/5 across separate one-square moves', () => {
+  const entry = movement.createMovementEntry('p1', 30, 1);
+  let position = { x: 0, y: 0 };
+  const costs = [];
+  for (let i = 0; i < 3; i++) {
+    const next = { x: position.x + 50, y: position.y + 50 };
+    const cost = movement.computeMoveCost(grid, piece, position, next, [], entry.diagonals);
+    entry.diagonals = cost.diagonals;
+    costs.push(cost.feet);
+    position = next;
+  }
+  assert.deepStrictEqual(costs, [5, 10, 5]);
+  assert.strictEqual(entry.diagonals, 3);
+});
+
+test('alternating diagonals in a single move', () => {
+  const cost = movement.computeMoveCost(grid, piece, { x: 0, y: 0 }, { x: 150, y: 150 }, []);
+  assert.strictEqual(cost.feet, 20);
+  assert.strictEqual(cost.diagonals, 3);
+});
+
+test('5e rule counts every diagonal as one square', () => {
+  const cost = movement.computeMoveCost(normalizeGridState({}), piece, { x: 0, y: 0 }, { x: 150, y: 150 }, [], 1);
+  assert.strictEqual(cost.feet, 15);
+});
+
+test('difficult terrain doubles the cost of entering a cell', () => {
+  const cost = movement.computeMoveCost(grid, piece, { x: 0, y: 0 }, { x: 100, y: 0 }, [{ col: 1, row: 0 }]);
+  assert.strictEqual(cost.feet, 15);
+  assert.strictEqual(cost.difficultCells, 1);
+});
+
+test('dash doubles the movement budget', () => {
+  const entry = movement.createMovementEntry('p1', 30, 1);
+  entry.dash = true;
+  entry.used = 20;
+  assert.strictEqual(movement.summarizeMovement(entry).remaining, 40);
+});
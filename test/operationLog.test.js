@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createOperationLog } = require('../utils/operationLog');
+
+test('sequence numbers increase and since returns the later operations', () => {
+  const log = createOperationLog();
+  const payload = { monsterId: 'a' };
+  assert.strictEqual(log.append({ event: 'monster-added', payload }), 1);
+  assert.strictEqual(log.append({ event: 'piece-added', payload: {} }), 2);
+  const missed = log.since(1, log.epoch);
+  assert.deepStrictEqual(missed.map(entry => entry.event), ['piece-added']);
+  assert.strictEqual(log.since(0, log.epoch)[0].payload, payload); // 按引用保存
+  assert.deepStrictEqual(log.since(2, log.epoch), []);
+});
+
+test('scoped and omitted operations keep no payload', () => {
+  const log = createOperationLog();
+  log.append({ event: 'monster-updated', payload: { id: 'a' }, scope: 'session' });
+  log.append({ event: 'background-updated', payload: { imageUrl: 'data:...' }, omitPayload: true });
+  const [state, background] = log.since(0, log.epoch);
+  assert.strictEqual(state.scope, 'session');
+  assert.strictEqual(state.payload, undefined);
+  assert.strictEqual(background.omitted, true);
+  assert.strictEqual(background.payload, undefined);
+});
+
+test('consecutive member-filtered sends of one event share a sequence number', () => {
+  const log = createOperationLog();
+  const first = log.append({ event: 'piece-moved', scope: 'battlefield', filtered: true });
+  assert.strictEqual(log.append({ event: 'piece-moved', scope: 'battlefield', filtered: true }), first);
+  assert.strictEqual(log.append({ event: 'fog-updated', scope: 'battlefield', filtered: true }), first + 1);
+  assert.strictEqual(log.size(), 2);
+});
+
+test('a different epoch, an invalid sequence or a truncated log needs a full snapshot', () => {
+  const log = createOperationLog({ maxEntries: 2 });
+  ['a', 'b', 'c'].forEach(event => log.append({ event, payload: {} }));
+  assert.strictEqual(log.since(0, 'other-epoch'), null);
+  assert.strictEqual(log.since(5, log.epoch), null);
+  assert.strictEqual(log.since(-1, log.epoch), null);
+  assert.strictEqual(log.since(0, log.epoch), null);
+  assert.deepStrictEqual(log.since(1, log.epoch).map(entry => entry.event), ['b', 'c']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPersistenceScheduler } = require('../utils/persistenceScheduler');
+
+const quietLogger = { error() {} };
+
+function createRecorder(failures = 0) {
+  const writes = [];
+  let remainingFailures = failures;
+  return {
+    writes,
+    write: async (sessionId, parts) => {
+      if (remainingFailures > 0) {
+        remainingFailures--;
+        throw new Error('storage unavailable');
+      }
+      writes.push({ sessionId, parts: [...parts].sort() });
+    }
+  };
+}
+
+test('marks for the same session merge into one write', async () => {
+  const recorder = createRecorder();
+  const scheduler = createPersistenceScheduler({ write: recorder.write, delayMs: 60000, logger: quietLogger });
+  scheduler.markDirty('s1', ['session']);
+  scheduler.markDirty('s1', ['dice', 'session']);
+  assert.strictEqual(scheduler.hasPending('s1'), true);
+  await scheduler.flush('s1');
+  assert.deepStrictEqual(recorder.writes, [{ sessionId: 's1', parts: ['dice', 'session'] }]);
+  assert.strictEqual(scheduler.hasPending('s1'), false);
+});
+
+test('failed writes stay pending and are retried', async () => {
+  const recorder = createRecorder(1);
+  const scheduler = createPersistenceScheduler({ write: recorder.write, delayMs: 60000, logger: quietLogger });
+  scheduler.markDirty('s1', ['battlefield']);
+  await assert.rejects(scheduler.flush('s1'), /storage unavailable/);
+  assert.strictEqual(scheduler.hasPending('s1'), true);
+  assert.strictEqual(scheduler.getMetrics().failedFlushes, 1);
+
+  await scheduler.flush('s1');
+  assert.deepStrictEqual(recorder.writes, [{ sessionId: 's1', parts: ['battlefield'] }]);
+  assert.strictEqual(scheduler.getMetrics().totalFlushes, 1);
+});
+
+test('flushAll writes every pending session and counts failures', async () => {
+  const recorder = createRecorder();
+  const scheduler = createPersistenceScheduler({ write: recorder.write, delayMs: 60000, logger: quietLogger });
+  scheduler.markDirty('s1', ['session']);
+  scheduler.markDirty('s2', ['dice']);
+  assert.strictEqual(scheduler.getMetrics().queueDepth, 2);
+  assert.strictEqual(await scheduler.flushAll(), 0);
+  assert.deepStrictEqual(recorder.writes.map(write => write.sessionId).sort(), ['s1', 's2']);
+});
+
+test('scheduled writes run after the delay', async () => {
+  const recorder = createRecorder();
+  const scheduler = createPersistenceScheduler({ write: recorder.write, delayMs: 5, logger: quietLogger });
+  scheduler.markDirty('s1', ['session']);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(recorder.writes, [{ sessionId: 's1', parts: ['session'] }]);
+});
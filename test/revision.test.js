@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const revision = require('../utils/revision');
+
+test('persisted parts map to deduplicated revision scopes', () => {
+  assert.deepStrictEqual(revision.getScopesForParts(['battlefield', 'background', 'dice']), ['battlefield', 'dice']);
+  assert.deepStrictEqual(revision.getScopesForParts(undefined), []);
+});
+
+test('expectedRevision must be a non-negative integer when provided', () => {
+  assert.strictEqual(revision.parseExpectedRevision(undefined), undefined);
+  assert.strictEqual(revision.parseExpectedRevision(''), undefined);
+  assert.strictEqual(revision.parseExpectedRevision('4'), 4);
+  assert.throws(() => revision.parseExpectedRevision(-1), /non-negative integer/);
+  assert.throws(() => revision.parseExpectedRevision(1.5), /non-negative integer/);
+});
+
+test('a missing current revision counts as 0', () => {
+  assert.strictEqual(revision.isStaleRevision(undefined, 0), false);
+  assert.strictEqual(revision.isStaleRevision(2, 1), true);
+  assert.strictEqual(revision.isStaleRevision(2, undefined), false);
+});
+
+test('a number is compared with the first scope and an object per scope', () => {
+  const current = { session: 3, dice: 1, battlefield: 7 };
+  assert.strictEqual(revision.findStaleScope(current, undefined, ['session']), null);
+  assert.strictEqual(revision.findStaleScope(current, 3, ['session', 'battlefield']), null);
+  assert.strictEqual(revision.findStaleScope(current, 2, ['session', 'battlefield']), 'session');
+  assert.strictEqual(revision.findStaleScope(current, { session: 3, battlefield: 6 }, ['session', 'battlefield']), 'battlefield');
+  // 对象中未提供的子状态不检查
+  assert.strictEqual(revision.findStaleScope(current, { battlefield: 7 }, ['session', 'battlefield']), null);
+});
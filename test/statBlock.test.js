@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const statBlock = require('../utils/statBlock');
+
+test('ability modifiers round down', () => {
+  assert.deepStrictEqual([1, 9, 10, 11, 20].map(statBlock.getAbilityModifier), [-5, -1, 0, 0, 5]);
+});
+
+test('speeds parse from numbers and stat block strings', () => {
+  assert.deepStrictEqual(statBlock.normalizeSpeed(25), { walk: 25 });
+  assert.deepStrictEqual(statBlock.normalizeSpeed('30 ft., fly 60 ft., swim 40 ft.'), { walk: 30, fly: 60, swim: 40 });
+});
+
+test('missing abilities default to 10 and senses parse from strings', () => {
+  const block = statBlock.normalizeStatBlock({ abilities: { STR: 18 }, senses: 'darkvision 60 ft., passive Perception 9' });
+  assert.deepStrictEqual(block.abilities, { str: 18, dex: 10, con: 10, int: 10, wis: 10, cha: 10 });
+  assert.deepStrictEqual(block.senses, { darkvision: 60, passivePerception: 9 });
+  assert.strictEqual(block.armorClass, null);
+});
+
+test('actions are classified as attack, save or other', () => {
+  const block = statBlock.normalizeStatBlock({
+    actions: [
+      { name: 'Scimitar', attackBonus: 4, damageDice: '1d6', damageBonus: 2, damageType: 'Slashing' },
+      { name: 'Fire Breath', saveDc: 13, halfOnSave: true, damage: [{ formula: '7d6', type: 'fire' }] },
+      { name: 'Multiattack' },
+      { desc: 'no name' }
+    ]
+  });
+  assert.deepStrictEqual(block.actions.map(action => action.kind), ['attack', 'save', 'other']);
+  assert.deepStrictEqual(block.actions[0].damage, [{ formula: '1d6+2', type: 'slashing' }]);
+  assert.strictEqual(block.actions[1].saveAbility, 'dex');
+  assert.strictEqual(block.actions[2].id, 'action-3');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const { createFileAdapter } = require('../storage/fileAdapter');
+
+test('partial saves use $set semantics with dot paths', async () => {
+  const storage = createMemoryAdapter();
+  await storage.savePartial('s1', { session: { round: 1, gmToken: 'secret' }, battlefield: { 'background.imageUrl': 'map.png' } });
+  await storage.savePartial('s1', { session: { round: 2 } });
+  const { session, diceSession, battlefield } = await storage.loadOne('s1');
+  assert.strictEqual(session.round, 2);
+  assert.strictEqual(session.gmToken, 'secret');
+  assert.strictEqual(diceSession, null);
+  assert.deepStrictEqual(battlefield.background, { imageUrl: 'map.png' });
+  assert.strictEqual((await storage.loadAll()).sessions.length, 1);
+});
+
+test('loaded documents are copies', async () => {
+  const storage = createMemoryAdapter();
+  await storage.savePartial('s1', { session: { monsters: { a: { currentHp: 5 } } } });
+  const { session } = await storage.loadOne('s1');
+  session.monsters.a.currentHp = 0;
+  assert.strictEqual((await storage.loadOne('s1')).session.monsters.a.currentHp, 5);
+});
+
+test('encounter lists return summaries matching the filters', async () => {
+  const storage = createMemoryAdapter();
+  await storage.saveEncounter('e1', { name: 'Goblin Ambush', tags: ['forest'], monsters: { a: {} }, monsterOrder: ['a'] });
+  await storage.saveEncounter('e2', { name: 'Crypt', tags: ['undead'] });
+  const results = await storage.findEncounters({ tag: 'forest' });
+  assert.deepStrictEqual(results.map(result => result.encounterId), ['e1']);
+  assert.ok(!('monsters' in results[0]));
+  assert.strictEqual((await storage.getEncounter('e1')).monsters.a !== undefined, true);
+  assert.strictEqual(await storage.deleteEncounter('e1'), true);
+  assert.strictEqual(await storage.getEncounter('e1'), null);
+});
+
+test('the file adapter writes every change and reloads it', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dnd-storage-'));
+  const filePath = path.join(dir, 'storage.json');
+  try {
+    const storage = createFileAdapter({ filePath });
+    await storage.connect();
+    await storage.savePartial('s1', { session: { round: 3 } });
+    await storage.close();
+
+    const reloaded = createFileAdapter({ filePath });
+    await reloaded.connect();
+    assert.strictEqual((await reloaded.loadOne('s1')).session.round, 3);
+    assert.strictEqual(await reloaded.deleteSession('s1'), true);
+    await reloaded.close();
+    assert.deepStrictEqual(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).sessions, []);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('unknown backends are rejected', () => {
+  assert.throws(() => createStorage('redis'), /Unknown storage backend: redis/);
+});
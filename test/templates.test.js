@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const templates = require('../utils/templates');
+const { createGridState } = require('../utils/grid');
+
+const grid = createGridState(); // 50 像素 = 5 英尺
+
+test('templates normalize their direction and reject invalid shapes and sizes', () => {
+  const template = templates.normalizeTemplate({ shape: 'cone', origin: { x: 0, y: 0 }, size: 15, direction: -90 });
+  assert.strictEqual(template.direction, 270);
+  assert.strictEqual(template.width, 5);
+  assert.throws(() => templates.normalizeTemplate({ shape: 'star', origin: { x: 0, y: 0 }, size: 10 }), /Unknown template shape/);
+  assert.throws(() => templates.normalizeTemplate({ shape: 'sphere', origin: { x: 0, y: 0 }, size: 0 }), /size/);
+});
+
+test('updates keep the id and owner of the existing template', () => {
+  const existing = templates.normalizeTemplate({ shape: 'sphere', origin: { x: 0, y: 0 }, size: 20, owner: 'p1' });
+  const updated = templates.normalizeTemplate({ size: 30, owner: 'p2' }, existing);
+  assert.strictEqual(updated.id, existing.id);
+  assert.strictEqual(updated.owner, 'p1');
+  assert.strictEqual(updated.size, 30);
+});
+
+test('a cone is as wide as its distance from the origin', () => {
+  const cone = templates.normalizeTemplate({ shape: 'cone', origin: { x: 0, y: 0 }, size: 30 });
+  assert.strictEqual(templates.containsPoint(cone, { x: 200, y: 90 }, 10), true);
+  assert.strictEqual(templates.containsPoint(cone, { x: 200, y: 110 }, 10), false);
+  assert.strictEqual(templates.containsPoint(cone, { x: -10, y: 0 }, 10), false);
+});
+
+test('targets include pieces with any occupied cell inside the template', () => {
+  const sphere = templates.normalizeTemplate({ shape: 'sphere', origin: { x: 0, y: 0 }, size: 10 });
+  const pieces = {
+    near: { id: 'near', x: 0, y: 0, size: 'medium' },
+    large: { id: 'large', x: -150, y: 0, size: 'large' },
+    far: { id: 'far', x: 300, y: 300, size: 'medium' }
+  };
+  assert.deepStrictEqual(templates.getTemplateTargets(sphere, pieces, grid), ['near', 'large']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vision = require('../utils/vision');
+
+const wall = { id: 'w1', x1: 50, y1: -100, x2: 50, y2: 100 };
+
+test('walls and closed doors block sight, open doors do not', () => {
+  const battlefield = {
+    walls: [wall],
+    doors: [
+      { id: 'd1', x1: 0, y1: 200, x2: 10, y2: 200, state: 'open' },
+      { id: 'd2', x1: 0, y1: 300, x2: 10, y2: 300, state: 'locked' }
+    ]
+  };
+  assert.deepStrictEqual(vision.getBlockingSegments(battlefield).map(segment => segment.id), ['w1', 'd2']);
+});
+
+test('a target behind a wall is not visible', () => {
+  const origin = { x: 0, y: 0 };
+  assert.strictEqual(vision.isPointVisible(origin, { x: 100, y: 0 }, [wall], null), false);
+  assert.strictEqual(vision.isPointVisible(origin, { x: 0, y: 100 }, [wall], null), true);
+});
+
+test('the vision radius limits sight', () => {
+  const origin = { x: 0, y: 0 };
+  assert.strictEqual(vision.isPointVisible(origin, { x: 0, y: 100 }, [], 50), false);
+  assert.strictEqual(vision.isPointVisible(origin, { x: 0, y: 40 }, [], 50), true);
+});
+
+test('the visibility polygon stops at walls', () => {
+  const polygon = vision.computeVisibilityPolygon({ x: 0, y: 0 }, [wall], 300);
+  const east = polygon.find(point => Math.abs(point.y) < 1 && point.x > 0);
+  assert.strictEqual(east.x, 50);
+  const west = polygon.find(point => Math.abs(point.y) < 1 && point.x < 0);
+  assert.strictEqual(west.x, -300);
+});
+
+test('invalid or zero-length segments are rejected', () => {
+  assert.strictEqual(vision.toSegment({ x1: 0, y1: 0, x2: 0, y2: 0 }), null);
+  assert.strictEqual(vision.toSegment({ x1: 'a', y1: 0, x2: 1, y2: 0 }), null);
+  assert.deepStrictEqual(vision.toSegment({ x1: '1', y1: 0, x2: 2, y2: 0 }), { x1: 1, y1: 0, x2: 2, y2: 0 });
+});
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+/**
+ * 生成新的 GM 令牌
+ */
+function generateGmToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * 生成玩家身份: playerId 公开 (用于棋子和模板的归属)，token 只发给该玩家，之后以同一名字加入时需要提供
+ */
+function generatePlayerIdentity() {
+  return {
+    playerId: `player-${crypto.randomBytes(6).toString('hex')}`,
+    token: crypto.randomBytes(24).toString('hex')
+  };
+}
+
+/**
+ * 使用定长比较校验令牌 (GM 令牌、玩家令牌)，避免时序攻击
+ */
+function verifyGmToken(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string' || !expected || !provided) {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  if (expectedBuffer.length !== providedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+module.exports = {
+  generateGmToken,
+  generatePlayerIdentity,
+  verifyGmToken
+};
@@ -0,0 +1,138 @@
+/**
+ * 结构化状态 (5e 标准状态 + 自定义状态) 及其持续时间
+ *
+ * 状态结构: { id, name, custom, source, saveDc, level, duration, appliedAt }
+ * duration:
+ *   { type: 'indefinite' }                            直到手动移除
+ *   { type: 'rounds', rounds, creatureId }            每次 creatureId 的回合开始时 -1，归零时移除
+ *   { type: 'start-of-turn', creatureId }             creatureId 的下一个回合开始时移除
+ *   { type: 'end-of-turn', creatureId }               creatureId 的回合结束时移除
+ * creatureId 默认为状态承受者自身。
+ */
+
+const STANDARD_CONDITIONS = [
+  'blinded', 'charmed', 'deafened', 'exhaustion', 'frightened', 'grappled',
+  'incapacitated', 'invisible', 'paralyzed', 'petrified', 'poisoned', 'prone',
+  'restrained', 'stunned', 'unconscious'
+];
+const DURATION_TYPES = ['indefinite', 'rounds', 'start-of-turn', 'end-of-turn'];
+
+function normalizeDuration(input, bearerId) {
+  const source = input && typeof input === 'object' ? input : { type: 'indefinite' };
+  const type = source.type || 'indefinite';
+  if (!DURATION_TYPES.includes(type)) {
+    throw new Error(`Unknown duration type: ${type}`);
+  }
+  if (type === 'indefinite') return { type };
+  const duration = { type, creatureId: String(source.creatureId || bearerId) };
+  if (type === 'rounds') {
+    const rounds = Number(source.rounds);
+    if (!Number.isInteger(rounds) || rounds < 1) {
+      throw new Error('Duration rounds must be a positive integer');
+    }
+    duration.rounds = rounds;
+  }
+  return duration;
+}
+
+/**
+ * 校验并构建状态；existing 不为空时只更新提供的字段
+ * @param {string} bearerId 承受该状态的生物 ID
+ */
+function normalizeCondition(input, bearerId, existing) {
+  const base = existing || {};
+  const rawName = input.name !== undefined ? input.name : base.name;
+  const name = typeof rawName === 'string' ? rawName.trim() : '';
+  if (!name) {
+    throw new Error('Condition name is required');
+  }
+  const standardName = name.toLowerCase();
+  const custom = !STANDARD_CONDITIONS.includes(standardName);
+  const saveDc = input.saveDc !== undefined ? input.saveDc : base.saveDc;
+  if (saveDc !== undefined && saveDc !== null && !(Number.isInteger(Number(saveDc)) && Number(saveDc) > 0)) {
+    throw new Error('Save DC must be a positive integer');
+  }
+  const condition = {
+    id: base.id || `condition-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    name: custom ? name : standardName,
+    custom,
+    source: input.source !== undefined ? String(input.source) : (base.source || null),
+    saveDc: saveDc === undefined || saveDc === null ? null : Number(saveDc),
+    duration: input.duration !== undefined ? normalizeDuration(input.duration, bearerId) : (base.duration || { type: 'indefinite' }),
+    appliedAt: base.appliedAt || Date.now()
+  };
+  // 力竭有等级 (1-6)
+  if (condition.name === 'exhaustion') {
+    const level = Number(input.level !== undefined ? input.level : (base.level || 1));
+    if (!Number.isInteger(level) || level < 1 || level > 6) {
+      throw new Error('Exhaustion level must be between 1 and 6');
+    }
+    condition.level = level;
+  }
+  return condition;
+}
+
+/**
+ * 读取生物的状态列表，兼容旧版的 JSON 字符串和字符串数组
+ */
+function parseConditions(value, bearerId) {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      list = [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list.reduce((acc, item) => {
+    try {
+      acc.push(typeof item === 'string'
+        ? normalizeCondition({ name: item }, bearerId)
+        : normalizeCondition(item, bearerId, item));
+    } catch (error) {
+      // 丢弃无法识别的旧数据
+    }
+    return acc;
+  }, []);
+}
+
+/**
+ * 处理回合交替: endedId 的回合结束，startedId 的回合开始
+ * @returns {{ conditions: Array, expired: Array, changed: boolean }}
+ */
+function processTurnBoundary(conditions, { endedId, startedId }) {
+  const expired = [];
+  let changed = false;
+  const remaining = conditions.reduce((acc, condition) => {
+    const { duration } = condition;
+    if (duration.type === 'end-of-turn' && endedId && duration.creatureId === endedId) {
+      expired.push(condition);
+      return acc;
+    }
+    if (duration.type === 'start-of-turn' && startedId && duration.creatureId === startedId) {
+      expired.push(condition);
+      return acc;
+    }
+    if (duration.type === 'rounds' && startedId && duration.creatureId === startedId) {
+      changed = true;
+      if (duration.rounds <= 1) {
+        expired.push(condition);
+        return acc;
+      }
+      acc.push({ ...condition, duration: { ...duration, rounds: duration.rounds - 1 } });
+      return acc;
+    }
+    acc.push(condition);
+    return acc;
+  }, []);
+  return { conditions: remaining, expired, changed: changed || expired.length > 0 };
+}
+
+module.exports = {
+  STANDARD_CONDITIONS,
+  DURATION_TYPES,
+  normalizeCondition,
+  parseConditions,
+  processTurnBoundary
+};
@@ -0,0 +1,124 @@
+/**
+ * 伤害与治疗结算
+ *
+ * 生物上的 resistances / vulnerabilities / immunities 可以是伤害类型数组，
+ * 也可以是 Open5e 风格的字符串 (如 "cold; bludgeoning, piercing, and slashing from nonmagical attacks")。
+ * 含 "nonmagical" 的条目只对非魔法伤害生效。
+ */
+
+const DAMAGE_TYPES = [
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+  'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+];
+
+/**
+ * 解析伤害类型列表
+ * @returns {Array<{ type: string, nonmagicalOnly: boolean }>}
+ */
+function parseDamageTypes(value) {
+  const segments = Array.isArray(value)
+    ? value.map(String)
+    : (typeof value === 'string' ? value.split(';') : []);
+  return segments.reduce((acc, segment) => {
+    const text = segment.toLowerCase();
+    const nonmagicalOnly = text.includes('nonmagical');
+    DAMAGE_TYPES.forEach(type => {
+      if (new RegExp(`\\b${type}\\b`).test(text)) acc.push({ type, nonmagicalOnly });
+    });
+    return acc;
+  }, []);
+}
+
+function matchesDamageType(list, type, magical) {
+  return parseDamageTypes(list).some(entry => entry.type === type && !(entry.nonmagicalOnly && magical));
+}
+
+function toAmount(value) {
+  const amount = Number(value);
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new Error('Amount must be a non-negative integer');
+  }
+  return amount;
+}
+
+// 按伤害类型结算免疫、抗性和易伤
+function adjustForDefenses(creature, { amount, damageType }, magical) {
+  const raw = toAmount(amount);
+  const type = damageType ? String(damageType).toLowerCase() : null;
+  if (type && !DAMAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown damage type: ${damageType}`);
+  }
+
+  let adjusted = raw;
+  const modifiers = [];
+  if (type && matchesDamageType(creature.immunities, type, magical)) {
+    adjusted = 0;
+    modifiers.push('immune');
+  } else if (type) {
+    if (matchesDamageType(creature.resistances, type, magical)) {
+      adjusted = Math.floor(adjusted / 2);
+      modifiers.push('resistant');
+    }
+    if (matchesDamageType(creature.vulnerabilities, type, magical)) {
+      adjusted *= 2;
+      modifiers.push('vulnerable');
+    }
+  }
+  return { amount: raw, damageType: type, modifiers, applied: adjusted };
+}
+
+/**
+ * 计算伤害结果 (不修改 creature)
+ * 顺序: 免疫 -> 抗性 (减半，向下取整) -> 易伤 (翻倍) -> 临时生命值吸收 -> 扣除生命值 (不低于 0)
+ * 传入 parts 时 (一次攻击的多个伤害类型) 每部分分别结算抗性，再作为一次伤害扣除
+ * @param {{ amount?, damageType?, parts?: Array<{ amount, damageType? }>, magical? }} options
+ */
+function calculateDamage(creature, { amount, damageType, parts, magical = false }) {
+  const adjustedParts = (Array.isArray(parts) ? parts : [{ amount, damageType }])
+    .map(part => adjustForDefenses(creature, part, magical));
+  if (adjustedParts.length === 0) throw new Error('Damage needs at least one part');
+  const raw = adjustedParts.reduce((sum, part) => sum + part.amount, 0);
+  const adjusted = adjustedParts.reduce((sum, part) => sum + part.applied, 0);
+  const types = [...new Set(adjustedParts.map(part => part.damageType))];
+  const modifiers = [...new Set(adjustedParts.flatMap(part => part.modifiers))];
+
+  const tempHp = Number(creature.tempHp || 0);
+  const currentHp = Number(creature.currentHp || 0);
+  const absorbedByTemp = Math.min(tempHp, adjusted);
+  const hpLoss = Math.min(currentHp, adjusted - absorbedByTemp);
+  return {
+    amount: raw,
+    damageType: types.length === 1 ? types[0] : null,
+    modifiers,
+    ...(Array.isArray(parts) ? { parts: adjustedParts } : {}),
+    applied: adjusted,
+    absorbedByTemp,
+    hpLoss,
+    overflow: adjusted - absorbedByTemp - hpLoss, // 超出剩余生命值的部分 (用于判断即死)
+    tempHp: tempHp - absorbedByTemp,
+    currentHp: currentHp - hpLoss
+  };
+}
+
+/**
+ * 计算治疗结果；temporary 为 true 时获得临时生命值 (不叠加，取较大值)
+ */
+function calculateHealing(creature, { amount, temporary = false }) {
+  const raw = toAmount(amount);
+  const tempHp = Number(creature.tempHp || 0);
+  const currentHp = Number(creature.currentHp || 0);
+  const maxHp = Number(creature.maxHp || 0);
+  if (temporary) {
+    const newTempHp = Math.max(tempHp, raw);
+    return { amount: raw, temporary: true, hpGain: 0, tempHp: newTempHp, currentHp };
+  }
+  const newHp = Math.min(maxHp, currentHp + raw);
+  return { amount: raw, temporary: false, hpGain: Math.max(0, newHp - currentHp), tempHp, currentHp: Math.max(currentHp, newHp) };
+}
+
+module.exports = {
+  DAMAGE_TYPES,
+  parseDamageTypes,
+  calculateDamage,
+  calculateHealing
+};
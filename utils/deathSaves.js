@@ -0,0 +1,68 @@
+/**
+ * 死亡豁免 (仅用于非怪物类型的生物)
+ * 状态结构: { successes, failures, state: 'conscious' | 'unconscious' | 'stable' | 'dead' }
+ */
+
+const DEATH_STATES = ['conscious', 'unconscious', 'stable', 'dead'];
+const REQUIRED_RESULTS = 3;
+
+function createDeathSaveState(state = 'conscious') {
+  return { successes: 0, failures: 0, state };
+}
+
+function isTrackedCreature(creature) {
+  return Boolean(creature) && (creature.type || 'monster') !== 'monster';
+}
+
+// 达到三次成功/失败时转换状态
+function settle(saves) {
+  if (saves.failures >= REQUIRED_RESULTS) return { ...saves, failures: REQUIRED_RESULTS, state: 'dead' };
+  if (saves.successes >= REQUIRED_RESULTS) return { ...saves, successes: REQUIRED_RESULTS, state: 'stable' };
+  return saves;
+}
+
+/**
+ * 生命值降到 0: 溢出伤害不小于最大生命值时直接死亡，否则陷入昏迷并重新计数
+ */
+function dropToZero(maxHp, overflow) {
+  if (maxHp > 0 && overflow >= maxHp) return { ...createDeathSaveState('dead') };
+  return createDeathSaveState('unconscious');
+}
+
+/**
+ * 在 0 生命值时受到伤害: 增加一次失败 (重击两次)；伤害不小于最大生命值时直接死亡
+ * 稳定状态的生物受到伤害后重新开始死亡豁免
+ */
+function takeDamageAtZero(saves, { damage, maxHp, critical = false }) {
+  if (saves.state === 'dead') return saves;
+  if (maxHp > 0 && damage >= maxHp) return { ...saves, state: 'dead' };
+  const base = saves.state === 'stable' ? createDeathSaveState('unconscious') : { ...saves, state: 'unconscious' };
+  return settle({ ...base, failures: base.failures + (critical ? 2 : 1) });
+}
+
+/**
+ * 结算一次死亡豁免投掷
+ * 自然 20: 恢复 1 点生命值 (regainHp 为 true)；自然 1: 两次失败；总值 >= 10 成功，否则失败
+ * @returns {{ saves: object, outcome: string, regainHp: boolean }}
+ */
+function resolveDeathSave(saves, { natural, total }) {
+  if (natural === 20) {
+    return { saves: createDeathSaveState('conscious'), outcome: 'critical-success', regainHp: true };
+  }
+  if (natural === 1) {
+    return { saves: settle({ ...saves, failures: saves.failures + 2 }), outcome: 'critical-failure', regainHp: false };
+  }
+  if (total >= 10) {
+    return { saves: settle({ ...saves, successes: saves.successes + 1 }), outcome: 'success', regainHp: false };
+  }
+  return { saves: settle({ ...saves, failures: saves.failures + 1 }), outcome: 'failure', regainHp: false };
+}
+
+module.exports = {
+  DEATH_STATES,
+  createDeathSaveState,
+  isTrackedCreature,
+  dropToZero,
+  takeDamageAtZero,
+  resolveDeathSave
+};
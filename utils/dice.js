@@ -0,0 +1,515 @@
+/**
+ * 骰子表达式解析与投掷
+ *
+ * 支持的语法 (不区分大小写，忽略空白):
+ *   1d20+5, 2d6*2, (1d8+2)/2        算术运算 (+ - * /，除法向下取整)
+ *   d20, d%, d100, d2, d7            省略数量时为 1；d% 等同于 d100；任意面数
+ *   4d6kh3, 2d20kl1, 4d6dl1, 5d6dh2  保留/丢弃最高或最低 (k 等同于 kh)
+ *   1d6!, 3d6!>=5                    爆骰，默认在最大值时追加投掷
+ *   2d8r<2, 2d6r1, 1d20ro<3          重投 (r 可多次重投，ro 只重投一次)
+ *   4d6min2, 2d10max8                单颗骰子的最小/最大值
+ *   {1d20+5, 1d20+2}kh1              分组求和，可对组内子表达式保留/丢弃
+ *
+ * 投掷结果带有结构化的分解树，客户端可以据此展示被丢弃、重投和爆骰的骰子。
+ */
+
+const MAX_DICE = 1000;        // 单次表达式最多投掷的骰子数 (包括爆骰和重投)
+const MAX_SIDES = 10000;
+const MAX_EXPLOSIONS = 100;   // 单颗骰子最多连续爆骰次数
+const MAX_REROLLS = 100;
+const MAX_GROUP_ITEMS = 20;
+const MAX_EXPRESSION_LENGTH = 500;
+
+function defaultRandomInt(sides, random) {
+  return Math.floor(random() * sides) + 1;
+}
+
+function compare(value, condition) {
+  switch (condition.op) {
+    case '<': return value < condition.value;
+    case '<=': return value <= condition.value;
+    case '>': return value > condition.value;
+    case '>=': return value >= condition.value;
+    default: return value === condition.value;
+  }
+}
+
+function conditionToString(condition) {
+  return condition.op === '=' ? String(condition.value) : `${condition.op}${condition.value}`;
+}
+
+// 检查条件是否对所有面都成立 (会导致无限重投/爆骰)
+function matchesEveryFace(condition, sides) {
+  for (let face = 1; face <= sides; face++) {
+    if (!compare(face, condition)) return false;
+  }
+  return true;
+}
+
+// -------------------- 解析 --------------------
+
+class Parser {
+  constructor(input) {
+    this.input = input;
+    this.pos = 0;
+  }
+
+  error(message) {
+    return new Error(`${message} at position ${this.pos + 1} in "${this.input}"`);
+  }
+
+  peek(offset = 0) {
+    return this.input[this.pos + offset];
+  }
+
+  startsWith(text) {
+    return this.input.startsWith(text, this.pos);
+  }
+
+  consume(text) {
+    if (this.startsWith(text)) {
+      this.pos += text.length;
+      return true;
+    }
+    return false;
+  }
+
+  expect(text) {
+    if (!this.consume(text)) {
+      throw this.error(`Expected "${text}"`);
+    }
+  }
+
+  isDigit(ch) {
+    return ch !== undefined && ch >= '0' && ch <= '9';
+  }
+
+  readNumber() {
+    const start = this.pos;
+    while (this.isDigit(this.peek())) this.pos++;
+    if (start === this.pos) {
+      throw this.error('Expected a number');
+    }
+    return parseInt(this.input.slice(start, this.pos), 10);
+  }
+
+  readOptionalNumber(fallback) {
+    return this.isDigit(this.peek()) ? this.readNumber() : fallback;
+  }
+
+  readCondition() {
+    let op = '=';
+    for (const candidate of ['<=', '>=', '<', '>', '=']) {
+      if (this.consume(candidate)) {
+        op = candidate;
+        break;
+      }
+    }
+    return { op, value: this.readNumber() };
+  }
+
+  parse() {
+    const node = this.parseExpression();
+    if (this.pos < this.input.length) {
+      throw this.error(`Unexpected "${this.peek()}"`);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    let node = this.parseTerm();
+    while (this.peek() === '+' || this.peek() === '-') {
+      const op = this.input[this.pos++];
+      node = { type: 'binary', op, left: node, right: this.parseTerm() };
+    }
+    return node;
+  }
+
+  parseTerm() {
+    let node = this.parseFactor();
+    while (this.peek() === '*' || this.peek() === '/') {
+      const op = this.input[this.pos++];
+      node = { type: 'binary', op, left: node, right: this.parseFactor() };
+    }
+    return node;
+  }
+
+  parseFactor() {
+    if (this.consume('-')) {
+      return { type: 'unary', op: '-', operand: this.parseFactor() };
+    }
+    if (this.consume('+')) {
+      return this.parseFactor();
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const ch = this.peek();
+    if (ch === '(') {
+      this.pos++;
+      const inner = this.parseExpression();
+      this.expect(')');
+      return { type: 'paren', inner };
+    }
+    if (ch === '{') {
+      return this.parseGroup();
+    }
+    if (this.isDigit(ch)) {
+      const count = this.readNumber();
+      if (this.peek() === 'd') {
+        return this.parseDice(count);
+      }
+      return { type: 'number', value: count };
+    }
+    if (ch === 'd') {
+      return this.parseDice(1);
+    }
+    if (ch === undefined) {
+      throw this.error('Unexpected end of expression');
+    }
+    throw this.error(`Unexpected "${ch}"`);
+  }
+
+  parseDice(count) {
+    this.expect('d');
+    let sides;
+    if (this.consume('%')) {
+      sides = 100;
+    } else {
+      sides = this.readNumber();
+    }
+    if (count < 1 || count > MAX_DICE) {
+      throw this.error(`Dice count must be between 1 and ${MAX_DICE}`);
+    }
+    if (sides < 1 || sides > MAX_SIDES) {
+      throw this.error(`Dice sides must be between 1 and ${MAX_SIDES}`);
+    }
+
+    const node = { type: 'dice', count, sides, keep: null, explode: null, reroll: null, min: null, max: null };
+    this.parseKeepDrop(node);
+
+    // 其余修饰符可以任意顺序出现
+    let matched = true;
+    while (matched) {
+      matched = false;
+      if (this.consume('!')) {
+        node.explode = this.startsWith('<') || this.startsWith('>') || this.startsWith('=')
+          ? this.readCondition()
+          : { op: '=', value: sides };
+        if (matchesEveryFace(node.explode, sides)) {
+          throw this.error('Exploding condition matches every face');
+        }
+        matched = true;
+      } else if (this.startsWith('ro') || this.startsWith('r')) {
+        const once = this.consume('ro');
+        if (!once) this.expect('r');
+        node.reroll = { ...this.readCondition(), once };
+        if (matchesEveryFace(node.reroll, sides)) {
+          throw this.error('Reroll condition matches every face');
+        }
+        matched = true;
+      } else if (this.consume('min')) {
+        node.min = this.readNumber();
+        matched = true;
+      } else if (this.consume('max')) {
+        node.max = this.readNumber();
+        matched = true;
+      } else if (this.parseKeepDrop(node)) {
+        matched = true;
+      }
+    }
+    return node;
+  }
+
+  // 解析 kh/kl/k/dh/dl，成功时返回 true
+  parseKeepDrop(node) {
+    let mode = null;
+    if (this.consume('kh')) mode = 'kh';
+    else if (this.consume('kl')) mode = 'kl';
+    else if (this.consume('dh')) mode = 'dh';
+    else if (this.consume('dl')) mode = 'dl';
+    else if (this.consume('k')) mode = 'kh';
+    if (!mode) return false;
+    if (node.keep) {
+      throw this.error('Only one keep/drop modifier is allowed');
+    }
+    node.keep = { mode, amount: this.readOptionalNumber(1) };
+    return true;
+  }
+
+  parseGroup() {
+    this.expect('{');
+    const items = [this.parseExpression()];
+    while (this.consume(',')) {
+      items.push(this.parseExpression());
+    }
+    this.expect('}');
+    if (items.length > MAX_GROUP_ITEMS) {
+      throw this.error(`Groups may contain at most ${MAX_GROUP_ITEMS} expressions`);
+    }
+    const node = { type: 'group', items, keep: null };
+    this.parseKeepDrop(node);
+    return node;
+  }
+}
+
+/**
+ * 解析表达式，返回语法树 (未投掷)
+ */
+function parseExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Dice expression must be a non-empty string');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Dice expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+  const normalized = expression.replace(/\s+/g, '').toLowerCase();
+  return new Parser(normalized).parse();
+}
+
+// -------------------- 投掷 --------------------
+
+// 根据 keep 修饰符标记被丢弃的条目，values 为参与比较的数值
+function applyKeep(values, keep) {
+  const kept = values.map(() => true);
+  if (!keep) return kept;
+  const indices = values.map((value, index) => index)
+    .sort((a, b) => values[a] - values[b] || a - b); // 升序
+  const amount = Math.min(keep.amount, values.length);
+  let dropIndices;
+  switch (keep.mode) {
+    case 'kh': dropIndices = indices.slice(0, values.length - amount); break;
+    case 'kl': dropIndices = indices.slice(amount); break;
+    case 'dh': dropIndices = indices.slice(values.length - amount); break;
+    default: dropIndices = indices.slice(0, amount); break; // dl
+  }
+  dropIndices.forEach(index => { kept[index] = false; });
+  return kept;
+}
+
+function keepToString(keep) {
+  return keep ? `${keep.mode}${keep.amount}` : '';
+}
+
+function diceNotation(node) {
+  let notation = `${node.count}d${node.sides}${keepToString(node.keep)}`;
+  if (node.explode) notation += `!${node.explode.op === '=' && node.explode.value === node.sides ? '' : conditionToString(node.explode)}`;
+  if (node.reroll) notation += `${node.reroll.once ? 'ro' : 'r'}${conditionToString(node.reroll)}`;
+  if (node.min !== null) notation += `min${node.min}`;
+  if (node.max !== null) notation += `max${node.max}`;
+  return notation;
+}
+
+class Roller {
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.critical = Boolean(options.critical);
+    this.diceRolled = 0;
+  }
+
+  rollDie(sides) {
+    this.diceRolled++;
+    if (this.diceRolled > MAX_DICE) {
+      throw new Error(`Expression rolls more than ${MAX_DICE} dice`);
+    }
+    return defaultRandomInt(sides, this.random);
+  }
+
+  evaluate(node) {
+    switch (node.type) {
+      case 'number':
+        return { type: 'number', value: node.value };
+      case 'paren': {
+        const inner = this.evaluate(node.inner);
+        return { type: 'paren', inner, value: inner.value };
+      }
+      case 'unary': {
+        const operand = this.evaluate(node.operand);
+        return { type: 'unary', op: '-', operand, value: -operand.value };
+      }
+      case 'binary':
+        return this.evaluateBinary(node);
+      case 'dice':
+        return this.evaluateDice(node);
+      case 'group':
+        return this.evaluateGroup(node);
+      default:
+        throw new Error(`Unknown node type ${node.type}`);
+    }
+  }
+
+  evaluateBinary(node) {
+    const left = this.evaluate(node.left);
+    const right = this.evaluate(node.right);
+    let value;
+    switch (node.op) {
+      case '+': value = left.value + right.value; break;
+      case '-': value = left.value - right.value; break;
+      case '*': value = left.value * right.value; break;
+      default:
+        if (right.value === 0) throw new Error('Division by zero');
+        value = Math.floor(left.value / right.value);
+    }
+    return { type: 'binary', op: node.op, left, right, value };
+  }
+
+  rollSingle(node, fromExplosion) {
+    const die = { value: this.rollDie(node.sides) };
+    if (fromExplosion) die.fromExplosion = true;
+
+    if (node.reroll) {
+      const limit = node.reroll.once ? 1 : MAX_REROLLS;
+      let attempts = 0;
+      while (attempts < limit && compare(die.value, node.reroll)) {
+        die.rerolled = die.rerolled || [];
+        die.rerolled.push(die.value);
+        die.value = this.rollDie(node.sides);
+        attempts++;
+      }
+    }
+
+    die.natural = die.value;
+    if (node.min !== null && die.value < node.min) {
+      die.value = node.min;
+      die.adjusted = true;
+    }
+    if (node.max !== null && die.value > node.max) {
+      die.value = node.max;
+      die.adjusted = true;
+    }
+    return die;
+  }
+
+  evaluateDice(node) {
+    const count = this.critical ? node.count * 2 : node.count;
+    const dice = [];
+    for (let i = 0; i < count; i++) {
+      let die = this.rollSingle(node, false);
+      dice.push(die);
+      let explosions = 0;
+      while (node.explode && compare(die.natural, node.explode) && explosions < MAX_EXPLOSIONS) {
+        die.exploded = true;
+        die = this.rollSingle(node, true);
+        dice.push(die);
+        explosions++;
+      }
+    }
+
+    const kept = applyKeep(dice.map(die => die.value), node.keep);
+    let value = 0;
+    dice.forEach((die, index) => {
+      die.kept = kept[index];
+      if (!die.kept) die.dropped = true;
+      else value += die.value;
+    });
+
+    return {
+      type: 'dice',
+      notation: diceNotation({ ...node, count }),
+      count,
+      sides: node.sides,
+      dice,
+      value
+    };
+  }
+
+  evaluateGroup(node) {
+    const items = node.items.map(item => this.evaluate(item));
+    const kept = applyKeep(items.map(item => item.value), node.keep);
+    let value = 0;
+    items.forEach((item, index) => {
+      item.kept = kept[index];
+      if (kept[index]) value += item.value;
+    });
+    return { type: 'group', keep: node.keep, items, value };
+  }
+}
+
+/**
+ * 将分解树渲染为可读文本，例如 "4d6kh3[6, 5, 4, ~2] + 2"
+ */
+function describe(node) {
+  switch (node.type) {
+    case 'number':
+      return String(node.value);
+    case 'paren':
+      return `(${describe(node.inner)})`;
+    case 'unary':
+      return `-${describe(node.operand)}`;
+    case 'binary':
+      return `${describe(node.left)} ${node.op} ${describe(node.right)}`;
+    case 'dice': {
+      const faces = node.dice.map(die => {
+        let text = String(die.value);
+        if (die.rerolled) text = `${die.rerolled.join('>')}>${text}`;
+        if (die.exploded) text += '!';
+        if (die.dropped) text = `~${text}`;
+        return text;
+      });
+      return `${node.notation}[${faces.join(', ')}]`;
+    }
+    case 'group': {
+      const items = node.items.map(item => (item.kept ? '' : '~') + describe(item));
+      return `{${items.join(', ')}}${keepToString(node.keep)}`;
+    }
+    default:
+      return '?';
+  }
+}
+
+// 汇总分解树中的所有骰子节点
+function collectDiceNodes(node, result = []) {
+  if (!node) return result;
+  if (node.type === 'dice') result.push(node);
+  if (node.inner) collectDiceNodes(node.inner, result);
+  if (node.operand) collectDiceNodes(node.operand, result);
+  if (node.left) collectDiceNodes(node.left, result);
+  if (node.right) collectDiceNodes(node.right, result);
+  if (node.items) node.items.forEach(item => collectDiceNodes(item, result));
+  return result;
+}
+
+/**
+ * 按骰子类型汇总结果，与旧版 roll-dice 返回的 rolls 结构兼容
+ * { d6: { quantity, rolls: [...], subtotal } }
+ */
+function summarizeByDieType(breakdown) {
+  const summary = {};
+  collectDiceNodes(breakdown).forEach(node => {
+    const key = `d${node.sides}`;
+    if (!summary[key]) summary[key] = { quantity: 0, rolls: [], subtotal: 0 };
+    node.dice.forEach(die => {
+      if (!die.kept) return;
+      summary[key].quantity++;
+      summary[key].rolls.push(die.value);
+      summary[key].subtotal += die.value;
+    });
+  });
+  return summary;
+}
+
+/**
+ * 解析并投掷一个表达式
+ * @param {string} expression 例如 "4d6kh3+2"
+ * @param {object} [options] { random: () => number, critical: boolean }
+ * @returns {{ expression: string, total: number, breakdown: object, display: string }}
+ */
+function rollExpression(expression, options = {}) {
+  const ast = parseExpression(expression);
+  const breakdown = new Roller(options).evaluate(ast);
+  return {
+    expression: expression.trim(),
+    total: breakdown.value,
+    breakdown,
+    display: `${describe(breakdown)} = ${breakdown.value}`
+  };
+}
+
+module.exports = {
+  parseExpression,
+  rollExpression,
+  describe,
+  collectDiceNodes,
+  summarizeByDieType
+};
@@ -0,0 +1,134 @@
+/**
+ * 遭遇难度计算 (5e DMG 规则)
+ *
+ * 队伍以每个角色的等级表示，如 [3, 3, 4, 5]。
+ * 只有 type 为 'monster' 的生物计入遭遇经验值，没有挑战等级的怪物单独列出。
+ */
+const { parseChallengeRating } = require('./monsterDatabase');
+
+// 每个角色等级的经验值阈值: [easy, medium, hard, deadly]
+const XP_THRESHOLDS = {
+  1: [25, 50, 75, 100],
+  2: [50, 100, 150, 200],
+  3: [75, 150, 225, 400],
+  4: [125, 250, 375, 500],
+  5: [250, 500, 750, 1100],
+  6: [300, 600, 900, 1400],
+  7: [350, 750, 1100, 1700],
+  8: [450, 900, 1400, 2100],
+  9: [550, 1100, 1600, 2400],
+  10: [600, 1200, 1900, 2800],
+  11: [800, 1600, 2400, 3600],
+  12: [1000, 2000, 3000, 4500],
+  13: [1100, 2200, 3400, 5100],
+  14: [1250, 2500, 3800, 5700],
+  15: [1400, 2800, 4300, 6400],
+  16: [1600, 3200, 4800, 7200],
+  17: [2000, 3900, 5900, 8800],
+  18: [2100, 4200, 6300, 9500],
+  19: [2400, 4900, 7300, 10900],
+  20: [2800, 5700, 8500, 12700]
+};
+
+const XP_BY_CHALLENGE_RATING = {
+  0: 10, 0.125: 25, 0.25: 50, 0.5: 100,
+  1: 200, 2: 450, 3: 700, 4: 1100, 5: 1800, 6: 2300, 7: 2900, 8: 3900, 9: 5000, 10: 5900,
+  11: 7200, 12: 8400, 13: 10000, 14: 11500, 15: 13000, 16: 15000, 17: 18000, 18: 20000, 19: 22000, 20: 25000,
+  21: 33000, 22: 41000, 23: 50000, 24: 62000, 25: 75000, 26: 90000, 27: 105000, 28: 120000, 29: 135000, 30: 155000
+};
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'deadly'];
+// 多怪物倍率；小队 (少于 3 人) 使用高一档，大队 (6 人及以上) 使用低一档
+const MULTIPLIER_STEPS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+function normalizePartyLevels(levels) {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error('Party must include at least one character level');
+  }
+  return levels.map(value => {
+    const level = Number(value);
+    if (!Number.isInteger(level) || level < 1 || level > 20) {
+      throw new Error(`Invalid character level: ${value}`);
+    }
+    return level;
+  });
+}
+
+function getPartyThresholds(partyLevels) {
+  return partyLevels.reduce((acc, level) => {
+    DIFFICULTIES.forEach((difficulty, index) => {
+      acc[difficulty] += XP_THRESHOLDS[level][index];
+    });
+    return acc;
+  }, { easy: 0, medium: 0, hard: 0, deadly: 0 });
+}
+
+function getExperienceForChallengeRating(challengeRating) {
+  const xp = XP_BY_CHALLENGE_RATING[challengeRating];
+  return xp === undefined ? null : xp;
+}
+
+function getEncounterMultiplier(monsterCount, partySize) {
+  if (monsterCount === 0) return 1;
+  let step;
+  if (monsterCount === 1) step = 1;
+  else if (monsterCount === 2) step = 2;
+  else if (monsterCount <= 6) step = 3;
+  else if (monsterCount <= 10) step = 4;
+  else if (monsterCount <= 14) step = 5;
+  else step = 6;
+  if (partySize < 3) step += 1;
+  else if (partySize >= 6) step -= 1;
+  return MULTIPLIER_STEPS[step];
+}
+
+/**
+ * 计算遭遇难度
+ * @param {number[]} partyLevels 每个角色的等级
+ * @param {object} monsters 会话中的生物 { id: monster }
+ * @returns {{ partyLevels, thresholds, monsters, unrated, baseXp, monsterCount, multiplier, adjustedXp, difficulty }}
+ *          difficulty 为 'trivial' | 'easy' | 'medium' | 'hard' | 'deadly'
+ */
+function calculateEncounterDifficulty(partyLevels, monsters) {
+  const levels = normalizePartyLevels(partyLevels);
+  const thresholds = getPartyThresholds(levels);
+  const rated = [];
+  const unrated = [];
+  Object.values(monsters || {}).forEach(monster => {
+    if (!monster || (monster.type || 'monster') !== 'monster') return;
+    const challengeRating = parseChallengeRating(monster.challengeRating);
+    const xp = challengeRating === null ? null : getExperienceForChallengeRating(challengeRating);
+    if (xp === null) {
+      unrated.push(monster.id);
+      return;
+    }
+    rated.push({ id: monster.id, name: monster.name, challengeRating, xp });
+  });
+
+  const baseXp = rated.reduce((sum, monster) => sum + monster.xp, 0);
+  const multiplier = getEncounterMultiplier(rated.length, levels.length);
+  const adjustedXp = Math.round(baseXp * multiplier);
+  const difficulty = DIFFICULTIES.reduce(
+    (acc, name) => (adjustedXp >= thresholds[name] ? name : acc),
+    'trivial'
+  );
+  return {
+    partyLevels: levels,
+    thresholds,
+    monsters: rated,
+    unrated,
+    baseXp,
+    monsterCount: rated.length,
+    multiplier,
+    adjustedXp,
+    difficulty
+  };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  normalizePartyLevels,
+  getExperienceForChallengeRating,
+  getEncounterMultiplier,
+  calculateEncounterDifficulty
+};
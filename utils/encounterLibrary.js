@@ -0,0 +1,184 @@
+/**
+ * 遭遇库: 将会话中的生物、棋子和背景保存为可复用的模板，并在加载时重新分配 ID
+ */
+
+const LOAD_MODES = ['replace', 'merge'];
+const MAX_NAME_LENGTH = 100;
+const MAX_ID_LENGTH = 100;
+// 列表只返回这些字段，不含生物、棋子和背景数据
+const ENCOUNTER_SUMMARY_FIELDS = ['encounterId', 'name', 'description', 'tags', 'monsterOrder', 'updatedAt', 'lastUpdated'];
+const MAX_TAGS = 20;
+
+// 数组或逗号分隔的字符串 -> 去重的小写标签
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : []);
+  const normalized = list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(normalized)).slice(0, MAX_TAGS);
+}
+
+/**
+ * 校验保存参数
+ * @returns {{ name, description, tags }}
+ */
+function normalizeEncounterInput(input) {
+  const source = input || {};
+  const name = typeof source.name === 'string' ? source.name.trim() : '';
+  if (!name) {
+    throw new Error('Encounter name is required');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Encounter name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return {
+    name,
+    description: source.description ? String(source.description) : '',
+    tags: normalizeTags(source.tags)
+  };
+}
+
+/**
+ * 校验客户端提供的遭遇 ID (只接受字符串，避免查询对象传入数据库)
+ * @returns {string|null} 未提供时返回 null
+ */
+function normalizeEncounterId(value, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new Error('encounterId is required');
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_ID_LENGTH) {
+    throw new Error(`encounterId must be a non-empty string of at most ${MAX_ID_LENGTH} characters`);
+  }
+  return value;
+}
+
+// 遭遇的所属会话；早期保存的遭遇没有 ownerSessionId，以保存时的会话为准
+function getEncounterOwner(encounter) {
+  return encounter.ownerSessionId || encounter.sourceSessionId || null;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 从会话状态生成快照 (深拷贝，丢弃专注等只在战斗中有意义的状态)
+ * @param {object} session 战斗助手会话
+ * @param {object} pieces 战场棋子 { id: piece }
+ */
+function createEncounterSnapshot(session, pieces) {
+  const monsters = Object.keys(session.monsters || {}).reduce((acc, id) => {
+    const monster = session.monsters[id];
+    if (monster) acc[id] = { ...clone(monster), concentratingOn: null };
+    return acc;
+  }, {});
+  const monsterOrder = (session.monsterOrder || []).filter(id => monsters[id]);
+  Object.keys(monsters).forEach(id => {
+    if (!monsterOrder.includes(id)) monsterOrder.push(id);
+  });
+  return {
+    monsters,
+    monsterOrder,
+    pieces: Object.values(pieces || {}).filter(Boolean).map(clone)
+  };
+}
+
+function summarizeEncounter(encounter) {
+  return {
+    encounterId: encounter.encounterId,
+    name: encounter.name,
+    description: encounter.description || '',
+    tags: encounter.tags || [],
+    monsterCount: (encounter.monsterOrder || []).length,
+    updatedAt: encounter.updatedAt || encounter.lastUpdated || null
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// search 匹配名称或标签 (不区分大小写)，tag 精确匹配标签
+function buildSearchQuery({ search, tag } = {}) {
+  const conditions = [];
+  if (typeof search === 'string' && search.trim()) {
+    const pattern = escapeRegExp(search.trim());
+    conditions.push({ $or: [
+      { name: { $regex: pattern, $options: 'i' } },
+      { tags: { $regex: pattern, $options: 'i' } }
+    ] });
+  }
+  if (typeof tag === 'string' && tag.trim()) {
+    conditions.push({ tags: tag.trim().toLowerCase() });
+  }
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// 与 buildSearchQuery 相同的筛选规则，用于不支持查询语句的存储后端
+function matchesEncounterFilters(encounter, { search, tag } = {}) {
+  const tags = encounter.tags || [];
+  if (typeof search === 'string' && search.trim()) {
+    const needle = search.trim().toLowerCase();
+    const matched = String(encounter.name || '').toLowerCase().includes(needle)
+      || tags.some(value => String(value).toLowerCase().includes(needle));
+    if (!matched) return false;
+  }
+  if (typeof tag === 'string' && tag.trim() && !tags.includes(tag.trim().toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 为遭遇中的生物和棋子分配不与 takenIds 冲突的 ID
+ * @param {object} encounter 保存的遭遇
+ * @param {Set<string>} takenIds 会话中已使用的生物/棋子 ID
+ * @returns {{ monsters: Array, pieces: Array, idMap: object }} monsters 按 monsterOrder 排列
+ */
+function remapEncounterIds(encounter, takenIds) {
+  const idMap = {};
+  const suffix = Date.now().toString(36);
+  const assign = (id) => {
+    if (idMap[id]) return idMap[id];
+    let newId = id;
+    let counter = 1;
+    while (takenIds.has(newId)) {
+      newId = `${id}-${suffix}${counter > 1 ? `-${counter}` : ''}`;
+      counter++;
+    }
+    takenIds.add(newId);
+    idMap[id] = newId;
+    return newId;
+  };
+
+  const source = encounter.monsters || {};
+  const order = (encounter.monsterOrder || []).filter(id => source[id]);
+  Object.keys(source).forEach(id => {
+    if (!order.includes(id)) order.push(id);
+  });
+  const monsters = order.map(id => ({ ...clone(source[id]), id: assign(id) }));
+  const pieces = (encounter.pieces || []).filter(piece => piece && piece.id).map(piece => {
+    const copy = clone(piece);
+    const monsterId = piece.monsterId || (source[piece.id] ? piece.id : null);
+    copy.id = assign(piece.id);
+    if (monsterId) copy.monsterId = idMap[monsterId] || assign(monsterId);
+    return copy;
+  });
+  return { monsters, pieces, idMap };
+}
+
+module.exports = {
+  LOAD_MODES,
+  ENCOUNTER_SUMMARY_FIELDS,
+  normalizeTags,
+  normalizeEncounterInput,
+  normalizeEncounterId,
+  getEncounterOwner,
+  createEncounterSnapshot,
+  summarizeEncounter,
+  buildSearchQuery,
+  matchesEncounterFilters,
+  remapEncounterIds
+};
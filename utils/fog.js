@@ -0,0 +1,156 @@
+/**
+ * 战争迷雾
+ *
+ * 迷雾状态: { enabled, cellSize, offsetX, offsetY, gmOpacity, regions: [...] }
+ * cellSize 和偏移量与战场网格保持一致。
+ * regions 按操作顺序保存，后面的区域覆盖前面的区域:
+ *   { id, shape: 'cells', mode: 'reveal' | 'hide', cells: [[col, row], ...] }
+ *   { id, shape: 'polygon', mode: 'reveal' | 'hide', points: [{ x, y }, ...] }
+ * 未被任何区域覆盖的位置默认处于迷雾中。
+ */
+const { pointInPolygon, toPoint } = require('./geometry');
+
+const MAX_REGIONS = 500;
+const MAX_CELLS_PER_OPERATION = 10000;
+const MAX_POLYGON_POINTS = 200;
+
+function createFogState() {
+  return {
+    enabled: false,
+    cellSize: 50,
+    offsetX: 0,
+    offsetY: 0,
+    gmOpacity: 0.5,
+    regions: []
+  };
+}
+
+/**
+ * 补全从数据库或旧数据加载的迷雾状态
+ */
+function normalizeFogState(fog) {
+  const defaults = createFogState();
+  if (!fog || typeof fog !== 'object') return defaults;
+  return {
+    enabled: typeof fog.enabled === 'boolean' ? fog.enabled : defaults.enabled,
+    cellSize: Number(fog.cellSize) > 0 ? Number(fog.cellSize) : defaults.cellSize,
+    offsetX: Number(fog.offsetX) || 0,
+    offsetY: Number(fog.offsetY) || 0,
+    gmOpacity: typeof fog.gmOpacity === 'number' ? fog.gmOpacity : defaults.gmOpacity,
+    regions: Array.isArray(fog.regions) ? fog.regions : []
+  };
+}
+
+function cellKey(cell) {
+  return `${cell[0]},${cell[1]}`;
+}
+
+function regionContains(region, point, fog) {
+  if (region.shape === 'polygon') {
+    return pointInPolygon(point, region.points);
+  }
+  if (region.shape === 'cells') {
+    if (!region.cellSet) {
+      // 缓存查找表，不参与序列化
+      Object.defineProperty(region, 'cellSet', {
+        value: new Set(region.cells.map(cellKey)),
+        enumerable: false,
+        writable: true
+      });
+    }
+    const col = Math.floor((point.x - (fog.offsetX || 0)) / fog.cellSize);
+    const row = Math.floor((point.y - (fog.offsetY || 0)) / fog.cellSize);
+    return region.cellSet.has(`${col},${row}`);
+  }
+  return false;
+}
+
+/**
+ * 判断某个位置是否已被揭示；迷雾关闭时总是返回 true
+ */
+function isPointRevealed(fog, point) {
+  if (!fog || !fog.enabled) return true;
+  for (let i = fog.regions.length - 1; i >= 0; i--) {
+    if (regionContains(fog.regions[i], point, fog)) {
+      return fog.regions[i].mode === 'reveal';
+    }
+  }
+  return false;
+}
+
+/**
+ * 校验并构建一个迷雾区域；输入无效时抛出错误
+ * @param {'reveal'|'hide'} mode
+ * @param {{ cells?: Array, polygon?: Array }} input
+ */
+function createRegion(mode, input) {
+  const id = `fog-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  if (Array.isArray(input.polygon)) {
+    const points = input.polygon.map(toPoint);
+    if (points.length < 3 || points.length > MAX_POLYGON_POINTS || points.some(point => !point)) {
+      throw new Error(`Polygon must have between 3 and ${MAX_POLYGON_POINTS} valid points`);
+    }
+    return { id, shape: 'polygon', mode, points };
+  }
+  if (Array.isArray(input.cells)) {
+    if (input.cells.length === 0 || input.cells.length > MAX_CELLS_PER_OPERATION) {
+      throw new Error(`Cell operations must include between 1 and ${MAX_CELLS_PER_OPERATION} cells`);
+    }
+    const cells = input.cells.map(cell => {
+      const point = toPoint(cell);
+      if (!point) throw new Error('Invalid cell coordinate');
+      return [Math.floor(point.x), Math.floor(point.y)];
+    });
+    return { id, shape: 'cells', mode, cells };
+  }
+  throw new Error('Fog operation requires cells or polygon');
+}
+
+/**
+ * 应用一次揭示/隐藏操作
+ * 新的格子操作会从旧的格子区域中移除相同的格子，避免重复堆积
+ */
+function applyFogOperation(fog, mode, input) {
+  const region = createRegion(mode, input);
+  if (region.shape === 'cells') {
+    const newKeys = new Set(region.cells.map(cellKey));
+    fog.regions = fog.regions
+      .map(existing => {
+        if (existing.shape !== 'cells') return existing;
+        const remaining = existing.cells.filter(cell => !newKeys.has(cellKey(cell)));
+        return remaining.length === existing.cells.length ? existing : { ...existing, cells: remaining };
+      })
+      .filter(existing => existing.shape !== 'cells' || existing.cells.length > 0);
+  }
+  fog.regions.push(region);
+  if (fog.regions.length > MAX_REGIONS) {
+    fog.regions.splice(0, fog.regions.length - MAX_REGIONS);
+  }
+  return region;
+}
+
+/**
+ * 发送给客户端的迷雾数据
+ * 玩家只收到遮罩几何信息；GM 额外收到迷雾的半透明度
+ */
+function buildFogView(fog, isGM) {
+  const view = {
+    enabled: fog.enabled,
+    cellSize: fog.cellSize,
+    offsetX: fog.offsetX || 0,
+    offsetY: fog.offsetY || 0,
+    regions: fog.regions
+  };
+  if (isGM) {
+    view.gmOpacity = fog.gmOpacity;
+  }
+  return view;
+}
+
+module.exports = {
+  createFogState,
+  normalizeFogState,
+  isPointRevealed,
+  applyFogOperation,
+  buildFogView
+};
@@ -0,0 +1,55 @@
+/**
+ * 战场几何计算的纯函数
+ * 点用 { x, y } 表示，多边形为点数组
+ */
+
+/**
+ * 射线法判断点是否在多边形内
+ */
+function pointInPolygon(point, polygon) {
+  if (!Array.isArray(polygon) || polygon.length < 3) return false;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const intersects = ((a.y > point.y) !== (b.y > point.y)) &&
+      (point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * 棋子中心点 (棋子坐标为左上角)
+ */
+function getPieceCenter(piece, size) {
+  return {
+    x: Number(piece.x || 0) + size / 2,
+    y: Number(piece.y || 0) + size / 2
+  };
+}
+
+/**
+ * 规范化客户端传来的点，支持 { x, y } 和 [x, y]，无效时返回 null
+ */
+function toPoint(value) {
+  if (Array.isArray(value) && value.length >= 2) {
+    value = { x: value[0], y: value[1] };
+  }
+  if (!value || typeof value !== 'object') return null;
+  const x = Number(value.x);
+  const y = Number(value.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  return { x, y };
+}
+
+module.exports = {
+  pointInPolygon,
+  distance,
+  getPieceCenter,
+  toPoint
+};
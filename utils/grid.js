@@ -0,0 +1,225 @@
+/**
+ * 战场网格: 坐标换算、吸附、生物体型占位和距离测量
+ *
+ * 网格状态: { type: 'square' | 'hex', cellSize, offsetX, offsetY, feetPerCell, diagonalRule, snapToGrid }
+ * 方格的 cellSize 为格子边长；六边形 (尖顶) 的 cellSize 为相邻格子中心的距离。
+ * 棋子坐标 (x, y) 为左上角。
+ */
+
+const GRID_TYPES = ['square', 'hex'];
+const DIAGONAL_RULES = ['5e', 'alternating'];
+
+// 各体型占用的格子边长
+const SIZE_FOOTPRINTS = {
+  tiny: 0.5,
+  small: 1,
+  medium: 1,
+  large: 2,
+  huge: 3,
+  gargantuan: 4
+};
+
+function createGridState() {
+  return {
+    type: 'square',
+    cellSize: 50,
+    offsetX: 0,
+    offsetY: 0,
+    feetPerCell: 5,
+    diagonalRule: '5e',
+    snapToGrid: true
+  };
+}
+
+/**
+ * 补全并校验网格状态，可以传入部分字段用于更新
+ */
+function normalizeGridState(grid, base = createGridState()) {
+  const source = grid && typeof grid === 'object' ? grid : {};
+  return {
+    type: GRID_TYPES.includes(source.type) ? source.type : base.type,
+    cellSize: Number(source.cellSize) >= 10 ? Number(source.cellSize) : base.cellSize,
+    offsetX: Number.isFinite(Number(source.offsetX)) ? Number(source.offsetX) : base.offsetX,
+    offsetY: Number.isFinite(Number(source.offsetY)) ? Number(source.offsetY) : base.offsetY,
+    feetPerCell: Number(source.feetPerCell) > 0 ? Number(source.feetPerCell) : base.feetPerCell,
+    diagonalRule: DIAGONAL_RULES.includes(source.diagonalRule) ? source.diagonalRule : base.diagonalRule,
+    snapToGrid: typeof source.snapToGrid === 'boolean' ? source.snapToGrid : base.snapToGrid
+  };
+}
+
+function normalizeSize(size) {
+  const key = typeof size === 'string' ? size.toLowerCase() : '';
+  return SIZE_FOOTPRINTS[key] !== undefined ? key : 'medium';
+}
+
+function getFootprint(size) {
+  return SIZE_FOOTPRINTS[normalizeSize(size)];
+}
+
+/**
+ * 棋子在地图上的像素边长
+ */
+function getPiecePixelSize(grid, piece) {
+  return getFootprint(piece && piece.size) * grid.cellSize;
+}
+
+// -------------------- 六边形 (尖顶，轴坐标) --------------------
+
+function hexRadius(grid) {
+  return grid.cellSize / Math.sqrt(3);
+}
+
+function pixelToHex(grid, point) {
+  const radius = hexRadius(grid);
+  const x = point.x - grid.offsetX;
+  const y = point.y - grid.offsetY;
+  const q = (Math.sqrt(3) / 3 * x - y / 3) / radius;
+  const r = (2 / 3 * y) / radius;
+  // 立方坐标取整
+  const cubeX = q;
+  const cubeZ = r;
+  const cubeY = -cubeX - cubeZ;
+  let rx = Math.round(cubeX);
+  const ry = Math.round(cubeY);
+  let rz = Math.round(cubeZ);
+  const dx = Math.abs(rx - cubeX);
+  const dy = Math.abs(ry - cubeY);
+  const dz = Math.abs(rz - cubeZ);
+  if (dx > dy && dx > dz) rx = -ry - rz;
+  else if (dy <= dz) rz = -rx - ry;
+  return { q: rx, r: rz };
+}
+
+function hexToPixel(grid, hex) {
+  const radius = hexRadius(grid);
+  return {
+    x: grid.offsetX + radius * (Math.sqrt(3) * hex.q + Math.sqrt(3) / 2 * hex.r),
+    y: grid.offsetY + radius * (1.5 * hex.r)
+  };
+}
+
+function hexDistance(a, b) {
+  return (Math.abs(a.q - b.q) + Math.abs(a.q + a.r - b.q - b.r) + Math.abs(a.r - b.r)) / 2;
+}
+
+// -------------------- 吸附 --------------------
+
+/**
+ * 将棋子的目标位置吸附到网格
+ * 方格: 左上角对齐格线 (微型生物对齐半格)；六边形: 中心对齐最近的格子中心
+ */
+function snapPosition(grid, piece, x, y) {
+  if (!grid.snapToGrid) return { x, y };
+  const pixelSize = getPiecePixelSize(grid, piece);
+  if (grid.type === 'hex') {
+    const center = hexToPixel(grid, pixelToHex(grid, { x: x + pixelSize / 2, y: y + pixelSize / 2 }));
+    return {
+      x: Math.round((center.x - pixelSize / 2) * 100) / 100,
+      y: Math.round((center.y - pixelSize / 2) * 100) / 100
+    };
+  }
+  const step = Math.min(1, getFootprint(piece && piece.size)) * grid.cellSize;
+  return {
+    x: grid.offsetX + Math.round((x - grid.offsetX) / step) * step,
+    y: grid.offsetY + Math.round((y - grid.offsetY) / step) * step
+  };
+}
+
+// -------------------- 距离 --------------------
+
+function pointToCell(grid, point) {
+  return {
+    col: Math.floor((point.x - grid.offsetX) / grid.cellSize),
+    row: Math.floor((point.y - grid.offsetY) / grid.cellSize)
+  };
+}
+
+/**
+ * 棋子占据的格子范围 (方格)
+ */
+function getPieceCellBounds(grid, piece) {
+  const cells = Math.max(1, getFootprint(piece.size));
+  const start = pointToCell(grid, { x: Number(piece.x || 0) + 1, y: Number(piece.y || 0) + 1 });
+  return {
+    minCol: start.col,
+    maxCol: start.col + cells - 1,
+    minRow: start.row,
+    maxRow: start.row + cells - 1
+  };
+}
+
+function pointCellBounds(grid, point) {
+  const cell = pointToCell(grid, point);
+  return { minCol: cell.col, maxCol: cell.col, minRow: cell.row, maxRow: cell.row };
+}
+
+// 两个范围之间的间隔格数 (重叠时为 0)
+function rangeGap(minA, maxA, minB, maxB) {
+  if (maxA < minB) return minB - maxA;
+  if (maxB < minA) return minA - maxB;
+  return 0;
+}
+
+/**
+ * 按对角线规则计算方格步数
+ * 5e: 对角线每格 5 英尺 (切比雪夫距离)
+ * alternating: 对角线交替计 1 格、2 格 (5/10/5 规则)
+ */
+function squareSteps(dx, dy, rule) {
+  const straight = Math.max(dx, dy);
+  const diagonal = Math.min(dx, dy);
+  if (rule === 'alternating') {
+    return straight + Math.floor(diagonal / 2);
+  }
+  return straight;
+}
+
+/**
+ * 测量两个区域之间的距离 (区域由 getPieceCellBounds / pointCellBounds 得到，或为六边形中心点)
+ * @returns {{ cells: number, feet: number, rule: string }}
+ */
+function measureBetweenBounds(grid, a, b, rule = grid.diagonalRule) {
+  const dx = rangeGap(a.minCol, a.maxCol, b.minCol, b.maxCol);
+  const dy = rangeGap(a.minRow, a.maxRow, b.minRow, b.maxRow);
+  const cells = squareSteps(dx, dy, rule);
+  return { cells, feet: cells * grid.feetPerCell, rule };
+}
+
+/**
+ * 测量两点 (或棋子中心) 之间的距离，按网格类型选择算法
+ * from / to: { point } 或 { piece }
+ */
+function measureDistance(grid, from, to, rule = grid.diagonalRule) {
+  if (grid.type === 'hex') {
+    const center = (target) => {
+      if (target.piece) {
+        const size = getPiecePixelSize(grid, target.piece);
+        return { x: Number(target.piece.x || 0) + size / 2, y: Number(target.piece.y || 0) + size / 2 };
+      }
+      return target.point;
+    };
+    const cells = hexDistance(pixelToHex(grid, center(from)), pixelToHex(grid, center(to)));
+    return { cells, feet: cells * grid.feetPerCell, rule: 'hex' };
+  }
+  const bounds = (target) => (target.piece ? getPieceCellBounds(grid, target.piece) : pointCellBounds(grid, target.point));
+  return measureBetweenBounds(grid, bounds(from), bounds(to), rule);
+}
+
+module.exports = {
+  GRID_TYPES,
+  DIAGONAL_RULES,
+  SIZE_FOOTPRINTS,
+  createGridState,
+  normalizeGridState,
+  normalizeSize,
+  getFootprint,
+  getPiecePixelSize,
+  pixelToHex,
+  hexToPixel,
+  hexDistance,
+  snapPosition,
+  pointToCell,
+  getPieceCellBounds,
+  squareSteps,
+  measureDistance
+};
@@ -0,0 +1,95 @@
+/**
+ * 先攻追踪相关的纯函数
+ * 先攻条目结构: { id, name, initiative, dexModifier, tieBreaker }
+ */
+
+/**
+ * 投掷先攻 (1d20 + 敏捷调整值)
+ */
+function rollInitiative(dexModifier = 0) {
+  const roll = Math.floor(Math.random() * 20) + 1;
+  return { roll, total: roll + dexModifier };
+}
+
+/**
+ * 获取生物的敏捷调整值，用于先攻加值和同值裁定
+ */
+function getDexModifier(creature) {
+  if (!creature) return 0;
+  if (typeof creature.initiativeModifier === 'number') return creature.initiativeModifier;
+  if (typeof creature.dexModifier === 'number') return creature.dexModifier;
+  if (creature.abilities && typeof creature.abilities.dex === 'number') {
+    return Math.floor((creature.abilities.dex - 10) / 2);
+  }
+  return 0;
+}
+
+/**
+ * 构建一个规范化的先攻条目
+ * 如果没有提供先攻值，则在服务器端投掷
+ */
+function createInitiativeEntry(input, creature) {
+  const dexModifier = typeof input.dexModifier === 'number' ? input.dexModifier : getDexModifier(creature);
+  const entry = {
+    id: String(input.id),
+    name: input.name || (creature && creature.name) || 'Unknown',
+    type: (creature && creature.type) || input.type || 'monster',
+    dexModifier,
+    // 同值且敏捷相同时的最终裁定，相当于双方重投
+    tieBreaker: Math.random()
+  };
+
+  if (typeof input.initiative === 'number' && !Number.isNaN(input.initiative) && !input.roll) {
+    entry.initiative = input.initiative;
+  } else {
+    const { roll, total } = rollInitiative(dexModifier);
+    entry.initiative = total;
+    entry.roll = roll;
+  }
+  return entry;
+}
+
+/**
+ * 按先攻值降序排序，同值时敏捷调整值高者优先
+ */
+function sortInitiativeOrder(order) {
+  return [...order].sort((a, b) => {
+    if (b.initiative !== a.initiative) return b.initiative - a.initiative;
+    if ((b.dexModifier || 0) !== (a.dexModifier || 0)) return (b.dexModifier || 0) - (a.dexModifier || 0);
+    return (b.tieBreaker || 0) - (a.tieBreaker || 0);
+  });
+}
+
+/**
+ * 计算下一回合位置，越过队尾时轮数 +1
+ */
+function getNextTurn(order, currentTurn, round) {
+  if (!order.length) return { currentTurn: 0, round };
+  const next = currentTurn + 1;
+  if (next >= order.length) {
+    return { currentTurn: 0, round: round + 1 };
+  }
+  return { currentTurn: next, round };
+}
+
+/**
+ * 计算上一回合位置，回到队首之前时轮数 -1 (不低于第 1 轮)
+ */
+function getPreviousTurn(order, currentTurn, round) {
+  if (!order.length) return { currentTurn: 0, round };
+  const prev = currentTurn - 1;
+  if (prev < 0) {
+    if (round <= 1) return { currentTurn: 0, round: 1 };
+    return { currentTurn: order.length - 1, round: round - 1 };
+  }
+  return { currentTurn: prev, round };
+}
+
+module.exports = {
+  rollInitiative,
+  getDexModifier,
+  createInitiativeEntry,
+  sortInitiativeOrder,
+  getNextTurn,
+  getPreviousTurn
+};
@@ -0,0 +1,84 @@
+/**
+ * 传奇动作、传奇抗性与巢穴动作
+ *
+ * 生物上的结构 (不具备时为 null):
+ *   legendaryActions:     { max, remaining }    该生物的回合开始时恢复
+ *   legendaryResistances: { max, remaining }    每日次数，由 GM 手动恢复
+ *   lairActions:          { enabled, usedRound } 先攻计数 20 时触发 (输掉平局)，每轮一次
+ */
+
+const LAIR_INITIATIVE = 20;
+
+/**
+ * 规范化次数池；input 为数字时视为最大次数，为 0 / null 时移除该池
+ * existing 不为空时保留剩余次数 (不超过新的最大值)
+ */
+function normalizePool(input, existing) {
+  if (input === null || input === undefined || input === 0 || input === false) return null;
+  const source = typeof input === 'object' ? input : { max: input };
+  const max = Number(source.max !== undefined ? source.max : (existing && existing.max));
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error('Pool max must be a positive integer');
+  }
+  let remaining = source.remaining !== undefined ? Number(source.remaining) : (existing ? existing.remaining : max);
+  if (!Number.isInteger(remaining) || remaining < 0) {
+    throw new Error('Pool remaining must be a non-negative integer');
+  }
+  remaining = Math.min(remaining, max);
+  return { max, remaining };
+}
+
+function normalizeLair(input, existing) {
+  if (!input) return null;
+  const enabled = typeof input === 'object' ? input.enabled !== false : true;
+  if (!enabled) return null;
+  return { enabled: true, usedRound: existing ? existing.usedRound : null };
+}
+
+/**
+ * 消耗次数；剩余次数不足时抛出错误
+ */
+function spendPool(pool, cost = 1, label = 'pool') {
+  if (!pool) {
+    throw new Error(`Creature has no ${label}`);
+  }
+  const amount = Number(cost);
+  if (!Number.isInteger(amount) || amount < 1) {
+    throw new Error('Cost must be a positive integer');
+  }
+  if (pool.remaining < amount) {
+    throw new Error(`Not enough ${label} left (${pool.remaining}/${pool.max})`);
+  }
+  return { ...pool, remaining: pool.remaining - amount };
+}
+
+function restorePool(pool) {
+  return pool ? { ...pool, remaining: pool.max } : null;
+}
+
+// "2/3"
+function formatPool(pool) {
+  return pool ? `${pool.remaining}/${pool.max}` : null;
+}
+
+/**
+ * 回合从 previous 切换到 next 时先攻计数是否经过 20；经过时返回所在轮次，否则返回 null
+ * previous / next 为先攻值，previous 为 null 表示战斗开始；round 为 next 所在轮次，wrapped 表示进入了新的一轮
+ * 一轮中所有生物先攻都不低于 20 时，计数在该轮结束时经过 20 (返回上一轮)
+ */
+function getLairRound(previous, next, round, wrapped) {
+  const below = value => Number(value) < LAIR_INITIATIVE;
+  if (wrapped && previous !== null && !below(previous)) return round - 1;
+  if ((wrapped || previous === null || !below(previous)) && below(next)) return round;
+  return null;
+}
+
+module.exports = {
+  LAIR_INITIATIVE,
+  normalizePool,
+  normalizeLair,
+  spendPool,
+  restorePool,
+  formatPool,
+  getLairRound
+};
@@ -0,0 +1,162 @@
+/**
+ * 将 dnd-database (Open5e 风格字段) 返回的怪物数据转换为战斗助手的怪物记录
+ */
+const dice = require('./dice');
+
+const ABILITIES = {
+  str: 'strength',
+  dex: 'dexterity',
+  con: 'constitution',
+  int: 'intelligence',
+  wis: 'wisdom',
+  cha: 'charisma'
+};
+const MAX_IMPORT_COUNT = 20;
+
+// "1/4" -> 0.25
+function parseChallengeRating(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const [numerator, denominator] = value.split('/').map(Number);
+  if (denominator) return numerator / denominator;
+  return Number.isFinite(numerator) ? numerator : null;
+}
+
+// armor_class 可能是数字或 [{ value, type }]
+function parseArmorClass(value) {
+  if (Array.isArray(value)) return parseArmorClass(value[0] && value[0].value);
+  const armorClass = Number(value);
+  return Number.isFinite(armorClass) ? armorClass : 10;
+}
+
+function getAbilities(data) {
+  return Object.keys(ABILITIES).reduce((acc, key) => {
+    const score = Number(data[ABILITIES[key]]);
+    if (Number.isFinite(score)) acc[key] = score;
+    return acc;
+  }, {});
+}
+
+// Open5e 中 <ability>_save 为 null 表示不熟练，此时使用属性调整值
+function getSavingThrows(data) {
+  return Object.keys(ABILITIES).reduce((acc, key) => {
+    const value = data[`${ABILITIES[key]}_save`];
+    if (typeof value === 'number') acc[key] = value;
+    return acc;
+  }, {});
+}
+
+// 从描述中提取伤害类型，如 "Hit: 5 (1d6 + 2) slashing damage."
+function parseDamageType(desc) {
+  const match = typeof desc === 'string' ? desc.match(/\)\s+(\w+)\s+damage/i) : null;
+  return match ? match[1].toLowerCase() : null;
+}
+
+// 从描述中提取豁免 DC 和属性，如 "DC 13 Dexterity saving throw"
+function parseSave(desc) {
+  const match = typeof desc === 'string' ? desc.match(/DC\s+(\d+)\s+(\w+)\s+saving throw/i) : null;
+  if (!match) return {};
+  const ability = Object.keys(ABILITIES).find(key => ABILITIES[key] === match[2].toLowerCase());
+  return { saveDc: Number(match[1]), saveAbility: ability, halfOnSave: /half as much damage/i.test(desc) };
+}
+
+function normalizeActions(actions) {
+  if (!Array.isArray(actions)) return [];
+  return actions.filter(action => action && action.name).map(action => ({
+    name: String(action.name),
+    desc: action.desc ? String(action.desc) : '',
+    attackBonus: typeof action.attack_bonus === 'number' ? action.attack_bonus : null,
+    damageDice: action.damage_dice ? String(action.damage_dice) : null,
+    damageBonus: typeof action.damage_bonus === 'number' ? action.damage_bonus : null,
+    damageType: parseDamageType(action.desc),
+    ...(typeof action.attack_bonus === 'number' ? {} : parseSave(action.desc))
+  }));
+}
+
+// 传奇动作次数见 legendary_desc ("can take 3 legendary actions")，默认 3 次
+function getLegendaryActionCount(data) {
+  if (!Array.isArray(data.legendary_actions) || data.legendary_actions.length === 0) return null;
+  const match = typeof data.legendary_desc === 'string' ? data.legendary_desc.match(/(\d+)\s+legendary actions/i) : null;
+  return match ? Number(match[1]) : 3;
+}
+
+// 特殊能力 "Legendary Resistance (3/Day)"
+function getLegendaryResistanceCount(data) {
+  const abilities = Array.isArray(data.special_abilities) ? data.special_abilities : [];
+  const ability = abilities.find(entry => entry && /legendary resistance/i.test(entry.name || ''));
+  if (!ability) return null;
+  const match = String(ability.name).match(/(\d+)\s*\/\s*day/i);
+  return match ? Number(match[1]) : 3;
+}
+
+/**
+ * 转换为怪物模板 (不含 id 和生命值，见 rollHitPoints)
+ */
+function toMonsterTemplate(data) {
+  if (!data || typeof data !== 'object' || !data.name) {
+    throw new Error('Invalid monster data');
+  }
+  return {
+    slug: data.slug || null,
+    name: String(data.name),
+    type: 'monster',
+    size: typeof data.size === 'string' ? data.size.toLowerCase() : 'medium',
+    armorClass: parseArmorClass(data.armor_class),
+    speed: data.speed || null,
+    abilities: getAbilities(data),
+    savingThrows: getSavingThrows(data),
+    skills: data.skills || {},
+    senses: data.senses || '',
+    actions: normalizeActions(data.actions),
+    legendaryActions: getLegendaryActionCount(data),
+    legendaryResistances: getLegendaryResistanceCount(data),
+    resistances: data.damage_resistances || [],
+    vulnerabilities: data.damage_vulnerabilities || [],
+    immunities: data.damage_immunities || [],
+    challengeRating: parseChallengeRating(data.cr !== undefined ? data.cr : data.challenge_rating),
+    hitDice: data.hit_dice || null,
+    averageHp: Number(data.hit_points) || null
+  };
+}
+
+/**
+ * 按生命骰投掷生命值；mode 为 'average' 或生命骰无效时使用平均生命值
+ */
+function rollHitPoints(template, mode = 'roll') {
+  if (mode !== 'average' && template.hitDice) {
+    try {
+      return Math.max(1, dice.rollExpression(String(template.hitDice)).total);
+    } catch (error) {
+      // 无法解析的生命骰，退回平均值
+    }
+  }
+  return Math.max(1, Number(template.averageHp) || 1);
+}
+
+/**
+ * 为同名怪物编号，从已有的最大编号之后继续 ("Goblin 1" ... "Goblin 4")
+ * 只添加一个且没有同名怪物时保留原名
+ */
+function numberDuplicateNames(baseName, existingNames, count) {
+  const escaped = baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escaped}(?: (\\d+))?$`);
+  let highest = 0;
+  let hasUnnumbered = false;
+  existingNames.forEach(name => {
+    const match = typeof name === 'string' ? name.match(pattern) : null;
+    if (!match) return;
+    if (match[1]) highest = Math.max(highest, Number(match[1]));
+    else hasUnnumbered = true;
+  });
+  if (count === 1 && highest === 0 && !hasUnnumbered) return [baseName];
+  const start = Math.max(highest, hasUnnumbered ? 1 : 0) + 1;
+  return Array.from({ length: count }, (_, index) => `${baseName} ${start + index}`);
+}
+
+module.exports = {
+  MAX_IMPORT_COUNT,
+  parseChallengeRating,
+  toMonsterTemplate,
+  rollHitPoints,
+  numberDuplicateNames
+};
@@ -0,0 +1,170 @@
+/**
+ * 战斗中的移动消耗与速度预算
+ *
+ * 困难地形以格子列表保存: [{ col, row }]，六边形网格中 col/row 对应轴坐标 q/r。
+ * 每回合的移动记录: { pieceId, round, speed, used, dash, disengage, diagonals, history: [{ from, to, feet, diagonals, timestamp }] }
+ * diagonals 为本回合已经进行的斜向移动次数，alternating 规则按它决定下一次斜向移动的消耗
+ */
+const { getFootprint, pixelToHex, hexToPixel, hexDistance, pointToCell, getPiecePixelSize } = require('./grid');
+
+const DEFAULT_SPEED = 30; // 英尺
+
+function cellKey(cell) {
+  return `${cell.col},${cell.row}`;
+}
+
+/**
+ * 校验格子列表，丢弃无效项
+ */
+function normalizeCells(cells) {
+  if (!Array.isArray(cells)) return [];
+  return cells
+    .map(cell => ({ col: Number(cell && cell.col), row: Number(cell && cell.row) }))
+    .filter(cell => Number.isInteger(cell.col) && Number.isInteger(cell.row));
+}
+
+/**
+ * 绘制或擦除困难地形，返回新的格子列表
+ * @param {'add' | 'remove'} mode
+ */
+function paintCells(existing, cells, mode) {
+  const map = new Map(normalizeCells(existing).map(cell => [cellKey(cell), cell]));
+  normalizeCells(cells).forEach(cell => {
+    if (mode === 'remove') map.delete(cellKey(cell));
+    else map.set(cellKey(cell), cell);
+  });
+  return [...map.values()];
+}
+
+/**
+ * 解析生物速度: 数字、"30 ft." 或 { walk: 30 }
+ */
+function parseSpeed(speed) {
+  if (typeof speed === 'number' && speed >= 0) return speed;
+  if (typeof speed === 'string') {
+    const match = speed.match(/\d+/);
+    if (match) return Number(match[0]);
+  }
+  if (speed && typeof speed === 'object' && speed.walk !== undefined) return parseSpeed(speed.walk);
+  return DEFAULT_SPEED;
+}
+
+// 棋子位于 (x, y) 时所在的格子 (方格取左上角格子，六边形取中心所在格)
+function positionToCell(grid, piece, x, y) {
+  if (grid.type === 'hex') {
+    const half = getPiecePixelSize(grid, piece) / 2;
+    const hex = pixelToHex(grid, { x: x + half, y: y + half });
+    return { col: hex.q, row: hex.r };
+  }
+  return pointToCell(grid, { x: x + 1, y: y + 1 });
+}
+
+// 起点到终点经过的格子 (不含起点)，按直线插值
+function tracePath(grid, from, to) {
+  const path = [];
+  if (grid.type === 'hex') {
+    const start = hexToPixel(grid, { q: from.col, r: from.row });
+    const end = hexToPixel(grid, { q: to.col, r: to.row });
+    const steps = hexDistance({ q: from.col, r: from.row }, { q: to.col, r: to.row });
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      // 微小偏移避免落在两个格子的边界上
+      const hex = pixelToHex(grid, {
+        x: start.x + (end.x - start.x) * t + 1e-6,
+        y: start.y + (end.y - start.y) * t + 1e-6
+      });
+      path.push({ col: hex.q, row: hex.r });
+    }
+    return path;
+  }
+  const steps = Math.max(Math.abs(to.col - from.col), Math.abs(to.row - from.row));
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    path.push({
+      col: Math.round(from.col + (to.col - from.col) * t),
+      row: Math.round(from.row + (to.row - from.row) * t)
+    });
+  }
+  return path;
+}
+
+// 棋子位于某格时占据的所有格子 (方格按体型展开)
+function occupiedCells(grid, piece, cell) {
+  if (grid.type === 'hex') return [cell];
+  const size = Math.max(1, getFootprint(piece.size));
+  const cells = [];
+  for (let col = 0; col < size; col++) {
+    for (let row = 0; row < size; row++) {
+      cells.push({ col: cell.col + col, row: cell.row + row });
+    }
+  }
+  return cells;
+}
+
+/**
+ * 计算一次移动的消耗
+ * 每进入一格消耗 1 格移动力，进入困难地形额外消耗 1 格；
+ * 方格使用 alternating 规则时，每第二次斜向移动额外消耗 1 格 (从本回合之前的斜向移动次数继续计数)。
+ * @param {number} [diagonalsSoFar] 本回合之前的斜向移动次数
+ * @returns {{ cells: number, feet: number, difficultCells: number, diagonals: number }} diagonals 为移动后的斜向移动次数
+ */
+function computeMoveCost(grid, piece, from, to, difficultTerrain, diagonalsSoFar = 0) {
+  const difficult = new Set(normalizeCells(difficultTerrain).map(cellKey));
+  const start = positionToCell(grid, piece, from.x, from.y);
+  const end = positionToCell(grid, piece, to.x, to.y);
+  let previous = start;
+  let cells = 0;
+  let diagonals = diagonalsSoFar;
+  let difficultCells = 0;
+  tracePath(grid, start, end).forEach(cell => {
+    cells += 1;
+    if (grid.type !== 'hex' && grid.diagonalRule === 'alternating'
+        && cell.col !== previous.col && cell.row !== previous.row) {
+      diagonals += 1;
+      if (diagonals % 2 === 0) cells += 1;
+    }
+    if (occupiedCells(grid, piece, cell).some(occupied => difficult.has(cellKey(occupied)))) {
+      cells += 1;
+      difficultCells += 1;
+    }
+    previous = cell;
+  });
+  return { cells, feet: cells * grid.feetPerCell, difficultCells, diagonals };
+}
+
+function createMovementEntry(pieceId, speed, round) {
+  return { pieceId, round, speed, used: 0, dash: false, disengage: false, diagonals: 0, history: [] };
+}
+
+/**
+ * 本回合的移动预算 (冲刺时翻倍)
+ */
+function getBudget(entry) {
+  return entry.speed * (entry.dash ? 2 : 1);
+}
+
+function summarizeMovement(entry) {
+  const budget = getBudget(entry);
+  return {
+    pieceId: entry.pieceId,
+    round: entry.round,
+    speed: entry.speed,
+    budget,
+    used: entry.used,
+    remaining: Math.max(0, budget - entry.used),
+    dash: entry.dash,
+    disengage: entry.disengage,
+    history: entry.history
+  };
+}
+
+module.exports = {
+  DEFAULT_SPEED,
+  normalizeCells,
+  paintCells,
+  parseSpeed,
+  computeMoveCost,
+  createMovementEntry,
+  getBudget,
+  summarizeMovement
+};
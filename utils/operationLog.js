@@ -0,0 +1,68 @@
+/**
+ * 会话操作日志: 为广播分配递增的序号并保留最近的操作 (有长度上限)
+ *
+ * 重连的客户端提供最后收到的序号后，只补发之后的操作；
+ * 所需的操作已被截断 (或服务器重启、会话被移出内存导致 epoch 变化) 时需要发送完整状态。
+ */
+
+/**
+ * @param {{ maxEntries?: number }} options
+ */
+function createOperationLog({ maxEntries = 1000 } = {}) {
+  // 序号只在同一个日志内有效，客户端同时提供 epoch 以识别新的日志
+  const epoch = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const entries = [];
+  let lastSeq = 0;
+
+  /**
+   * 记录操作并返回其序号
+   * @param {{ event: string, payload?, scope?: string, filtered?: boolean, omitPayload?: boolean }} op
+   *   scope: 不保存载荷，只记录发生过，补发时重新生成该部分的当前状态
+   *     (载荷是当前状态的事件，保存副本没有意义)
+   *   filtered: 按成员过滤的操作 (需要同时提供 scope)，逐个发给成员时合并为一条
+   *   omitPayload: 不保存载荷 (如背景图片)，补发时使用当前状态
+   *   其他操作按引用保存载荷，发送后不能再修改 (事件处理函数为广播新建的对象)
+   */
+  function append(op) {
+    // 同一操作逐个发给成员时会连续记录多次，合并为一条 (补发时只需要知道发生过)
+    const last = entries[entries.length - 1];
+    if (op.filtered && last && last.filtered && last.event === op.event && last.seq === lastSeq) {
+      return lastSeq;
+    }
+    lastSeq += 1;
+    const keepPayload = !op.scope && !op.omitPayload;
+    entries.push({
+      seq: lastSeq,
+      event: op.event,
+      scope: op.scope || null,
+      filtered: Boolean(op.filtered),
+      omitted: Boolean(op.omitPayload),
+      payload: keepPayload ? op.payload : undefined
+    });
+    if (entries.length > maxEntries) entries.shift();
+    return lastSeq;
+  }
+
+  /**
+   * afterSeq 之后的操作
+   * @returns {Array|null} epoch 不一致、序号无效或其后的操作已被截断时返回 null
+   */
+  function since(afterSeq, clientEpoch) {
+    if (clientEpoch !== epoch || !Number.isInteger(afterSeq) || afterSeq < 0 || afterSeq > lastSeq) return null;
+    const oldestSeq = entries.length ? entries[0].seq : lastSeq + 1;
+    if (afterSeq < oldestSeq - 1) return null;
+    return entries.filter(entry => entry.seq > afterSeq);
+  }
+
+  return {
+    epoch,
+    append,
+    since,
+    getLastSeq: () => lastSeq,
+    size: () => entries.length
+  };
+}
+
+module.exports = {
+  createOperationLog
+};
@@ -0,0 +1,114 @@
+/**
+ * 延迟写入 (write-behind) 调度器
+ *
+ * 事件处理函数只标记会话中发生变化的部分 (如 'session'、'dice'、'battlefield'、'background')，
+ * 同一会话在 delayMs 内的多次标记合并为一次写入；持续有变化时最迟在 maxDelayMs 后写入。
+ * 写入失败的部分重新标记，等待下一次调度重试。
+ */
+
+/**
+ * @param {{ write: (sessionId: string, parts: string[]) => Promise<void>, delayMs?: number, maxDelayMs?: number, logger?: object }} options
+ */
+function createPersistenceScheduler({ write, delayMs = 1000, maxDelayMs = 5000, logger = console }) {
+  const pending = new Map();  // sessionId -> { parts: Set, firstMarkedAt, timer }
+  const inFlight = new Map(); // sessionId -> Promise
+  const metrics = {
+    totalFlushes: 0,
+    failedFlushes: 0,
+    lastFlushAt: null,
+    lastFlushDurationMs: null,
+    lastError: null
+  };
+
+  function schedule(sessionId, entry) {
+    if (entry.timer) clearTimeout(entry.timer);
+    const wait = Math.max(0, Math.min(delayMs, entry.firstMarkedAt + maxDelayMs - Date.now()));
+    entry.timer = setTimeout(() => {
+      flush(sessionId).catch(() => {}); // 错误已记录在 metrics 中
+    }, wait);
+  }
+
+  function markDirty(sessionId, parts) {
+    if (!sessionId || !Array.isArray(parts) || parts.length === 0) return;
+    let entry = pending.get(sessionId);
+    if (!entry) {
+      entry = { parts: new Set(), firstMarkedAt: Date.now(), timer: null };
+      pending.set(sessionId, entry);
+    }
+    parts.forEach(part => entry.parts.add(part));
+    schedule(sessionId, entry);
+  }
+
+  async function runWrite(sessionId, parts) {
+    const startedAt = Date.now();
+    try {
+      await write(sessionId, parts);
+      metrics.totalFlushes++;
+      metrics.lastFlushAt = Date.now();
+      metrics.lastFlushDurationMs = metrics.lastFlushAt - startedAt;
+    } catch (error) {
+      metrics.failedFlushes++;
+      metrics.lastError = { sessionId, message: error.message, at: Date.now() };
+      logger.error(`Persistence flush failed for ${sessionId}:`, error.message);
+      markDirty(sessionId, parts); // 重试
+      throw error;
+    }
+  }
+
+  /**
+   * 立即写入会话的待写部分；同一会话同时只有一个写入，期间的新标记在其完成后写入
+   */
+  async function flush(sessionId) {
+    while (inFlight.has(sessionId)) {
+      await inFlight.get(sessionId).catch(() => {});
+    }
+    const entry = pending.get(sessionId);
+    if (!entry) return;
+    if (entry.timer) clearTimeout(entry.timer);
+    pending.delete(sessionId);
+    const promise = runWrite(sessionId, Array.from(entry.parts));
+    inFlight.set(sessionId, promise);
+    try {
+      await promise;
+    } finally {
+      inFlight.delete(sessionId);
+    }
+  }
+
+  // 写入所有待写会话 (用于关闭服务器)，返回失败的数量
+  async function flushAll() {
+    const sessionIds = new Set([...pending.keys(), ...inFlight.keys()]);
+    const results = await Promise.allSettled(Array.from(sessionIds).map(flush));
+    return results.filter(result => result.status === 'rejected').length;
+  }
+
+  // 会话是否还有未写入 (或正在写入) 的变化
+  function hasPending(sessionId) {
+    return pending.has(sessionId) || inFlight.has(sessionId);
+  }
+
+  function getMetrics() {
+    const now = Date.now();
+    let pendingParts = 0;
+    let oldestPendingMs = 0;
+    pending.forEach(entry => {
+      pendingParts += entry.parts.size;
+      oldestPendingMs = Math.max(oldestPendingMs, now - entry.firstMarkedAt);
+    });
+    return {
+      queueDepth: pending.size,
+      pendingParts,
+      inFlight: inFlight.size,
+      oldestPendingMs,
+      delayMs,
+      maxDelayMs,
+      ...metrics
+    };
+  }
+
+  return { markDirty, flush, flushAll, hasPending, getMetrics };
+}
+
+module.exports = {
+  createPersistenceScheduler
+};
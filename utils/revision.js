@@ -0,0 +1,61 @@
+/**
+ * 会话子状态的版本号 (乐观并发控制)
+ *
+ * 每个子状态 (session 战斗助手、dice 骰子、battlefield 战场) 有各自单调递增的版本号，
+ * 每次变化加 1。写入时可以附带 expectedRevision，与当前版本号不一致说明客户端的数据已经过期。
+ */
+
+const REVISION_SCOPES = ['session', 'dice', 'battlefield'];
+
+// 持久化部分 -> 所属子状态 (背景图片属于战场)
+const PART_SCOPES = {
+  session: 'session',
+  dice: 'dice',
+  battlefield: 'battlefield',
+  background: 'battlefield'
+};
+
+// 持久化部分列表 -> 去重的子状态列表
+function getScopesForParts(parts) {
+  const scopes = (parts || []).map(part => PART_SCOPES[part]).filter(Boolean);
+  return Array.from(new Set(scopes));
+}
+
+/**
+ * 解析客户端提供的 expectedRevision
+ * @returns {number|undefined} 未提供时返回 undefined
+ */
+function parseExpectedRevision(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 0) {
+    throw new Error('expectedRevision must be a non-negative integer');
+  }
+  return revision;
+}
+
+function isStaleRevision(currentRevision, expectedRevision) {
+  return expectedRevision !== undefined && expectedRevision !== (currentRevision || 0);
+}
+
+/**
+ * 找出客户端数据已经过期的子状态
+ * @param {object} revisions 当前版本号 { session, dice, battlefield }
+ * @param {number|object} expected 数字时与 scopes[0] 比较；对象时按子状态分别比较 ({ session: 3, battlefield: 7 })
+ * @param {string[]} scopes 写入可能修改的子状态
+ * @returns {string|null} 没有提供 expected 或都一致时返回 null
+ */
+function findStaleScope(revisions, expected, scopes) {
+  if (expected === undefined || expected === null) return null;
+  const expectations = typeof expected === 'object' ? expected : { [scopes[0]]: expected };
+  const stale = scopes.find(scope => isStaleRevision(revisions[scope], parseExpectedRevision(expectations[scope])));
+  return stale || null;
+}
+
+module.exports = {
+  REVISION_SCOPES,
+  getScopesForParts,
+  parseExpectedRevision,
+  isStaleRevision,
+  findStaleScope
+};
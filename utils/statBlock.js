@@ -0,0 +1,118 @@
+/**
+ * 怪物数据值 (Stat Block)
+ *
+ * { armorClass, abilities: { str, dex, con, int, wis, cha }, savingThrows: { con: 5, ... },
+ *   skills: { perception: 4, ... }, senses: { darkvision: 60, passivePerception: 14, ... },
+ *   speed: { walk: 30, fly: 60, ... }, actions: [...] }
+ *
+ * 动作结构:
+ *   { id, name, desc, kind: 'attack' | 'save' | 'other', toHit, saveDc, saveAbility, halfOnSave,
+ *     damage: [{ formula: '1d6+2', type: 'slashing' }], magical }
+ */
+
+const ABILITY_KEYS = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+const SPEED_KEYS = ['walk', 'fly', 'swim', 'climb', 'burrow'];
+
+function getAbilityModifier(score) {
+  return Math.floor((Number(score) - 10) / 2);
+}
+
+function toNumberMap(value, allowedKeys) {
+  if (!value || typeof value !== 'object') return {};
+  return Object.keys(value).reduce((acc, key) => {
+    const normalizedKey = key.toLowerCase();
+    const number = Number(value[key]);
+    if ((!allowedKeys || allowedKeys.includes(normalizedKey)) && value[key] !== null && Number.isFinite(number)) {
+      acc[normalizedKey] = number;
+    }
+    return acc;
+  }, {});
+}
+
+function normalizeAbilities(abilities) {
+  const scores = toNumberMap(abilities, ABILITY_KEYS);
+  return ABILITY_KEYS.reduce((acc, key) => {
+    acc[key] = scores[key] !== undefined ? scores[key] : 10;
+    return acc;
+  }, {});
+}
+
+// 数字视为步行速度；字符串如 "30 ft., fly 60 ft."
+function normalizeSpeed(speed) {
+  if (typeof speed === 'number') return { walk: speed };
+  if (typeof speed === 'string') {
+    return speed.split(',').reduce((acc, part) => {
+      const match = part.trim().toLowerCase().match(/^(?:(\w+)\s+)?(\d+)/);
+      if (match) acc[SPEED_KEYS.includes(match[1]) ? match[1] : 'walk'] = Number(match[2]);
+      return acc;
+    }, {});
+  }
+  return toNumberMap(speed, SPEED_KEYS);
+}
+
+// 感官可以是对象或 "darkvision 60 ft., passive Perception 9" 形式的字符串
+function normalizeSenses(senses) {
+  if (typeof senses !== 'string') return toNumberMap(senses);
+  return senses.split(',').reduce((acc, part) => {
+    const match = part.trim().toLowerCase().match(/^(passive perception|[a-z]+)\s+(\d+)/);
+    if (match) acc[match[1] === 'passive perception' ? 'passivePerception' : match[1]] = Number(match[2]);
+    return acc;
+  }, {});
+}
+
+function normalizeDamage(action) {
+  if (Array.isArray(action.damage)) {
+    return action.damage
+      .filter(part => part && part.formula)
+      .map(part => ({ formula: String(part.formula), type: part.type ? String(part.type).toLowerCase() : null }));
+  }
+  // 兼容从怪物数据库导入的 damageDice / damageBonus
+  if (action.damageDice) {
+    const bonus = Number(action.damageBonus) || 0;
+    const formula = bonus ? `${action.damageDice}${bonus > 0 ? '+' : ''}${bonus}` : String(action.damageDice);
+    return [{ formula, type: action.damageType ? String(action.damageType).toLowerCase() : null }];
+  }
+  return [];
+}
+
+function normalizeAction(action, index) {
+  const toHitValue = action.toHit !== undefined ? action.toHit : action.attackBonus;
+  const toHit = toHitValue === null || toHitValue === undefined || !Number.isFinite(Number(toHitValue)) ? null : Number(toHitValue);
+  const saveDc = Number(action.saveDc) > 0 ? Number(action.saveDc) : null;
+  return {
+    id: String(action.id || `action-${index + 1}`),
+    name: String(action.name),
+    desc: action.desc ? String(action.desc) : '',
+    kind: toHit !== null ? 'attack' : (saveDc ? 'save' : 'other'),
+    toHit,
+    saveDc,
+    saveAbility: ABILITY_KEYS.includes(action.saveAbility) ? action.saveAbility : (saveDc ? 'dex' : null),
+    halfOnSave: Boolean(action.halfOnSave),
+    damage: normalizeDamage(action),
+    magical: Boolean(action.magical)
+  };
+}
+
+/**
+ * 从 add-monster 的参数中提取并规范化数据值字段
+ */
+function normalizeStatBlock(input) {
+  const source = input || {};
+  const actions = Array.isArray(source.actions) ? source.actions.filter(action => action && action.name) : [];
+  return {
+    armorClass: Number.isFinite(Number(source.armorClass)) && source.armorClass !== null ? Number(source.armorClass) : null,
+    abilities: normalizeAbilities(source.abilities),
+    savingThrows: toNumberMap(source.savingThrows, ABILITY_KEYS),
+    skills: toNumberMap(source.skills),
+    senses: normalizeSenses(source.senses),
+    speed: normalizeSpeed(source.speed),
+    actions: actions.map(normalizeAction)
+  };
+}
+
+module.exports = {
+  ABILITY_KEYS,
+  getAbilityModifier,
+  normalizeSpeed,
+  normalizeStatBlock
+};
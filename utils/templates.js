@@ -0,0 +1,121 @@
+/**
+ * 范围效果模板 (锥形、球形/圆形、立方体、直线、圆柱)
+ *
+ * 模板结构: { id, shape, origin: { x, y }, direction, size, width, owner, color, label }
+ *   direction: 朝向角度 (度，0 为向右，顺时针)，用于锥形、立方体和直线
+ *   size: 以英尺计 — 球形/圆形/圆柱为半径，锥形/直线为长度，立方体为边长
+ *   width: 直线的宽度 (英尺)，默认 5
+ * 立方体以 origin 为一个面的中心，沿 direction 方向展开。
+ */
+const { toPoint } = require('./geometry');
+const { getFootprint } = require('./grid');
+
+const TEMPLATE_SHAPES = ['cone', 'sphere', 'circle', 'cube', 'line', 'cylinder'];
+const MAX_TEMPLATE_SIZE = 1000; // 英尺
+
+/**
+ * 校验并构建模板；existing 不为空时只更新提供的字段
+ */
+function normalizeTemplate(input, existing) {
+  const base = existing || {};
+  const shape = input.shape !== undefined ? input.shape : base.shape;
+  if (!TEMPLATE_SHAPES.includes(shape)) {
+    throw new Error(`Unknown template shape: ${shape}`);
+  }
+  const origin = input.origin !== undefined ? toPoint(input.origin) : base.origin;
+  if (!origin) {
+    throw new Error('Template origin must be a point');
+  }
+  const size = input.size !== undefined ? Number(input.size) : base.size;
+  if (!(size > 0) || size > MAX_TEMPLATE_SIZE) {
+    throw new Error(`Template size must be between 0 and ${MAX_TEMPLATE_SIZE} feet`);
+  }
+  const direction = input.direction !== undefined ? Number(input.direction) : (base.direction || 0);
+  if (!Number.isFinite(direction)) {
+    throw new Error('Template direction must be a number');
+  }
+  const width = input.width !== undefined ? Number(input.width) : (base.width || 5);
+  if (!(width > 0)) {
+    throw new Error('Template width must be positive');
+  }
+  return {
+    id: base.id || `template-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    shape,
+    origin,
+    direction: ((direction % 360) + 360) % 360,
+    size,
+    width,
+    owner: base.owner || input.owner,
+    color: input.color !== undefined ? String(input.color) : (base.color || null),
+    label: input.label !== undefined ? String(input.label) : (base.label || '')
+  };
+}
+
+/**
+ * 判断点是否在模板范围内
+ * @param {number} pixelsPerFoot 网格比例
+ */
+function containsPoint(template, point, pixelsPerFoot) {
+  const dx = point.x - template.origin.x;
+  const dy = point.y - template.origin.y;
+  const size = template.size * pixelsPerFoot;
+
+  if (template.shape === 'sphere' || template.shape === 'circle' || template.shape === 'cylinder') {
+    return Math.hypot(dx, dy) <= size;
+  }
+
+  // 转换到以 direction 为轴的坐标系
+  const angle = template.direction * Math.PI / 180;
+  const along = dx * Math.cos(angle) + dy * Math.sin(angle);
+  const across = Math.abs(-dx * Math.sin(angle) + dy * Math.cos(angle));
+  if (along < 0 || along > size) return false;
+
+  switch (template.shape) {
+    case 'cone':
+      // 5e 锥形: 任意距离处的宽度等于该处到起点的距离
+      return across <= along / 2;
+    case 'cube':
+      return across <= size / 2;
+    default: // line
+      return across <= (template.width * pixelsPerFoot) / 2;
+  }
+}
+
+// 棋子占据的各个格子的中心点，微型生物只取自身中心
+function getPieceSamplePoints(piece, grid) {
+  const footprint = getFootprint(piece.size);
+  const x = Number(piece.x || 0);
+  const y = Number(piece.y || 0);
+  if (footprint < 1) {
+    const half = (footprint * grid.cellSize) / 2;
+    return [{ x: x + half, y: y + half }];
+  }
+  const points = [];
+  for (let col = 0; col < footprint; col++) {
+    for (let row = 0; row < footprint; row++) {
+      points.push({
+        x: x + (col + 0.5) * grid.cellSize,
+        y: y + (row + 0.5) * grid.cellSize
+      });
+    }
+  }
+  return points;
+}
+
+/**
+ * 返回模板覆盖到的棋子 ID (棋子任意一格在范围内即算命中)
+ */
+function getTemplateTargets(template, pieces, grid) {
+  const pixelsPerFoot = grid.cellSize / grid.feetPerCell;
+  return Object.values(pieces || {})
+    .filter(piece => piece && piece.id)
+    .filter(piece => getPieceSamplePoints(piece, grid).some(point => containsPoint(template, point, pixelsPerFoot)))
+    .map(piece => piece.id);
+}
+
+module.exports = {
+  TEMPLATE_SHAPES,
+  normalizeTemplate,
+  containsPoint,
+  getTemplateTargets
+};
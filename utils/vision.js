@@ -0,0 +1,104 @@
+/**
+ * 墙壁、门与视线计算
+ *
+ * 墙: { id, x1, y1, x2, y2 }
+ * 门: { id, x1, y1, x2, y2, state: 'open' | 'closed' | 'locked' }
+ * 关闭或上锁的门与墙一样会阻挡视线。
+ */
+
+const DOOR_STATES = ['open', 'closed', 'locked'];
+const MAX_VIEW_DISTANCE = 5000; // 未设置视野半径时的最大视距 (像素)
+const CIRCLE_SAMPLES = 64;
+const ANGLE_EPSILON = 0.0001;
+
+/**
+ * 校验并构建线段，无效时返回 null
+ */
+function toSegment(input) {
+  if (!input || typeof input !== 'object') return null;
+  const coords = ['x1', 'y1', 'x2', 'y2'].map(key => Number(input[key]));
+  if (coords.some(value => !Number.isFinite(value))) return null;
+  const [x1, y1, x2, y2] = coords;
+  if (x1 === x2 && y1 === y2) return null;
+  return { x1, y1, x2, y2 };
+}
+
+/**
+ * 获取所有阻挡视线的线段 (墙 + 非打开状态的门)
+ */
+function getBlockingSegments(battlefield) {
+  const walls = Array.isArray(battlefield.walls) ? battlefield.walls : [];
+  const doors = Array.isArray(battlefield.doors) ? battlefield.doors.filter(door => door.state !== 'open') : [];
+  return [...walls, ...doors];
+}
+
+// 射线 origin + t * dir 与线段的交点参数 t，不相交时返回 null
+function raySegmentIntersection(origin, dir, segment) {
+  const sx = segment.x2 - segment.x1;
+  const sy = segment.y2 - segment.y1;
+  const denominator = dir.x * sy - dir.y * sx;
+  if (Math.abs(denominator) < 1e-12) return null; // 平行
+  const ox = segment.x1 - origin.x;
+  const oy = segment.y1 - origin.y;
+  const t = (ox * sy - oy * sx) / denominator;
+  const u = (ox * dir.y - oy * dir.x) / denominator;
+  if (t < 0 || u < 0 || u > 1) return null;
+  return t;
+}
+
+/**
+ * 判断从 origin 能否看到 target
+ * @param {number|null} radius 视野半径 (像素)，null 表示不限
+ */
+function isPointVisible(origin, target, segments, radius) {
+  const dx = target.x - origin.x;
+  const dy = target.y - origin.y;
+  const length = Math.hypot(dx, dy);
+  if (radius && length > radius) return false;
+  if (length === 0) return true;
+  const dir = { x: dx / length, y: dy / length };
+  return !segments.some(segment => {
+    const t = raySegmentIntersection(origin, dir, segment);
+    return t !== null && t < length;
+  });
+}
+
+/**
+ * 计算可见区域多边形 (射线投射)，客户端可用它绘制视野
+ * @returns {Array<{x: number, y: number}>}
+ */
+function computeVisibilityPolygon(origin, segments, radius) {
+  const maxDistance = radius || MAX_VIEW_DISTANCE;
+  const angles = [];
+  for (let i = 0; i < CIRCLE_SAMPLES; i++) {
+    angles.push((i / CIRCLE_SAMPLES) * Math.PI * 2 - Math.PI);
+  }
+  segments.forEach(segment => {
+    [[segment.x1, segment.y1], [segment.x2, segment.y2]].forEach(([x, y]) => {
+      const angle = Math.atan2(y - origin.y, x - origin.x);
+      angles.push(angle - ANGLE_EPSILON, angle, angle + ANGLE_EPSILON);
+    });
+  });
+  angles.sort((a, b) => a - b);
+
+  return angles.map(angle => {
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+    let closest = maxDistance;
+    segments.forEach(segment => {
+      const t = raySegmentIntersection(origin, dir, segment);
+      if (t !== null && t < closest) closest = t;
+    });
+    return {
+      x: Math.round((origin.x + dir.x * closest) * 100) / 100,
+      y: Math.round((origin.y + dir.y * closest) * 100) / 100
+    };
+  });
+}
+
+module.exports = {
+  DOOR_STATES,
+  toSegment,
+  getBlockingSegments,
+  isPointVisible,
+  computeVisibilityPolygon
+};